@@ -0,0 +1,111 @@
+// apns-mock.js - Local stand-in for Apple's push service (APNs HTTP/2 API)
+// Accepts pushes the way APNs does and prints each one, so push triggers can be
+// tested without an Apple developer account or a device.
+//
+// Usage: node apns-mock.js [port]
+// Then run the API with APNS_HOST=http://localhost:<port> (default port 2197).
+// If APNS_PRIVATE_KEY or APNS_PRIVATE_KEY_PATH is set (as in .env), provider
+// tokens are checked against it. Device tokens starting with "dead" answer
+// 410 Unregistered and ones starting with "bad" answer 400 BadDeviceToken.
+const http2 = require('http2');
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const MAX_PAYLOAD_BYTES = 4096;
+
+const loadPublicKey = () => {
+  const pem = process.env.APNS_PRIVATE_KEY
+    ? process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n')
+    : process.env.APNS_PRIVATE_KEY_PATH && fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+  return pem ? crypto.createPublicKey(pem) : null;
+};
+
+const publicKey = loadPublicKey();
+
+// Returns an APNs error reason, or null if the request is acceptable
+const checkRequest = (headers, token, body) => {
+  const authorization = headers.authorization || '';
+  if (!authorization.startsWith('bearer ')) {
+    return [403, 'MissingProviderToken'];
+  }
+
+  const providerToken = authorization.slice('bearer '.length);
+  const decoded = jwt.decode(providerToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'ES256' || !decoded.header.kid || !decoded.payload.iss) {
+    return [403, 'InvalidProviderToken'];
+  }
+  if (publicKey) {
+    try {
+      jwt.verify(providerToken, publicKey, { algorithms: ['ES256'] });
+    } catch (error) {
+      return [403, 'InvalidProviderToken'];
+    }
+  }
+
+  if (!headers['apns-topic']) {
+    return [400, 'MissingTopic'];
+  }
+  if (process.env.APNS_BUNDLE_ID && headers['apns-topic'] !== process.env.APNS_BUNDLE_ID) {
+    return [400, 'DeviceTokenNotForTopic'];
+  }
+  if (Buffer.byteLength(body) > MAX_PAYLOAD_BYTES) {
+    return [413, 'PayloadTooLarge'];
+  }
+  try {
+    JSON.parse(body);
+  } catch (error) {
+    return [400, 'BadPayload'];
+  }
+
+  if (token.startsWith('dead')) {
+    return [410, 'Unregistered'];
+  }
+  if (!/^[0-9a-f]{64,200}$/.test(token) || token.startsWith('bad')) {
+    return [400, 'BadDeviceToken'];
+  }
+  return null;
+};
+
+const server = http2.createServer();
+
+server.on('stream', (stream, headers) => {
+  let body = '';
+  stream.setEncoding('utf8');
+  stream.on('data', chunk => { body += chunk; });
+  stream.on('end', () => {
+    const match = /^\/3\/device\/([^/]+)$/.exec(headers[':path']);
+    if (headers[':method'] !== 'POST' || !match) {
+      stream.respond({ ':status': 404, 'content-type': 'application/json' });
+      return stream.end(JSON.stringify({ reason: 'BadPath' }));
+    }
+
+    const token = match[1];
+    const apnsId = headers['apns-id'] || crypto.randomUUID();
+    const rejection = checkRequest(headers, token, body);
+
+    if (rejection) {
+      const [status, reason] = rejection;
+      console.log(JSON.stringify({ status, reason, token }));
+      stream.respond({ ':status': status, 'apns-id': apnsId, 'content-type': 'application/json' });
+      return stream.end(JSON.stringify(status === 410 ? { reason, timestamp: Date.now() } : { reason }));
+    }
+
+    console.log(JSON.stringify({
+      status: 200,
+      token,
+      topic: headers['apns-topic'],
+      push_type: headers['apns-push-type'] || null,
+      collapse_id: headers['apns-collapse-id'] || null,
+      payload: JSON.parse(body)
+    }));
+    stream.respond({ ':status': 200, 'apns-id': apnsId });
+    stream.end();
+  });
+});
+
+const port = parseInt(process.argv[2]) || 2197;
+server.listen(port, () => {
+  console.error(`📲 APNs mock listening on http://localhost:${port}${publicKey ? ' (verifying provider tokens)' : ''}`);
+});
@@ -0,0 +1,217 @@
+// email-templates.js - Every email FightPass sends, as { subject, html, text }
+// Templates only lay out values they are given: the server formats money and
+// dates, and every value interpolated into HTML is escaped by the `html` tag.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+
+// Markup that is already safe (the output of `html`) is passed through as is
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const toHtml = (value) => {
+  if (value == null || value === false) {
+    return '';
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toHtml).join('');
+  }
+  return escapeHtml(value);
+};
+
+// Tagged template: html`<p>${name}</p>` escapes `name`; nested html`` and arrays of them are kept
+const html = (strings, ...values) =>
+  new SafeHtml(strings.reduce((out, str, i) => out + str + (i < values.length ? toHtml(values[i]) : ''), ''));
+
+const STYLES = `
+  body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+  .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+  .header { background: #FF0000; color: white; padding: 20px; text-align: center; }
+  .content { background: #f9f9f9; padding: 20px; margin-top: 20px; }
+  .receipt-info { background: white; padding: 15px; margin: 10px 0; border-left: 4px solid #FF0000; }
+  .items { background: white; padding: 15px; margin: 10px 0; }
+  .total { font-size: 20px; font-weight: bold; color: #FF0000; margin-top: 15px; }
+  .callout { margin-top: 15px; padding: 10px; background: #fff3cd; border-left: 4px solid #ffc107; }
+  .signature { font-size: 10px; color: #666; margin-top: 20px; word-break: break-all; }
+  .button { display: inline-block; background: #FF0000; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; }
+  .code { background: white; padding: 15px; margin: 20px 0; border-left: 4px solid #FF0000; font-family: monospace; font-size: 22px; text-align: center; letter-spacing: 2px; }
+  .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+`;
+
+const layout = ({ heading, subheading, body, footerNote }) => html`
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <style>${new SafeHtml(STYLES)}</style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="header">
+        <h1>${heading}</h1>
+        ${subheading ? html`<p>${subheading}</p>` : ''}
+      </div>
+      <div class="content">${body}</div>
+      <div class="footer">
+        <p>FightPass - Token-Based Streaming Platform</p>
+        <p>Questions? Contact support@fightpass.com</p>
+        ${footerNote ? html`<p style="margin-top: 15px; font-size: 10px;">${footerNote}</p>` : ''}
+      </div>
+    </div>
+  </body>
+  </html>
+`.value;
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+// A detail line is a plain string or { label, value }
+const lineHtml = (line) => (typeof line === 'string'
+  ? html`<li>${line}</li>`
+  : html`<li><strong>${line.label}:</strong> ${line.value}</li>`);
+const lineText = (line) => (typeof line === 'string' ? `- ${line}` : `- ${line.label}: ${line.value}`);
+
+// items: [{ title, subtitle?, lines: [line] }]; notes: [string]; callout: string;
+// taxLines: [{ label, value }] shown above the total
+const receipt = ({
+  email, receiptNumber, purchaseDate, items, notes = [], callout = null, taxLines = [], total, signature, verifyUrl,
+  heading = 'Thank you for your purchase!',
+  subject = `Receipt ${receiptNumber} - FightPass Purchase`
+}) => ({
+  subject,
+  html: layout({
+    heading: '🎫 FightPass Receipt',
+    subheading: heading,
+    body: html`
+      <div class="receipt-info">
+        <h3>Receipt Details</h3>
+        <p><strong>Receipt Number:</strong> ${receiptNumber}</p>
+        <p><strong>Date:</strong> ${purchaseDate}</p>
+        <p><strong>Email:</strong> ${email}</p>
+      </div>
+
+      <div class="items">
+        <h3>Items Purchased</h3>
+        ${items.map(item => html`
+          <h4>${item.title}</h4>
+          ${item.subtitle ? html`<p>${item.subtitle}</p>` : ''}
+          ${item.lines && item.lines.length > 0 ? html`<ul>${item.lines.map(lineHtml)}</ul>` : ''}
+        `)}
+        ${notes.map(note => html`<p>${note}</p>`)}
+        ${callout ? html`<p class="callout"><strong>${callout}</strong></p>` : ''}
+      </div>
+
+      ${taxLines.map(line => html`<p>${line.label}: ${line.value}</p>`)}
+      <div class="total">Total: ${total}</div>
+
+      <div class="signature">
+        <p><strong>Digital Signature:</strong></p>
+        <p>${signature}</p>
+        <p style="margin-top: 10px; font-size: 9px;">This signature verifies the authenticity of this receipt. Do not share this receipt as it may contain sensitive purchase information.</p>
+        ${verifyUrl ? html`<p><a href="${verifyUrl}">Verify this receipt</a></p>` : ''}
+      </div>
+    `,
+    footerNote: 'This is an automated receipt. Please do not reply to this email.'
+  }),
+  text: [
+    `FightPass Receipt - ${heading}`,
+    '',
+    `Receipt Number: ${receiptNumber}`,
+    `Date: ${purchaseDate}`,
+    `Email: ${email}`,
+    '',
+    ...items.flatMap(item => [
+      item.title,
+      ...(item.subtitle ? [item.subtitle] : []),
+      ...(item.lines || []).map(lineText),
+      ''
+    ]),
+    ...notes,
+    ...(callout ? [callout] : []),
+    ...(notes.length > 0 || callout ? [''] : []),
+    ...taxLines.map(line => `${line.label}: ${line.value}`),
+    `Total: ${total}`,
+    '',
+    `Digital Signature: ${signature}`,
+    ...(verifyUrl ? [`Verify this receipt: ${verifyUrl}`] : [])
+  ].join('\n')
+});
+
+const passwordReset = ({ name, resetLink, ttlMinutes }) => ({
+  subject: 'Reset your FightPass password',
+  html: layout({
+    heading: '🔑 Reset Your Password',
+    body: html`
+      <p>${greeting(name)}</p>
+      <p>We received a request to reset your FightPass password. This link expires in ${ttlMinutes} minutes and can only be used once.</p>
+      <p style="text-align: center; margin: 30px 0;"><a class="button" href="${resetLink}">Reset Password</a></p>
+      <p style="font-size: 12px; color: #666;">If you didn't request this, you can ignore this email. Your password won't change.</p>
+    `
+  }),
+  text: `Reset your FightPass password: ${resetLink}\n\nThis link expires in ${ttlMinutes} minutes. If you didn't request it, ignore this email.`
+});
+
+const giftCode = ({ senderName, recipientName, tokens, message, code, expires }) => ({
+  subject: `${senderName || 'Someone'} sent you ${tokens} FightPass tokens`,
+  html: layout({
+    heading: "🎁 You've Been Sent FightPass Tokens!",
+    body: html`
+      <p>${greeting(recipientName)}</p>
+      <p>${senderName || 'Someone'} sent you <strong>${tokens} tokens</strong> to spend on live fights.</p>
+      ${message ? html`<p style="font-style: italic;">"${message}"</p>` : ''}
+      <div class="code">${code}</div>
+      <p>Sign in to FightPass and enter this code under <strong>Redeem a code</strong>. It can be used once and expires on ${expires}.</p>
+    `
+  }),
+  text: [
+    `${senderName || 'Someone'} sent you ${tokens} FightPass tokens.`,
+    message ? `\n"${message}"\n` : '',
+    `Your code: ${code}`,
+    `Redeem it in the FightPass app before ${expires}. It can be used once.`
+  ].join('\n')
+});
+
+const eventReminder = ({ name, eventTitle, startsAt, startsIn }) => ({
+  subject: `Starting soon: ${eventTitle}`,
+  html: layout({
+    heading: '⏰ Starting Soon',
+    body: html`
+      <p>${greeting(name)}</p>
+      <p><strong>${eventTitle}</strong> starts at ${startsAt}. ${startsIn}</p>
+    `,
+    footerNote: 'Change which emails you get under Notification Settings in the app.'
+  }),
+  text: `${greeting(name)}\n\n${eventTitle} starts at ${startsAt}. ${startsIn}`
+});
+
+const accessExpiring = ({ name, productName, expires }) => ({
+  subject: `Your access to ${productName} ends soon`,
+  html: layout({
+    heading: '⌛ Access Ending Soon',
+    body: html`
+      <p>${greeting(name)}</p>
+      <p>Your access to <strong>${productName}</strong> ends on ${expires}.</p>
+    `,
+    footerNote: 'Change which emails you get under Notification Settings in the app.'
+  }),
+  text: `${greeting(name)}\n\nYour access to ${productName} ends on ${expires}.`
+});
+
+module.exports = {
+  html,
+  layout,
+  receipt,
+  passwordReset,
+  giftCode,
+  eventReminder,
+  accessExpiring
+};
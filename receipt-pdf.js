@@ -0,0 +1,110 @@
+// receipt-pdf.js - Renders a receipt as a PDF
+// Takes the same receipt view as the receipt email template (see
+// email-templates.js) plus a verification URL, which is printed and encoded in
+// a QR code. Resolves to a Buffer.
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const BRAND_RED = '#FF0000';
+const MUTED = '#666666';
+const PAGE_MARGIN = 50;
+const QR_SIZE = 110;
+
+const lineLabel = (line) => (typeof line === 'string' ? line : line.label);
+const lineValue = (line) => (typeof line === 'string' ? '' : String(line.value));
+
+// Label on the left, value right-aligned on the same row
+const row = (doc, label, value, { bold = false, size = 10 } = {}) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+  doc.text(label, PAGE_MARGIN, y, { width: width * 0.65 });
+  const labelBottom = doc.y;
+  doc.text(value, PAGE_MARGIN + width * 0.65, y, { width: width * 0.35, align: 'right' });
+  doc.y = Math.max(labelBottom, doc.y) + 2;
+};
+
+const rule = (doc) => {
+  doc.moveDown(0.4);
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.6);
+};
+
+const renderReceiptPdf = async ({
+  receiptNumber, purchaseDate, email, items, notes = [], callout = null, taxLines = [], total, signature,
+  verifyUrl, heading = 'Thank you for your purchase!'
+}) => {
+  const qr = await QRCode.toBuffer(verifyUrl, { type: 'png', margin: 1, width: QR_SIZE * 3 });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: `FightPass Receipt ${receiptNumber}`, Author: 'FightPass' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.fillColor(BRAND_RED).font('Helvetica-Bold').fontSize(22).text('FightPass Receipt');
+  doc.fillColor('black').font('Helvetica').fontSize(12).text(heading);
+  doc.moveDown();
+
+  row(doc, 'Receipt Number', receiptNumber, { bold: true });
+  row(doc, 'Date', purchaseDate);
+  row(doc, 'Billed To', email);
+  rule(doc);
+
+  doc.font('Helvetica-Bold').fontSize(13).text('Items', PAGE_MARGIN);
+  doc.moveDown(0.4);
+  items.forEach(item => {
+    doc.font('Helvetica-Bold').fontSize(11).text(item.title, PAGE_MARGIN);
+    if (item.subtitle) {
+      doc.fillColor(MUTED).font('Helvetica').fontSize(10).text(item.subtitle, PAGE_MARGIN).fillColor('black');
+    }
+    (item.lines || []).forEach(line => row(doc, lineLabel(line), lineValue(line)));
+    doc.moveDown(0.5);
+  });
+
+  if (notes.length > 0 || callout) {
+    doc.font('Helvetica').fontSize(10);
+    notes.forEach(note => doc.text(note, PAGE_MARGIN));
+    if (callout) {
+      doc.font('Helvetica-Bold').text(callout, PAGE_MARGIN);
+    }
+  }
+  rule(doc);
+
+  taxLines.forEach(line => row(doc, line.label, String(line.value)));
+  row(doc, 'Total', total, { bold: true, size: 13 });
+  rule(doc);
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Digital Signature', PAGE_MARGIN);
+  doc.font('Courier').fontSize(8).text(signature, PAGE_MARGIN);
+  doc.moveDown();
+
+  if (doc.y + QR_SIZE > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+  const qrTop = doc.y;
+  doc.image(qr, PAGE_MARGIN, qrTop, { width: QR_SIZE, height: QR_SIZE });
+  const textLeft = PAGE_MARGIN + QR_SIZE + 15;
+  const textWidth = doc.page.width - PAGE_MARGIN - textLeft;
+  doc.font('Helvetica-Bold').fontSize(10).text('Verify this receipt', textLeft, qrTop + 10, { width: textWidth });
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+    .text('Scan the code or open the link below to confirm this receipt was issued by FightPass.', textLeft, doc.y, { width: textWidth })
+    .moveDown(0.3)
+    .text(verifyUrl, textLeft, doc.y, { width: textWidth, link: verifyUrl, underline: true })
+    .fillColor('black');
+  doc.y = Math.max(doc.y, qrTop + QR_SIZE) + 20;
+
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED)
+    .text('FightPass - Token-Based Streaming Platform. Questions? Contact support@fightpass.com', PAGE_MARGIN, doc.y, { align: 'center' });
+
+  doc.end();
+  return done;
+};
+
+module.exports = { renderReceiptPdf };
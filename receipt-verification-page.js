@@ -0,0 +1,41 @@
+// receipt-verification-page.js - The public page for checking a receipt
+// Shows only whether the receipt number and signature match and what kind of
+// receipt it is, never who it belongs to or what was bought.
+const { html, layout } = require('./email-templates');
+
+const VERDICTS = {
+  valid: { heading: 'Receipt verified', tone: '#2e7d32', message: 'This receipt was issued by FightPass and its signature matches.' },
+  invalid: { heading: 'Not verified', tone: '#c62828', message: 'No FightPass receipt matches this receipt number and signature.' }
+};
+
+// result: null (show the form only) or { valid, type?, issuedAt?, status? }
+const receiptVerificationPage = ({ receiptNumber = '', signature = '', result = null }) => {
+  const verdict = result && VERDICTS[result.valid ? 'valid' : 'invalid'];
+
+  return layout({
+    heading: 'Verify a FightPass Receipt',
+    body: html`
+      ${verdict ? html`
+        <div class="receipt-info" style="border-left-color: ${verdict.tone};">
+          <h3 style="color: ${verdict.tone};">${verdict.heading}</h3>
+          <p>${verdict.message}</p>
+          ${result.valid ? html`
+            <p><strong>Receipt Number:</strong> ${receiptNumber}</p>
+            <p><strong>Type:</strong> ${result.type}</p>
+            <p><strong>Issued:</strong> ${result.issuedAt}</p>
+            ${result.status ? html`<p><strong>Status:</strong> ${result.status}</p>` : ''}
+          ` : ''}
+        </div>
+      ` : ''}
+
+      <form method="get" action="/receipts/verify">
+        <p>Enter the receipt number and digital signature printed on the receipt.</p>
+        <p><label>Receipt Number<br><input name="number" value="${receiptNumber}" required style="width: 100%; padding: 8px;"></label></p>
+        <p><label>Digital Signature<br><input name="signature" value="${signature}" required style="width: 100%; padding: 8px; font-family: monospace;"></label></p>
+        <p style="text-align: center;"><button class="button" type="submit" style="border: 0; cursor: pointer;">Verify</button></p>
+      </form>
+    `
+  });
+};
+
+module.exports = { receiptVerificationPage };
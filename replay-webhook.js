@@ -0,0 +1,49 @@
+// replay-webhook.js - Replay a recorded Square webhook payload against the API
+// Signs the payload the same way Square does, so no live Square account is needed.
+//
+// Usage: node replay-webhook.js <payload.json> [target-url]
+// Requires SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL (as in .env).
+// target-url defaults to SQUARE_WEBHOOK_URL.
+const fs = require('fs');
+const crypto = require('crypto');
+require('dotenv').config();
+
+async function replay() {
+  const [payloadPath, targetUrl] = process.argv.slice(2);
+
+  if (!payloadPath) {
+    console.error('Usage: node replay-webhook.js <payload.json> [target-url]');
+    process.exit(1);
+  }
+
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  const notificationUrl = process.env.SQUARE_WEBHOOK_URL;
+
+  if (!signatureKey || !notificationUrl) {
+    console.error('❌ SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL must be set');
+    process.exit(1);
+  }
+
+  const body = fs.readFileSync(payloadPath, 'utf8');
+  const signature = crypto
+    .createHmac('sha256', signatureKey)
+    .update(notificationUrl + body)
+    .digest('base64');
+
+  const response = await fetch(targetUrl || notificationUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-square-hmacsha256-signature': signature
+    },
+    body
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+}
+
+replay().catch(error => {
+  console.error('❌ Replay error:', error);
+  process.exit(1);
+});
@@ -16,12 +16,44 @@ async function seed() {
       INSERT OR REPLACE INTO users (id, email, password, name, token_balance)
       VALUES (?, ?, ?, ?, ?)
     `).run(userId, 'test@fightpass.com', hashedPassword, 'Test User', 500);
+
+    // Reset the ledger so it matches the seeded balance
+    db.prepare('DELETE FROM token_ledger WHERE user_id = ?').run(userId);
+    db.prepare(`
+      INSERT INTO token_ledger (id, user_id, entry_type, amount, balance_after, note)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run('ldg_seed_test123', userId, 'opening_balance', 500, 500, 'Seed balance');
     
     console.log('✅ Created test user: test@fightpass.com / test123 (500 tokens)');
   } catch (error) {
     console.log('ℹ️  Test user already exists');
   }
 
+  // Create admin user
+  const adminPassword = await bcrypt.hash('admin123', 10);
+
+  try {
+    db.prepare(`
+      INSERT OR REPLACE INTO users (id, email, password, name, token_balance, role)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run('user_admin', 'admin@fightpass.com', adminPassword, 'FightPass Admin', 0, 'admin');
+
+    console.log('✅ Created admin user: admin@fightpass.com / admin123');
+  } catch (error) {
+    console.log('ℹ️  Admin user already exists');
+  }
+
+  // Sample venue
+  try {
+    db.prepare(`
+      INSERT OR IGNORE INTO venues (id, name, city, region, country, capacity)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run('venue_seed_arena', 'Grand Arena', 'Las Vegas', 'NV', 'US', 18000);
+    console.log('✅ Added venue: Grand Arena');
+  } catch (error) {
+    console.log('ℹ️  Venue already exists: Grand Arena');
+  }
+
   // Sample events
   const events = [
     {
@@ -33,7 +65,10 @@ async function seed() {
       viewers: 12543,
       price: 50,
       start_time: new Date().toISOString(),
-      youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+      youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      category: 'mma',
+      promotion: 'UFC',
+      venue_id: 'venue_seed_arena'
     },
     {
       id: 'evt_live_bjj',
@@ -44,7 +79,9 @@ async function seed() {
       viewers: 3241,
       price: 30,
       start_time: new Date().toISOString(),
-      youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+      youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      category: 'bjj',
+      promotion: 'IBJJF'
     },
     {
       id: 'evt_upcoming_1',
@@ -55,7 +92,9 @@ async function seed() {
       viewers: 0,
       price: 25,
       start_time: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
-      youtube_url: null
+      youtube_url: null,
+      category: 'mma',
+      promotion: 'Summer Combat League'
     },
     {
       id: 'evt_upcoming_2',
@@ -66,7 +105,9 @@ async function seed() {
       viewers: 0,
       price: 35,
       start_time: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(), // 2 weeks from now
-      youtube_url: null
+      youtube_url: null,
+      category: 'kickboxing',
+      promotion: 'Glory'
     },
     {
       id: 'evt_upcoming_3',
@@ -77,7 +118,9 @@ async function seed() {
       viewers: 0,
       price: 15,
       start_time: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days from now
-      youtube_url: null
+      youtube_url: null,
+      category: 'mma',
+      promotion: 'Local Fight League'
     }
   ];
 
@@ -86,8 +129,8 @@ async function seed() {
       db.prepare(`
         INSERT OR REPLACE INTO events (
           id, title, subtitle, description, is_live, viewers, 
-          price, start_time, youtube_url
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          price, start_time, youtube_url, category, promotion, venue_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         event.id,
         event.title,
@@ -97,7 +140,10 @@ async function seed() {
         event.viewers,
         event.price,
         event.start_time,
-        event.youtube_url
+        event.youtube_url,
+        event.category,
+        event.promotion,
+        event.venue_id || null
       );
       
       const status = event.is_live ? '🔴 LIVE' : '📅 Upcoming';
@@ -107,11 +153,77 @@ async function seed() {
     }
   });
 
+  // Sample fighters and the championship card
+  const fighters = [
+    { id: 'ftr_seed_1', name: 'Marcus Reyes', nickname: 'The Hammer', country: 'US', weight_class: 'Heavyweight', wins: 18, losses: 2 },
+    { id: 'ftr_seed_2', name: 'Dmitri Volkov', nickname: 'Siberian Storm', country: 'RU', weight_class: 'Heavyweight', wins: 15, losses: 3 },
+    { id: 'ftr_seed_3', name: 'Ana Souza', nickname: null, country: 'BR', weight_class: 'Flyweight', wins: 11, losses: 1 },
+    { id: 'ftr_seed_4', name: 'Kim Ji-woo', nickname: 'Lightning', country: 'KR', weight_class: 'Flyweight', wins: 9, losses: 2 }
+  ];
+
+  fighters.forEach(fighter => {
+    db.prepare(`
+      INSERT OR IGNORE INTO fighters (id, name, nickname, country, category_id, weight_class, wins, losses)
+      VALUES (?, ?, ?, ?, 'mma', ?, ?, ?)
+    `).run(fighter.id, fighter.name, fighter.nickname, fighter.country, fighter.weight_class, fighter.wins, fighter.losses);
+  });
+
+  const bouts = [
+    { id: 'bout_seed_main', position: 1, segment: 'main_event', weight_class: 'Heavyweight', rounds: 5, title: 1, red: 'ftr_seed_1', blue: 'ftr_seed_2' },
+    { id: 'bout_seed_co_main', position: 2, segment: 'co_main_event', weight_class: 'Flyweight', rounds: 3, title: 0, red: 'ftr_seed_3', blue: 'ftr_seed_4' }
+  ];
+
+  bouts.forEach(bout => {
+    db.prepare(`
+      INSERT OR IGNORE INTO bouts (
+        id, event_id, position, segment, category_id, weight_class,
+        scheduled_rounds, title_fight, red_fighter_id, blue_fighter_id
+      ) VALUES (?, 'evt_live_championship', ?, ?, 'mma', ?, ?, ?, ?, ?)
+    `).run(bout.id, bout.position, bout.segment, bout.weight_class, bout.rounds, bout.title, bout.red, bout.blue);
+  });
+  console.log(`✅ Added ${fighters.length} fighters and a ${bouts.length}-bout card for UFC Championship Night`);
+
+  // Sample merchandise
+  const products = [
+    {
+      id: 'merch_seed_tee', name: 'FightPass Fight Night Tee', price: 2999, tokens: 300,
+      description: 'Heavyweight cotton tee with the Fight Night logo.',
+      variants: [
+        { sku: 'TEE-BLK-M', size: 'M', color: 'Black', stock: 25 },
+        { sku: 'TEE-BLK-L', size: 'L', color: 'Black', stock: 25 },
+        { sku: 'TEE-WHT-L', size: 'L', color: 'White', stock: 10 }
+      ]
+    },
+    {
+      id: 'merch_seed_cap', name: 'FightPass Snapback', price: 2499, tokens: null,
+      description: 'Embroidered snapback, one size fits most.',
+      variants: [{ sku: 'CAP-RED', size: null, color: 'Red', stock: 40 }]
+    }
+  ];
+
+  products.forEach((product, index) => {
+    db.prepare(`
+      INSERT OR IGNORE INTO merch_products (id, name, description, price_tokens, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(product.id, product.name, product.description, product.tokens, index);
+    db.prepare(`
+      INSERT OR IGNORE INTO merch_product_prices (product_id, currency, amount_minor) VALUES (?, 'USD', ?)
+    `).run(product.id, product.price);
+    product.variants.forEach((variant, position) => {
+      db.prepare(`
+        INSERT OR IGNORE INTO merch_variants (id, product_id, sku, size, color, stock, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(`var_seed_${variant.sku.toLowerCase()}`, product.id, variant.sku, variant.size, variant.color, variant.stock, position);
+    });
+  });
+  console.log(`✅ Added ${products.length} merchandise products`);
+
   console.log('\n✨ Database seeded successfully!');
   console.log('\n📝 Test Credentials:');
   console.log('   Email: test@fightpass.com');
   console.log('   Password: test123');
   console.log('   Token Balance: 500 tokens');
+  console.log('   Admin: admin@fightpass.com / admin123');
   console.log('\n📊 Sample Data:');
   console.log(`   ${events.filter(e => e.is_live).length} live events`);
   console.log(`   ${events.filter(e => !e.is_live).length} upcoming events`);
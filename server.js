@@ -9,8 +9,17 @@ const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const http2 = require('http2');
+const fs = require('fs');
+const path = require('path');
 const { Client, Environment } = require('square');
 const nodemailer = require('nodemailer');
+const emailTemplates = require('./email-templates');
+const { renderReceiptPdf } = require('./receipt-pdf');
+const { receiptVerificationPage } = require('./receipt-verification-page');
+const multer = require('multer');
+const sharp = require('sharp');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 require('dotenv').config();
 
 const app = express();
@@ -24,7 +33,7 @@ const squareClient = new Client({
   environment: process.env.NODE_ENV === 'production' ? Environment.Production : Environment.Sandbox
 });
 
-const { paymentsApi } = squareClient;
+const { paymentsApi, refundsApi } = squareClient;
 
 // ================================
 // NODEMAILER SETUP (cPanel SMTP)
@@ -44,6 +53,33 @@ const transporter = nodemailer.createTransport({
 // ================================
 const db = new Database('fightpass.db');
 
+// playback_sessions.purchase_id became nullable when sessions could also hang
+// off an entitlement. Move the old table aside so it is recreated below.
+const legacyPlaybackSessions = db.prepare('PRAGMA table_info(playback_sessions)').all()
+  .some(c => c.name === 'purchase_id' && c.notnull);
+if (legacyPlaybackSessions) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_playback_sessions_active;
+    ALTER TABLE playback_sessions RENAME TO playback_sessions_legacy;
+  `);
+}
+
+// payment_intents.package_id became nullable when intents could pay for a
+// merchandise order instead of a token package
+const legacyPaymentIntents = db.prepare('PRAGMA table_info(payment_intents)').all()
+  .some(c => c.name === 'package_id' && c.notnull);
+if (legacyPaymentIntents) {
+  db.exec('ALTER TABLE payment_intents RENAME TO payment_intents_legacy');
+}
+
+// receipt_pdfs held the PDF bytes before PDFs moved to photoStorage; the old
+// rows are copied out after startup (see moveLegacyReceiptPdfs)
+const legacyReceiptPdfs = db.prepare('PRAGMA table_info(receipt_pdfs)').all()
+  .some(c => c.name === 'pdf');
+if (legacyReceiptPdfs) {
+  db.exec('ALTER TABLE receipt_pdfs RENAME TO receipt_pdfs_legacy');
+}
+
 // Initialize database tables
 db.exec(`
   CREATE TABLE IF NOT EXISTS users (
@@ -52,6 +88,8 @@ db.exec(`
     password TEXT NOT NULL,
     name TEXT,
     token_balance INTEGER DEFAULT 0,
+    role TEXT DEFAULT 'user',
+    token_version INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
@@ -67,9 +105,203 @@ db.exec(`
     start_time TEXT,
     end_time TEXT,
     youtube_url TEXT,
+    stream_provider TEXT DEFAULT 'youtube',
+    stream_url TEXT,
+    series_id TEXT,
+    access_policy TEXT DEFAULT 'live_and_replay',
+    replay_days INTEGER DEFAULT 30,
+    replay_price INTEGER,
+    vod_url TEXT,
+    category TEXT,
+    promotion TEXT,
+    venue_id TEXT,
+    chat_slow_mode_seconds INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS venues (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    address TEXT,
+    city TEXT,
+    region TEXT,
+    country TEXT,
+    capacity INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS categories (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS fighters (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    nickname TEXT,
+    country TEXT,
+    category_id TEXT,
+    weight_class TEXT,
+    photo_url TEXT,
+    bio TEXT,
+    wins INTEGER DEFAULT 0,
+    losses INTEGER DEFAULT 0,
+    draws INTEGER DEFAULT 0,
+    no_contests INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS bouts (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    segment TEXT NOT NULL DEFAULT 'main_card',
+    category_id TEXT,
+    weight_class TEXT,
+    scheduled_rounds INTEGER DEFAULT 3,
+    title_fight INTEGER DEFAULT 0,
+    red_fighter_id TEXT NOT NULL,
+    blue_fighter_id TEXT NOT NULL,
+    status TEXT DEFAULT 'scheduled',
+    current_round INTEGER,
+    winner_id TEXT,
+    method TEXT,
+    method_detail TEXT,
+    result_round INTEGER,
+    result_time TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(event_id) REFERENCES events(id),
+    FOREIGN KEY(red_fighter_id) REFERENCES fighters(id),
+    FOREIGN KEY(blue_fighter_id) REFERENCES fighters(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_bouts_event ON bouts(event_id, position);
+  CREATE INDEX IF NOT EXISTS idx_bouts_red_fighter ON bouts(red_fighter_id);
+  CREATE INDEX IF NOT EXISTS idx_bouts_blue_fighter ON bouts(blue_fighter_id);
+
+  CREATE TABLE IF NOT EXISTS live_feed_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_live_feed_events_event ON live_feed_events(event_id, id);
+
+  CREATE TABLE IF NOT EXISTS chat_messages (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    body TEXT NOT NULL,
+    deleted_at DATETIME,
+    deleted_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_chat_messages_event ON chat_messages(event_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS chat_sanctions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    event_id TEXT,
+    kind TEXT NOT NULL,
+    reason TEXT,
+    expires_at DATETIME,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    lifted_at DATETIME,
+    lifted_by TEXT,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_chat_sanctions_user ON chat_sanctions(user_id, kind);
+
+  CREATE TABLE IF NOT EXISTS event_photos (
+    id TEXT PRIMARY KEY,
+    event_id TEXT NOT NULL,
+    original_key TEXT NOT NULL,
+    preview_key TEXT NOT NULL,
+    thumbnail_key TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    size_bytes INTEGER,
+    caption TEXT,
+    uploaded_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(event_id) REFERENCES events(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_photos_event ON event_photos(event_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS event_photo_fighters (
+    photo_id TEXT NOT NULL,
+    fighter_id TEXT NOT NULL,
+    PRIMARY KEY(photo_id, fighter_id),
+    FOREIGN KEY(photo_id) REFERENCES event_photos(id),
+    FOREIGN KEY(fighter_id) REFERENCES fighters(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_photo_fighters_fighter ON event_photo_fighters(fighter_id);
+
+  CREATE TABLE IF NOT EXISTS event_series (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
+  CREATE TABLE IF NOT EXISTS access_products (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    kind TEXT NOT NULL,
+    price INTEGER NOT NULL,
+    series_id TEXT,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    duration_days INTEGER,
+    is_active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(series_id) REFERENCES event_series(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS access_product_events (
+    product_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    PRIMARY KEY(product_id, event_id),
+    FOREIGN KEY(product_id) REFERENCES access_products(id),
+    FOREIGN KEY(event_id) REFERENCES events(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS entitlements (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    order_id TEXT,
+    receipt_number TEXT UNIQUE,
+    digital_signature TEXT,
+    amount_paid INTEGER,
+    starts_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL,
+    auto_renew INTEGER DEFAULT 0,
+    renewed_from TEXT,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(product_id) REFERENCES access_products(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_entitlements_user ON entitlements(user_id);
+
   CREATE TABLE IF NOT EXISTS purchases (
     id TEXT PRIMARY KEY,
     user_id TEXT NOT NULL,
@@ -82,6 +314,8 @@ db.exec(`
     receipt_url TEXT,
     digital_signature TEXT,
     amount_paid REAL,
+    access_kind TEXT DEFAULT 'full',
+    revoked_at DATETIME,
     FOREIGN KEY(user_id) REFERENCES users(id),
     FOREIGN KEY(event_id) REFERENCES events(id)
   );
@@ -115,8 +349,504 @@ db.exec(`
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY(user_id) REFERENCES users(id)
   );
+
+  CREATE TABLE IF NOT EXISTS token_ledger (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    entry_type TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+    reference_type TEXT,
+    reference_id TEXT,
+    receipt_number TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_token_ledger_user ON token_ledger(user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    request_fingerprint TEXT,
+    response_status INTEGER NOT NULL,
+    response_body TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(user_id, idempotency_key),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS payment_intents (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    package_id TEXT,
+    package_name TEXT,
+    tokens INTEGER,
+    bonus_tokens INTEGER,
+    promotion_id TEXT,
+    amount_cents INTEGER NOT NULL,
+    currency TEXT DEFAULT 'USD',
+    gift_card_id TEXT,
+    merch_order_id TEXT,
+    square_payment_id TEXT,
+    status TEXT DEFAULT 'created',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS token_packages (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    tokens INTEGER NOT NULL,
+    bonus_tokens INTEGER DEFAULT 0,
+    is_active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS token_package_prices (
+    package_id TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    amount_minor INTEGER NOT NULL,
+    PRIMARY KEY(package_id, currency),
+    FOREIGN KEY(package_id) REFERENCES token_packages(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS token_package_promotions (
+    id TEXT PRIMARY KEY,
+    package_id TEXT NOT NULL,
+    label TEXT,
+    bonus_tokens INTEGER NOT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(package_id) REFERENCES token_packages(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS promo_codes (
+    id TEXT PRIMARY KEY,
+    code TEXT UNIQUE NOT NULL,
+    kind TEXT NOT NULL,
+    token_amount INTEGER,
+    percent_off INTEGER,
+    event_id TEXT,
+    max_redemptions INTEGER,
+    per_user_limit INTEGER,
+    redemption_count INTEGER DEFAULT 0,
+    expires_at DATETIME,
+    is_active INTEGER DEFAULT 1,
+    gift_card_id TEXT,
+    created_by TEXT,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id TEXT PRIMARY KEY,
+    promo_code_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    order_id TEXT,
+    tokens_granted INTEGER DEFAULT 0,
+    discount_tokens INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(promo_code_id) REFERENCES promo_codes(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code_user ON promo_redemptions(promo_code_id, user_id);
+
+  CREATE TABLE IF NOT EXISTS gift_cards (
+    id TEXT PRIMARY KEY,
+    purchaser_id TEXT NOT NULL,
+    recipient_email TEXT NOT NULL,
+    recipient_name TEXT,
+    message TEXT,
+    package_id TEXT NOT NULL,
+    package_name TEXT,
+    tokens INTEGER,
+    amount_paid REAL,
+    currency TEXT,
+    square_payment_id TEXT,
+    order_id TEXT,
+    promo_code_id TEXT,
+    status TEXT DEFAULT 'pending',
+    emailed_at DATETIME,
+    claimed_by TEXT,
+    claimed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(purchaser_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS merch_products (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    image_url TEXT,
+    price_tokens INTEGER,
+    is_active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS merch_product_prices (
+    product_id TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    amount_minor INTEGER NOT NULL,
+    PRIMARY KEY(product_id, currency),
+    FOREIGN KEY(product_id) REFERENCES merch_products(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS merch_variants (
+    id TEXT PRIMARY KEY,
+    product_id TEXT NOT NULL,
+    sku TEXT UNIQUE NOT NULL,
+    size TEXT,
+    color TEXT,
+    stock INTEGER NOT NULL DEFAULT 0,
+    is_active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(product_id) REFERENCES merch_products(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_merch_variants_product ON merch_variants(product_id);
+
+  CREATE TABLE IF NOT EXISTS cart_items (
+    user_id TEXT NOT NULL,
+    variant_id TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(user_id, variant_id),
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(variant_id) REFERENCES merch_variants(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS merch_orders (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    order_id TEXT,
+    payment_method TEXT NOT NULL,
+    currency TEXT,
+    total_minor INTEGER,
+    total_tokens INTEGER,
+    status TEXT DEFAULT 'pending',
+    shipping_name TEXT NOT NULL,
+    shipping_line1 TEXT NOT NULL,
+    shipping_line2 TEXT,
+    shipping_city TEXT NOT NULL,
+    shipping_region TEXT,
+    shipping_postal_code TEXT NOT NULL,
+    shipping_country TEXT NOT NULL,
+    shipping_phone TEXT,
+    carrier TEXT,
+    tracking_number TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    paid_at DATETIME,
+    shipped_at DATETIME,
+    delivered_at DATETIME,
+    cancelled_at DATETIME,
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(order_id) REFERENCES orders(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_merch_orders_user ON merch_orders(user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS merch_order_items (
+    id TEXT PRIMARY KEY,
+    merch_order_id TEXT NOT NULL,
+    product_id TEXT NOT NULL,
+    variant_id TEXT NOT NULL,
+    product_name TEXT NOT NULL,
+    variant_label TEXT,
+    sku TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_price_minor INTEGER,
+    unit_price_tokens INTEGER,
+    FOREIGN KEY(merch_order_id) REFERENCES merch_orders(id),
+    FOREIGN KEY(variant_id) REFERENCES merch_variants(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS refunds (
+    id TEXT PRIMARY KEY,
+    order_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    square_refund_id TEXT UNIQUE,
+    square_payment_id TEXT,
+    amount REAL NOT NULL,
+    tokens_reversed INTEGER DEFAULT 0,
+    status TEXT NOT NULL,
+    reason TEXT,
+    receipt_number TEXT,
+    digital_signature TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(order_id) REFERENCES orders(id),
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    refresh_token_hash TEXT UNIQUE NOT NULL,
+    previous_token_hash TEXT,
+    device_name TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+  CREATE TABLE IF NOT EXISTS playback_sessions (
+    id TEXT PRIMARY KEY,
+    purchase_id TEXT,
+    entitlement_id TEXT,
+    user_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    device_id TEXT,
+    user_agent TEXT,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_heartbeat_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME,
+    end_reason TEXT,
+    FOREIGN KEY(purchase_id) REFERENCES purchases(id),
+    FOREIGN KEY(entitlement_id) REFERENCES entitlements(id),
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(event_id) REFERENCES events(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_playback_sessions_active ON playback_sessions(event_id, ended_at);
+
+  CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id TEXT PRIMARY KEY,
+    live_events INTEGER NOT NULL DEFAULT 1,
+    upcoming_events INTEGER NOT NULL DEFAULT 1,
+    merchandise INTEGER NOT NULL DEFAULT 0,
+    photos INTEGER NOT NULL DEFAULT 1,
+    token_deals INTEGER NOT NULL DEFAULT 0,
+    order_updates INTEGER NOT NULL DEFAULT 1,
+    email INTEGER NOT NULL DEFAULT 1,
+    push INTEGER NOT NULL DEFAULT 1,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS push_devices (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    token TEXT UNIQUE NOT NULL,
+    environment TEXT NOT NULL DEFAULT 'sandbox',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_push_at DATETIME,
+    FOREIGN KEY(user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_push_devices_user ON push_devices(user_id);
+
+  CREATE TABLE IF NOT EXISTS event_follows (
+    user_id TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(user_id, event_id),
+    FOREIGN KEY(user_id) REFERENCES users(id),
+    FOREIGN KEY(event_id) REFERENCES events(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_follows_event ON event_follows(event_id);
+
+  CREATE TABLE IF NOT EXISTS event_reminders (
+    event_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    start_time TEXT NOT NULL,
+    sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(event_id, user_id, start_time)
+  );
+
+  CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    dedupe_key TEXT UNIQUE NOT NULL,
+    payload TEXT,
+    run_at DATETIME NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    result TEXT,
+    last_error TEXT,
+    locked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+
+  CREATE TABLE IF NOT EXISTS email_outbox (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    to_address TEXT NOT NULL,
+    template TEXT,
+    receipt_number TEXT,
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME NOT NULL,
+    last_error TEXT,
+    message_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_email_outbox_receipt ON email_outbox(receipt_number);
+
+  CREATE TABLE IF NOT EXISTS receipt_pdfs (
+    receipt_number TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    storage_key TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS square_webhook_events (
+    event_id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Add columns introduced after the initial schema to existing databases
+const addColumnIfMissing = (table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+addColumnIfMissing('users', 'role', "TEXT DEFAULT 'user'");
+addColumnIfMissing('users', 'token_version', 'INTEGER DEFAULT 0');
+addColumnIfMissing('events', 'stream_provider', "TEXT DEFAULT 'youtube'");
+addColumnIfMissing('events', 'stream_url', 'TEXT');
+addColumnIfMissing('events', 'series_id', 'TEXT');
+addColumnIfMissing('events', 'access_policy', "TEXT DEFAULT 'live_and_replay'");
+addColumnIfMissing('events', 'replay_days', 'INTEGER DEFAULT 30');
+addColumnIfMissing('events', 'replay_price', 'INTEGER');
+addColumnIfMissing('events', 'vod_url', 'TEXT');
+addColumnIfMissing('events', 'category', 'TEXT');
+addColumnIfMissing('events', 'promotion', 'TEXT');
+addColumnIfMissing('events', 'venue_id', 'TEXT');
+addColumnIfMissing('events', 'chat_slow_mode_seconds', 'INTEGER DEFAULT 0');
+addColumnIfMissing('events', 'photos_require_purchase', 'INTEGER DEFAULT 0');
+addColumnIfMissing('bouts', 'current_round', 'INTEGER');
+addColumnIfMissing('purchases', 'access_kind', "TEXT DEFAULT 'full'");
+addColumnIfMissing('orders', 'payment_status', 'TEXT');
+addColumnIfMissing('token_purchases', 'payment_status', 'TEXT');
+addColumnIfMissing('token_purchases', 'package_name', 'TEXT');
+addColumnIfMissing('token_purchases', 'promotion_id', 'TEXT');
+addColumnIfMissing('token_purchases', 'currency', "TEXT DEFAULT 'USD'");
+addColumnIfMissing('orders', 'currency', "TEXT DEFAULT 'USD'");
+addColumnIfMissing('payment_intents', 'package_name', 'TEXT');
+addColumnIfMissing('payment_intents', 'tokens', 'INTEGER');
+addColumnIfMissing('payment_intents', 'bonus_tokens', 'INTEGER');
+addColumnIfMissing('payment_intents', 'promotion_id', 'TEXT');
+addColumnIfMissing('payment_intents', 'currency', "TEXT DEFAULT 'USD'");
+addColumnIfMissing('payment_intents', 'gift_card_id', 'TEXT');
+addColumnIfMissing('payment_intents', 'merch_order_id', 'TEXT');
+addColumnIfMissing('purchases', 'revoked_at', 'DATETIME');
+addColumnIfMissing('refunds', 'receipt_number', 'TEXT');
+addColumnIfMissing('refunds', 'digital_signature', 'TEXT');
+addColumnIfMissing('refunds', 'receipt_url', 'TEXT');
+addColumnIfMissing('purchases', 'expiry_notice_sent_at', 'DATETIME');
+addColumnIfMissing('entitlements', 'expiry_notice_sent_at', 'DATETIME');
+
+// Refunds that completed before applied_at existed were applied at the time
+const refundsPredateAppliedAt = !db.prepare('PRAGMA table_info(refunds)').all()
+  .some(c => c.name === 'applied_at');
+addColumnIfMissing('refunds', 'applied_at', 'DATETIME');
+if (refundsPredateAppliedAt) {
+  db.prepare("UPDATE refunds SET applied_at = updated_at WHERE status = 'COMPLETED'").run();
+}
+
+if (legacyPlaybackSessions) {
+  db.exec(`
+    INSERT INTO playback_sessions (
+      id, purchase_id, user_id, event_id, device_id, user_agent,
+      started_at, last_heartbeat_at, ended_at, end_reason
+    )
+    SELECT id, purchase_id, user_id, event_id, device_id, user_agent,
+      started_at, last_heartbeat_at, ended_at, end_reason
+    FROM playback_sessions_legacy;
+    DROP TABLE playback_sessions_legacy;
+  `);
+}
+
+if (legacyPaymentIntents) {
+  // Older databases may predate some of the snapshot columns
+  const columns = db.prepare('PRAGMA table_info(payment_intents_legacy)').all().map(c => c.name).join(', ');
+  db.exec(`
+    INSERT INTO payment_intents (${columns}) SELECT ${columns} FROM payment_intents_legacy;
+    DROP TABLE payment_intents_legacy;
+  `);
+}
+
+// Full-text index over the searchable event fields. Triggers keep it in step with
+// the events table; the insert trigger clears any existing row first because
+// INSERT OR REPLACE (used by seed.js) does not fire delete triggers.
+db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS events_fts USING fts5(
+    event_id UNINDEXED, title, subtitle, description, category, promotion,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS events_fts_insert AFTER INSERT ON events BEGIN
+    DELETE FROM events_fts WHERE event_id = new.id;
+    INSERT INTO events_fts (event_id, title, subtitle, description, category, promotion)
+    VALUES (new.id, new.title, new.subtitle, new.description, new.category, new.promotion);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS events_fts_update
+  AFTER UPDATE OF title, subtitle, description, category, promotion ON events BEGIN
+    DELETE FROM events_fts WHERE event_id = old.id;
+    INSERT INTO events_fts (event_id, title, subtitle, description, category, promotion)
+    VALUES (new.id, new.title, new.subtitle, new.description, new.category, new.promotion);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS events_fts_delete AFTER DELETE ON events BEGIN
+    DELETE FROM events_fts WHERE event_id = old.id;
+  END;
 `);
 
+// Rebuild on startup so events written before the index existed are searchable
+db.transaction(() => {
+  db.exec(`
+    DELETE FROM events_fts;
+    INSERT INTO events_fts (event_id, title, subtitle, description, category, promotion)
+    SELECT id, title, subtitle, description, category, promotion FROM events;
+  `);
+})();
+
 // ================================
 // MIDDLEWARE
 // ================================
@@ -124,14 +854,24 @@ app.use(helmet());
 app.use(cors({
   origin: '*', // In production, specify your domains
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
+}));
+app.use(express.json({
+  // Webhook signatures are computed over the exact bytes Square sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
 }));
-app.use(express.json());
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Square retries, stream origins authorizing every segment and gallery images must not be throttled
+  skip: (req) => req.path.startsWith('/v1/webhooks/') || req.path === '/v1/playback/authorize'
+    || (req.method === 'GET' && /^\/v1\/photos\/[^/]+\/(thumbnail|preview)$/.test(req.path))
 });
 app.use('/api/', limiter);
 
@@ -150,14 +890,156 @@ const authenticateToken = (req, res, next) => {
     if (err) {
       return res.status(403).json({ message: 'Invalid token' });
     }
+
+    // Bumping users.token_version (e.g. on password reset) invalidates every JWT issued before it
+    const account = db.prepare('SELECT token_version FROM users WHERE id = ?').get(user.userId);
+    if (!account || (user.tokenVersion || 0) !== account.token_version) {
+      return res.status(401).json({ message: 'Session expired, please sign in again' });
+    }
+
+    // Tokens issued before sessions existed carry no sessionId and are still honored until they expire
+    if (user.sessionId) {
+      const session = db.prepare('SELECT revoked_at FROM sessions WHERE id = ?').get(user.sessionId);
+      if (!session || session.revoked_at) {
+        return res.status(401).json({ message: 'Session expired, please sign in again' });
+      }
+
+      db.prepare(`
+        UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND last_seen_at < datetime('now', '-5 minutes')
+      `).run(user.sessionId);
+    }
+
     req.user = user;
     next();
   });
 };
 
-// ================================
-// UTILITY FUNCTIONS
-// ================================
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const signAuthToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, tokenVersion: user.token_version || 0, sessionId },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Start a session for a signed-in device and return its auth response fields
+const createSession = (user, req) => {
+  const sessionId = generateId();
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  db.prepare(`
+    INSERT INTO sessions (
+      id, user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    sessionId,
+    user.id,
+    hashToken(refreshToken),
+    req.body.device_name || null,
+    req.get('User-Agent') || null,
+    req.ip || null,
+    refreshTokenExpiry()
+  );
+
+  return {
+    token: signAuthToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    session_id: sessionId
+  };
+};
+
+const revokeAllSessions = (userId) => {
+  return db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND revoked_at IS NULL
+  `).run(userId).changes;
+};
+
+const USER_ROLES = ['user', 'moderator', 'admin'];
+
+// Roles are read from the DB so promotions and demotions apply immediately
+const isAdmin = (userId) => {
+  const user = db.prepare('SELECT role FROM users WHERE id = ?').get(userId);
+  return Boolean(user && user.role === 'admin');
+};
+
+// Moderators run chat; admins can do everything a moderator can
+const isModerator = (userId) => {
+  const user = db.prepare('SELECT role FROM users WHERE id = ?').get(userId);
+  return Boolean(user && (user.role === 'moderator' || user.role === 'admin'));
+};
+
+// Must run after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user.userId)) {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+// Must run after authenticateToken
+const requireModerator = (req, res, next) => {
+  if (!isModerator(req.user.userId)) {
+    return res.status(403).json({ message: 'Moderator access required' });
+  }
+  next();
+};
+
+// Routes scoped by :userId are only reachable by that user or an admin.
+// Must run after authenticateToken.
+const authorizeUser = (req, res, next) => {
+  if (req.params.userId !== req.user.userId && !isAdmin(req.user.userId)) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+  next();
+};
+
+// After this date a user_id in the request body is rejected instead of tolerated
+const BODY_USER_ID_SUNSET = new Date(process.env.BODY_USER_ID_SUNSET || '2027-03-31T00:00:00Z');
+
+// The acting user comes from the JWT. Older iOS builds still send user_id in the
+// body; until the sunset it is accepted if it matches (admins may act for anyone)
+// and the response is flagged deprecated. Must run after authenticateToken.
+const resolveActingUser = (req, res, next) => {
+  const bodyUserId = req.body && req.body.user_id;
+  req.actingUserId = req.user.userId;
+
+  if (bodyUserId === undefined || bodyUserId === null) {
+    return next();
+  }
+
+  if (new Date() >= BODY_USER_ID_SUNSET) {
+    return res.status(400).json({
+      message: 'user_id in the request body is no longer supported; the signed-in user is used',
+      code: 'BODY_USER_ID_REMOVED'
+    });
+  }
+
+  res.set('Deprecation', 'true');
+  res.set('Sunset', BODY_USER_ID_SUNSET.toUTCString());
+
+  if (bodyUserId !== req.user.userId) {
+    if (!isAdmin(req.user.userId)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    req.actingUserId = bodyUserId;
+  }
+
+  next();
+};
+
+// ================================
+// UTILITY FUNCTIONS
+// ================================
 const generateId = () => {
   return 'id_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
 };
@@ -192,778 +1074,8804 @@ const verifyDigitalSignature = (data, signature) => {
   );
 };
 
-// Send receipt email via Nodemailer (cPanel SMTP)
-const sendReceiptEmail = async (receiptData) => {
-  try {
-    const { email, receiptNumber, items, totalAmount, purchaseDate, signature } = receiptData;
-    
-    const emailHtml = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: #FF0000; color: white; padding: 20px; text-align: center; }
-        .content { background: #f9f9f9; padding: 20px; margin-top: 20px; }
-        .receipt-info { background: white; padding: 15px; margin: 10px 0; border-left: 4px solid #FF0000; }
-        .items { background: white; padding: 15px; margin: 10px 0; }
-        .total { font-size: 20px; font-weight: bold; color: #FF0000; margin-top: 15px; }
-        .signature { font-size: 10px; color: #666; margin-top: 20px; word-break: break-all; }
-        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header">
-          <h1>🎫 FightPass Receipt</h1>
-          <p>Thank you for your purchase!</p>
-        </div>
-        
-        <div class="content">
-          <div class="receipt-info">
-            <h3>Receipt Details</h3>
-            <p><strong>Receipt Number:</strong> ${receiptNumber}</p>
-            <p><strong>Date:</strong> ${new Date(purchaseDate).toLocaleString()}</p>
-            <p><strong>Email:</strong> ${email}</p>
-          </div>
-          
-          <div class="items">
-            <h3>Items Purchased</h3>
-            ${items}
-          </div>
-          
-          <div class="total">
-            Total: $${totalAmount.toFixed(2)}
-          </div>
-          
-          <div class="signature">
-            <p><strong>Digital Signature:</strong></p>
-            <p>${signature}</p>
-            <p style="margin-top: 10px; font-size: 9px;">This signature verifies the authenticity of this receipt. Do not share this receipt as it may contain sensitive purchase information.</p>
-          </div>
-        </div>
-        
-        <div class="footer">
-          <p>FightPass - Token-Based Streaming Platform</p>
-          <p>Questions? Contact support@fightpass.com</p>
-          <p style="margin-top: 15px; font-size: 10px;">This is an automated receipt. Please do not reply to this email.</p>
-        </div>
-      </div>
-    </body>
-    </html>
-    `;
-
-    const result = await transporter.sendMail({
-      from: process.env.SMTP_FROM || 'FightPass <info@codeember.com>',
-      to: email,
-      subject: `Receipt ${receiptNumber} - FightPass Purchase`,
-      html: emailHtml
-    });
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 8;
 
-    return result;
-  } catch (error) {
-    console.error('Error sending receipt email:', error);
-    throw error;
-  }
+// One-way hash for bearer secrets we need to look up but never read back
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
-// ================================
-// HEALTH CHECK
-// ================================
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
+// Idempotency keys let clients retry a request and get the original response back
+const isValidIdempotencyKey = (key) => typeof key === 'string' && key.length > 0 && key.length <= 255;
+
+const findIdempotentResponse = (userId, key) => {
+  return db.prepare('SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?').get(userId, key);
+};
+
+const saveIdempotentResponse = (userId, key, scope, fingerprint, status, body) => {
+  db.prepare(`
+    INSERT INTO idempotency_keys (
+      user_id, idempotency_key, scope, request_fingerprint, response_status, response_body
+    ) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, key, scope, fingerprint, status, JSON.stringify(body));
+};
+
+// A request that has claimed its key but not finished yet (a Square charge in
+// flight) stores this status; the body says where a retry should pick up
+const IDEMPOTENCY_IN_PROGRESS = 102;
+
+const completeIdempotentResponse = (userId, key, status, body) => {
+  db.prepare(`
+    UPDATE idempotency_keys SET response_status = ?, response_body = ?
+    WHERE user_id = ? AND idempotency_key = ?
+  `).run(status, JSON.stringify(body), userId, key);
+};
+
+// Shape an events row for API responses
+const formatEvent = (e) => ({
+  id: e.id,
+  title: e.title,
+  subtitle: e.subtitle || '',
+  description: e.description,
+  thumbnail_url: e.thumbnail_url,
+  is_live: Boolean(e.is_live),
+  viewers: e.viewers,
+  price: e.price,
+  start_time: e.start_time,
+  end_time: e.end_time,
+  series_id: e.series_id || null,
+  access_policy: e.access_policy || 'live_and_replay',
+  replay_days: e.replay_days,
+  replay_price: e.replay_price,
+  category: e.category || null,
+  promotion: e.promotion || null,
+  venue_id: e.venue_id || null,
+  photos_require_purchase: Boolean(e.photos_require_purchase)
 });
 
-// ================================
-// AUTHENTICATION ENDPOINTS
-// ================================
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
 
-// Sign Up
-app.post('/api/v1/auth/signup', async (req, res) => {
+const isValidUrl = (value) => {
   try {
-    const { email, password, name } = req.body;
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+};
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password required' });
+// Validate admin event input; `existing` is the current row when updating
+const validateEventInput = (input, existing = null) => {
+  const errors = [];
+  const merged = { ...existing, ...input };
+
+  if (!existing || input.title !== undefined) {
+    if (typeof merged.title !== 'string' || !merged.title.trim()) {
+      errors.push('title is required');
     }
+  }
 
-    // Check if user exists
-    const existingUser = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+  if (!existing || input.price !== undefined) {
+    if (!Number.isInteger(merged.price) || merged.price < 0) {
+      errors.push('price must be a non-negative integer number of tokens');
     }
+  }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-    const userId = generateId();
+  if (input.start_time != null && !isValidDate(input.start_time)) {
+    errors.push('start_time must be a valid ISO 8601 date');
+  }
 
-    // Create user
+  if (input.end_time != null && !isValidDate(input.end_time)) {
+    errors.push('end_time must be a valid ISO 8601 date');
+  }
+
+  if (merged.start_time && merged.end_time && isValidDate(merged.start_time) && isValidDate(merged.end_time) &&
+      new Date(merged.end_time) <= new Date(merged.start_time)) {
+    errors.push('end_time must be after start_time');
+  }
+
+  if (input.youtube_url != null && !isValidUrl(input.youtube_url)) {
+    errors.push('youtube_url must be an http(s) URL');
+  }
+
+  if (input.stream_provider != null && !STREAM_PROVIDERS[input.stream_provider]) {
+    errors.push(`stream_provider must be one of: ${Object.keys(STREAM_PROVIDERS).join(', ')}`);
+  }
+
+  if (input.stream_url != null && !isValidUrl(input.stream_url)) {
+    errors.push('stream_url must be an http(s) URL');
+  }
+
+  if (input.thumbnail_url != null && !isValidUrl(input.thumbnail_url)) {
+    errors.push('thumbnail_url must be an http(s) URL');
+  }
+
+  if (input.series_id != null && !db.prepare('SELECT id FROM event_series WHERE id = ?').get(input.series_id)) {
+    errors.push('series_id does not match a series');
+  }
+
+  if (input.access_policy != null && !EVENT_ACCESS_POLICIES.includes(input.access_policy)) {
+    errors.push(`access_policy must be one of: ${EVENT_ACCESS_POLICIES.join(', ')}`);
+  }
+
+  if (input.replay_days != null && (!Number.isInteger(input.replay_days) || input.replay_days < 0)) {
+    errors.push('replay_days must be a non-negative integer');
+  }
+
+  if (input.replay_price != null && (!Number.isInteger(input.replay_price) || input.replay_price < 0)) {
+    errors.push('replay_price must be a non-negative integer (tokens)');
+  }
+
+  if (input.vod_url != null && !isValidUrl(input.vod_url)) {
+    errors.push('vod_url must be an http(s) URL');
+  }
+
+  if (input.category != null && !db.prepare('SELECT id FROM categories WHERE id = ?').get(input.category)) {
+    errors.push('category does not match a category');
+  }
+
+  if (input.venue_id != null && !db.prepare('SELECT id FROM venues WHERE id = ?').get(input.venue_id)) {
+    errors.push('venue_id does not match a venue');
+  }
+
+  if (input.promotion != null && (typeof input.promotion !== 'string' || !input.promotion.trim() || input.promotion.length > 100)) {
+    errors.push('promotion must be a non-empty string of at most 100 characters');
+  }
+
+  if (input.photos_require_purchase != null && typeof input.photos_require_purchase !== 'boolean') {
+    errors.push('photos_require_purchase must be a boolean');
+  }
+
+  return errors;
+};
+
+// Where the API is reachable from outside; printed in receipt PDFs and emails
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Prices are tax-inclusive; the rate only splits the tax out on receipts
+const TAX_RATE_PERCENT = parseFloat(process.env.TAX_RATE_PERCENT) || 0;
+const TAX_LABEL = process.env.TAX_LABEL || 'Tax';
+
+// Stored in the receipt_url columns; responses make it absolute
+const receiptPdfPath = (receiptNumber) => `/api/v1/receipts/${encodeURIComponent(receiptNumber)}/pdf`;
+const absoluteReceiptUrl = (req, receiptUrl) => (receiptUrl ? `${requestBaseUrl(req)}${receiptUrl}` : null);
+const receiptPdfKey = (receiptNumber) => `receipts/${receiptNumber}.pdf`;
+
+// Absolute PDF link for a receipt number, or null when it has no PDF
+const receiptUrlFor = (req, receiptNumber) => {
+  const pdf = receiptNumber && db.prepare('SELECT 1 FROM receipt_pdfs WHERE receipt_number = ?').get(receiptNumber);
+  return pdf ? absoluteReceiptUrl(req, receiptPdfPath(receiptNumber)) : null;
+};
+
+// Adds receipt_url to a purchase response that carries a receipt_number
+const withReceiptUrl = (req, body) => (body && body.receipt_number
+  ? { ...body, receipt_url: receiptUrlFor(req, body.receipt_number) }
+  : body);
+
+const receiptVerifyUrl = (receiptNumber, signature) =>
+  `${PUBLIC_API_URL}/receipts/verify?number=${encodeURIComponent(receiptNumber)}&signature=${encodeURIComponent(signature)}`;
+
+const receiptTaxLines = ({ totalAmount, totalTokens, currency }) => {
+  if (totalTokens != null) {
+    return [{ label: TAX_LABEL, value: 'Included in your token purchase' }];
+  }
+
+  const tax = Math.round(totalAmount * TAX_RATE_PERCENT / (100 + TAX_RATE_PERCENT) * 100) / 100;
+  return [
+    { label: 'Subtotal', value: formatMoney(totalAmount - tax, currency) },
+    { label: `${TAX_LABEL} (${TAX_RATE_PERCENT}%, included)`, value: formatMoney(tax, currency) }
+  ];
+};
+
+// Render the PDF into photoStorage, and point every row carrying the receipt
+// number at it
+const storeReceiptPdf = async (userId, receipt) => {
+  const pdf = await renderReceiptPdf(receipt);
+  const key = receiptPdfKey(receipt.receiptNumber);
+  const receiptUrl = receiptPdfPath(receipt.receiptNumber);
+
+  await photoStorage.put(key, pdf, 'application/pdf');
+
+  db.transaction(() => {
     db.prepare(`
-      INSERT INTO users (id, email, password, name, token_balance)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(userId, email, hashedPassword, name || null, 0);
+      INSERT INTO receipt_pdfs (receipt_number, user_id, storage_key) VALUES (?, ?, ?)
+      ON CONFLICT(receipt_number) DO UPDATE SET storage_key = excluded.storage_key, created_at = CURRENT_TIMESTAMP
+    `).run(receipt.receiptNumber, userId, key);
 
-    // Generate JWT
-    const token = jwt.sign({ userId, email }, process.env.JWT_SECRET || 'your-secret-key', {
-      expiresIn: '30d'
+    ['purchases', 'orders', 'token_purchases', 'refunds'].forEach(table => {
+      db.prepare(`UPDATE ${table} SET receipt_url = ? WHERE receipt_number = ?`).run(receiptUrl, receipt.receiptNumber);
     });
+  })();
+};
 
-    res.status(201).json({
-      token,
-      user_id: userId,
+// Queue a receipt email with its PDF. `items` are { title, subtitle?, lines }
+// for the templates; every caller value is escaped when rendered. Receipts paid
+// in tokens pass `totalTokens` instead of `totalAmount`.
+const sendReceiptEmail = async (receiptData) => {
+  try {
+    const {
+      userId, email, receiptNumber, items, notes, callout, totalAmount, totalTokens, purchaseDate, signature,
+      currency = 'USD',
+      heading,
+      subject,
+      topic = 'order_updates'
+    } = receiptData;
+
+    const receipt = {
       email,
-      name: name || null,
-      token_balance: 0
+      receiptNumber,
+      purchaseDate: new Date(purchaseDate).toLocaleString(),
+      items,
+      notes,
+      callout,
+      taxLines: receiptTaxLines({ totalAmount, totalTokens, currency }),
+      total: totalTokens != null ? `${totalTokens} tokens` : formatMoney(totalAmount, currency),
+      signature,
+      verifyUrl: receiptVerifyUrl(receiptNumber, signature),
+      heading
+    };
+
+    // The email still goes out (without the attachment) if the PDF can't be made
+    try {
+      await storeReceiptPdf(userId, receipt);
+    } catch (pdfError) {
+      console.error(`Failed to generate receipt PDF ${receiptNumber}:`, pdfError);
+    }
+
+    return await dispatchNotification({
+      userId,
+      topic,
+      email: {
+        to: email,
+        template: 'receipt',
+        receipt_number: receiptNumber,
+        ...emailTemplates.receipt({ ...receipt, subject })
+      }
     });
   } catch (error) {
-    console.error('Sign up error:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error sending receipt email:', error);
+    throw error;
+  }
+};
+
+// Queue a password reset link
+const sendPasswordResetEmail = async ({ userId, email, name, resetLink }) => dispatchNotification({
+  userId,
+  topic: null,
+  email: {
+    to: email,
+    template: 'password_reset',
+    ...emailTemplates.passwordReset({ name, resetLink, ttlMinutes: PASSWORD_RESET_TTL_MINUTES })
   }
 });
 
-// Sign In
-app.post('/api/v1/auth/signin', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// ================================
+// PUSH NOTIFICATIONS (APNs)
+// ================================
+// The iOS app registers its APNs device token for the signed-in user. Pushes go
+// to Apple over HTTP/2 with token-based auth (a .p8 signing key); set APNS_HOST
+// to point them at a local mock instead (see apns-mock.js).
 
-    // Find user
-    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+const APNS_ENVIRONMENTS = Object.keys(APNS_HOSTS);
+const DEFAULT_APNS_ENVIRONMENT = APNS_ENVIRONMENTS.includes(process.env.APNS_ENVIRONMENT)
+  ? process.env.APNS_ENVIRONMENT
+  : 'sandbox';
+const APNS_PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000; // Apple rejects tokens older than an hour
+const APNS_REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_PUSH_DEVICES_PER_USER = 10;
+
+const loadApnsKey = () => {
+  if (process.env.APNS_PRIVATE_KEY) {
+    return process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.APNS_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+  }
+  return null;
+};
+
+const apnsConfig = {
+  keyId: process.env.APNS_KEY_ID,
+  teamId: process.env.APNS_TEAM_ID,
+  bundleId: process.env.APNS_BUNDLE_ID,
+  privateKey: loadApnsKey()
+};
+const APNS_ENABLED = Boolean(apnsConfig.keyId && apnsConfig.teamId && apnsConfig.bundleId && apnsConfig.privateKey);
+
+if (!APNS_ENABLED) {
+  console.warn('APNs is not configured; push notifications are disabled');
+}
+
+// Apple throttles providers that mint a new token per request, so reuse one
+// until it nears the one-hour limit
+let apnsProviderToken = null;
+
+const getApnsProviderToken = () => {
+  if (!apnsProviderToken || Date.now() - apnsProviderToken.issuedAt > APNS_PROVIDER_TOKEN_TTL_MS) {
+    apnsProviderToken = {
+      token: jwt.sign({ iss: apnsConfig.teamId }, apnsConfig.privateKey, { algorithm: 'ES256', keyid: apnsConfig.keyId }),
+      issuedAt: Date.now()
+    };
+  }
+  return apnsProviderToken.token;
+};
+
+// One long-lived HTTP/2 connection per APNs host, reopened when it drops
+const apnsSessions = new Map();
+
+const getApnsSession = (environment) => {
+  const origin = process.env.APNS_HOST || APNS_HOSTS[environment];
+  const existing = apnsSessions.get(origin);
+  if (existing && !existing.closed && !existing.destroyed) {
+    return existing;
+  }
+
+  const session = http2.connect(origin);
+  session.on('error', error => console.error('APNs connection error:', error.message));
+  session.on('goaway', () => session.close());
+  session.on('close', () => {
+    if (apnsSessions.get(origin) === session) {
+      apnsSessions.delete(origin);
+    }
+  });
+  session.unref();
+  apnsSessions.set(origin, session);
+  return session;
+};
+
+// Resolves to { status, reason } (reason is APNs' error code, e.g. 'Unregistered')
+const sendApnsRequest = (device, payload, collapseId) => new Promise((resolve, reject) => {
+  const request = getApnsSession(device.environment).request({
+    ':method': 'POST',
+    ':path': `/3/device/${device.token}`,
+    authorization: `bearer ${getApnsProviderToken()}`,
+    'apns-topic': apnsConfig.bundleId,
+    'apns-push-type': 'alert',
+    'apns-priority': '10',
+    ...(collapseId ? { 'apns-collapse-id': collapseId } : {})
+  });
+
+  let status = null;
+  let body = '';
+
+  request.setEncoding('utf8');
+  request.setTimeout(APNS_REQUEST_TIMEOUT_MS, () => request.close(http2.constants.NGHTTP2_CANCEL));
+  request.on('response', headers => { status = headers[':status']; });
+  request.on('data', chunk => { body += chunk; });
+  request.on('error', reject);
+  request.on('close', () => {
+    if (!status) {
+      return reject(new Error('APNs request closed without a response'));
+    }
+    let reason = null;
+    try {
+      reason = body ? JSON.parse(body).reason : null;
+    } catch (parseError) {
+      reason = body;
     }
+    resolve({ status, reason });
+  });
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+  request.end(JSON.stringify(payload));
+});
+
+// Tokens APNs says will never work again
+const isDeadDeviceToken = ({ status, reason }) =>
+  status === 410 || (status === 400 && ['BadDeviceToken', 'DeviceTokenNotForTopic'].includes(reason));
+
+// Push channel for dispatchNotification: `message` is { title, body, data?, collapse_id? }.
+// Sends to each of the user's devices and forgets tokens Apple has retired.
+const sendPushNotification = async (message, { userId }) => {
+  if (!APNS_ENABLED || !userId) {
+    return 'unavailable';
+  }
+
+  const devices = db.prepare('SELECT * FROM push_devices WHERE user_id = ?').all(userId);
+  if (devices.length === 0) {
+    return 'no_devices';
+  }
+
+  const payload = {
+    aps: { alert: { title: message.title, body: message.body }, sound: 'default' },
+    ...(message.data || {})
+  };
+
+  let delivered = 0;
+  for (const device of devices) {
+    try {
+      const response = await sendApnsRequest(device, payload, message.collapse_id);
+      if (response.status === 200) {
+        delivered += 1;
+        db.prepare('UPDATE push_devices SET last_push_at = CURRENT_TIMESTAMP WHERE id = ?').run(device.id);
+      } else if (isDeadDeviceToken(response)) {
+        db.prepare('DELETE FROM push_devices WHERE id = ?').run(device.id);
+      } else {
+        if (response.reason === 'ExpiredProviderToken') {
+          apnsProviderToken = null;
+        }
+        console.error(`APNs rejected push to device ${device.id}: ${response.status} ${response.reason}`);
+      }
+    } catch (error) {
+      console.error(`APNs push to device ${device.id} failed:`, error.message);
     }
+  }
 
-    // Generate JWT
-    const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET || 'your-secret-key', {
-      expiresIn: '30d'
-    });
+  return delivered > 0 ? 'sent' : 'failed';
+};
 
-    res.json({
-      token,
-      user_id: user.id,
-      email: user.email,
-      name: user.name,
-      token_balance: user.token_balance
-    });
+const formatPushDevice = (device) => ({
+  id: device.id,
+  token: device.token,
+  environment: device.environment,
+  created_at: device.created_at,
+  updated_at: device.updated_at,
+  last_push_at: device.last_push_at
+});
+
+// List Push Devices
+app.get('/api/v1/users/:userId/devices', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const devices = db.prepare('SELECT * FROM push_devices WHERE user_id = ? ORDER BY updated_at DESC')
+      .all(req.params.userId);
+    res.json({ devices: devices.map(formatPushDevice), total: devices.length });
   } catch (error) {
-    console.error('Sign in error:', error);
+    console.error('List devices error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Password Reset
-app.post('/api/v1/auth/password-reset', async (req, res) => {
+// Register Push Device. A token moves to whoever registers it last, so a
+// shared phone only gets pushes for the account signed in on it.
+app.post('/api/v1/users/:userId/devices', authenticateToken, authorizeUser, (req, res) => {
   try {
-    const { email } = req.body;
+    const { token, environment = DEFAULT_APNS_ENVIRONMENT } = req.body;
 
-    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    const errors = [];
+    if (typeof token !== 'string' || !/^[0-9a-fA-F]{64,200}$/.test(token)) {
+      errors.push('token must be the hex APNs device token');
+    }
+    if (!APNS_ENVIRONMENTS.includes(environment)) {
+      errors.push(`environment must be one of: ${APNS_ENVIRONMENTS.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid device', errors });
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.userId);
     if (!user) {
-      // Don't reveal if user exists
-      return res.json({ message: 'If that email exists, a reset link has been sent', success: true });
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // TODO: Send email with reset link using Resend
+    const normalized = token.toLowerCase();
+    const existing = db.prepare('SELECT * FROM push_devices WHERE token = ?').get(normalized);
+
+    db.transaction(() => {
+      if (existing) {
+        db.prepare(`
+          UPDATE push_devices SET user_id = ?, environment = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(user.id, environment, existing.id);
+      } else {
+        db.prepare('INSERT INTO push_devices (id, user_id, token, environment) VALUES (?, ?, ?, ?)')
+          .run(generateId(), user.id, normalized, environment);
+      }
+
+      // Reinstalls leave stale tokens behind; keep the most recent few
+      db.prepare(`
+        DELETE FROM push_devices WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM push_devices WHERE user_id = ? ORDER BY updated_at DESC, rowid DESC LIMIT ?
+        )
+      `).run(user.id, user.id, MAX_PUSH_DEVICES_PER_USER);
+    })();
 
-    res.json({ message: 'Password reset email sent', success: true });
+    const device = db.prepare('SELECT * FROM push_devices WHERE token = ?').get(normalized);
+    res.status(existing && existing.user_id === user.id ? 200 : 201).json(formatPushDevice(device));
   } catch (error) {
-    console.error('Password reset error:', error);
+    console.error('Register device error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// ================================
-// EVENT ENDPOINTS
-// ================================
-
-// Get Live Events
-app.get('/api/v1/events/live', (req, res) => {
+// Unregister Push Device
+app.delete('/api/v1/users/:userId/devices/:token', authenticateToken, authorizeUser, (req, res) => {
   try {
-    const events = db.prepare('SELECT * FROM events WHERE is_live = 1').all();
-    
-    res.json({
-      events: events.map(e => ({
-        id: e.id,
-        title: e.title,
-        subtitle: e.subtitle || '',
-        description: e.description,
-        thumbnail_url: e.thumbnail_url,
-        is_live: Boolean(e.is_live),
-        viewers: e.viewers,
-        price: e.price,
-        start_time: e.start_time,
-        end_time: e.end_time
-      })),
-      total: events.length
-    });
+    const { changes } = db.prepare('DELETE FROM push_devices WHERE user_id = ? AND token = ?')
+      .run(req.params.userId, String(req.params.token).toLowerCase());
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('Get live events error:', error);
+    console.error('Unregister device error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get Upcoming Events
-app.get('/api/v1/events/upcoming', (req, res) => {
-  try {
-    const events = db.prepare('SELECT * FROM events WHERE is_live = 0').all();
-    
-    res.json({
-      events: events.map(e => ({
-        id: e.id,
-        title: e.title,
-        subtitle: e.subtitle || '',
-        description: e.description,
-        thumbnail_url: e.thumbnail_url,
-        is_live: Boolean(e.is_live),
-        viewers: e.viewers,
-        price: e.price,
-        start_time: e.start_time,
-        end_time: e.end_time
-      })),
-      total: events.length
-    });
-  } catch (error) {
-    console.error('Get upcoming events error:', error);
-    res.status(500).json({ message: 'Server error' });
+// ================================
+// EMAIL OUTBOX
+// ================================
+// Outgoing email is written to email_outbox and sent by a background worker, so
+// an SMTP outage never fails the request that produced the email. Failed sends
+// back off exponentially; after EMAIL_MAX_ATTEMPTS, or when the server rejects
+// the recipient outright, the email is dead-lettered for an admin to retry.
+const EMAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead', 'skipped'];
+const EMAIL_POLL_SECONDS = parseInt(process.env.EMAIL_POLL_SECONDS) || 10;
+const EMAIL_MAX_ATTEMPTS = 8;
+const EMAIL_BATCH_SIZE = 20;
+// Sent and dead emails are pruned after this; receipts are kept so they can be resent
+const EMAIL_RETENTION_DAYS = 30;
+
+const deliverQueuedEmail = async (email) => {
+  const { changes } = db.prepare(`
+    UPDATE email_outbox SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `).run(email.id);
+  if (changes === 0) {
+    return;
   }
-});
 
-// Get Event Details
-app.get('/api/v1/events/:eventId', (req, res) => {
+  const attempts = email.attempts + 1;
   try {
-    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
-    
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
+    const receiptPdf = email.receipt_number
+      && db.prepare('SELECT storage_key FROM receipt_pdfs WHERE receipt_number = ?').get(email.receipt_number);
+    const pdf = receiptPdf && await photoStorage.get(receiptPdf.storage_key);
 
-    res.json({
-      id: event.id,
-      title: event.title,
-      subtitle: event.subtitle || '',
-      description: event.description || '',
-      thumbnail_url: event.thumbnail_url,
-      is_live: Boolean(event.is_live),
-      viewers: event.viewers,
-      price: event.price,
-      start_time: event.start_time,
-      end_time: event.end_time,
-      venue: null,
-      categories: []
+    const info = await transporter.sendMail({
+      from: process.env.SMTP_FROM || 'FightPass <info@codeember.com>',
+      to: email.to_address,
+      subject: email.subject,
+      html: email.html,
+      ...(email.text ? { text: email.text } : {}),
+      ...(pdf ? {
+        attachments: [{
+          filename: `FightPass-Receipt-${email.receipt_number}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf'
+        }]
+      } : {})
     });
-  } catch (error) {
-    console.error('Get event error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
 
-// Search Events
-app.get('/api/v1/events/search', (req, res) => {
-  try {
-    const query = req.query.q || '';
-    const events = db.prepare(`
-      SELECT * FROM events 
-      WHERE title LIKE ? OR subtitle LIKE ? OR description LIKE ?
-    `).all(`%${query}%`, `%${query}%`, `%${query}%`);
-    
-    res.json({
-      events: events.map(e => ({
-        id: e.id,
-        title: e.title,
-        subtitle: e.subtitle || '',
-        description: e.description,
-        thumbnail_url: e.thumbnail_url,
-        is_live: Boolean(e.is_live),
-        viewers: e.viewers,
-        price: e.price,
-        start_time: e.start_time,
-        end_time: e.end_time
-      })),
-      total: events.length
-    });
+    // Only receipts are ever resent. Other bodies are dropped once delivered so
+    // links and codes in them (password resets) don't outlive the send.
+    db.prepare(`
+      UPDATE email_outbox
+      SET status = 'sent', message_id = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+        html = CASE WHEN receipt_number IS NULL THEN '' ELSE html END,
+        text = CASE WHEN receipt_number IS NULL THEN NULL ELSE text END
+      WHERE id = ?
+    `).run(info.messageId || null, email.id);
   } catch (error) {
-    console.error('Search events error:', error);
-    res.status(500).json({ message: 'Server error' });
+    const rejected = error.code === 'EENVELOPE' && error.responseCode >= 500;
+
+    if (rejected || attempts >= EMAIL_MAX_ATTEMPTS) {
+      console.error(`Email ${email.id} (${email.template || 'email'}) dead-lettered after ${attempts} attempt(s):`, error.message);
+      db.prepare(`
+        UPDATE email_outbox SET status = 'dead', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(error.message, email.id);
+      return;
+    }
+
+    // Back off 1, 2, 4... minutes, at most an hour
+    console.warn(`Email ${email.id} send failed (attempt ${attempts}):`, error.message);
+    const retryAt = new Date(Date.now() + Math.min(Math.pow(2, attempts - 1), 60) * 60000).toISOString();
+    db.prepare(`
+      UPDATE email_outbox SET status = 'pending', next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(retryAt, error.message, email.id);
   }
-});
+};
 
-// ================================
-// PURCHASE ENDPOINTS
-// ================================
+let emailWorkerBusy = false;
+let emailWorkerKicked = false;
 
-// Purchase Event
-app.post('/api/v1/purchases/events', authenticateToken, async (req, res) => {
+const sendDueEmails = async () => {
+  if (emailWorkerBusy) {
+    emailWorkerKicked = true;
+    return;
+  }
+  emailWorkerBusy = true;
   try {
-    const { event_id, user_id } = req.body;
-
-    // Get event
-    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(event_id);
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
+    const due = db.prepare(`
+      SELECT * FROM email_outbox
+      WHERE status = 'pending' AND julianday(next_attempt_at) <= julianday('now')
+      ORDER BY julianday(next_attempt_at), rowid
+      LIMIT ?
+    `).all(EMAIL_BATCH_SIZE);
 
-    // Get user
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    for (const email of due) {
+      await deliverQueuedEmail(email);
     }
+  } finally {
+    emailWorkerBusy = false;
+  }
 
-    // Check token balance
-    if (user.token_balance < event.price) {
-      return res.status(400).json({ 
-        message: 'Insufficient tokens',
-        required: event.price,
-        current: user.token_balance,
-        shortage: event.price - user.token_balance
-      });
-    }
+  // More was queued while this batch was sending
+  if (emailWorkerKicked) {
+    emailWorkerKicked = false;
+    setImmediate(kickEmailWorker);
+  }
+};
 
-    // ================================
-    // PROCESS PURCHASE
-    // ================================
-    
-    // Deduct tokens
-    db.prepare('UPDATE users SET token_balance = token_balance - ? WHERE id = ?')
-      .run(event.price, user_id);
-
-    // Generate purchase details
-    const purchaseId = generateId();
-    const accessToken = generateAccessToken();
-    const receiptNumber = generateReceiptNumber();
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(); // 30 days
-
-    // Create signature data
-    const signatureData = {
-      receipt_number: receiptNumber,
-      purchase_id: purchaseId,
-      user_id: user_id,
-      event_id: event_id,
-      access_token: accessToken,
-      tokens_spent: event.price,
-      expires_at: expiresAt,
-      timestamp: new Date().toISOString()
-    };
-    
-    const digitalSignature = generateDigitalSignature(signatureData);
+const kickEmailWorker = () => {
+  sendDueEmails().catch(error => console.error('Email worker error:', error));
+};
 
-    // ================================
-    // SAVE PURCHASE RECORD
-    // ================================
-    db.prepare(`
-      INSERT INTO purchases (
-        id, user_id, event_id, access_token, expires_at,
-        receipt_number, digital_signature, amount_paid
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      purchaseId,
-      user_id,
-      event_id,
-      accessToken,
-      expiresAt,
-      receiptNumber,
-      digitalSignature,
-      event.price
-    );
+// Store a rendered email ({ to, subject, html, text, template, receipt_number })
+// for the worker. 'skipped' rows are receipts the user's preferences held back,
+// kept so they can still be resent on request.
+const queueEmail = (message, { userId = null } = {}, status = 'pending') => {
+  const id = generateId();
+  db.prepare(`
+    INSERT INTO email_outbox (id, user_id, to_address, template, receipt_number, subject, html, text, status, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, userId, message.to, message.template || null, message.receipt_number || null,
+    message.subject, message.html, message.text || null, status, new Date().toISOString()
+  );
 
-    // Create order record
-    const orderId = generateId();
-    db.prepare(`
-      INSERT INTO orders (
-        id, user_id, type, items, amount, status,
-        receipt_number, digital_signature
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      orderId,
-      user_id,
-      'Event Access',
-      `${event.title} - ${event.subtitle}`,
-      event.price,
-      'completed',
-      receiptNumber,
-      digitalSignature
-    );
+  if (status === 'pending') {
+    setImmediate(kickEmailWorker);
+  }
+  return id;
+};
 
-    // ================================
-    // SEND RECEIPT EMAIL
-    // ================================
-    const itemsHtml = `
-      <h4>${event.title}</h4>
-      <p>${event.subtitle}</p>
-      <ul>
-        <li><strong>Access Token:</strong> ${accessToken}</li>
-        <li><strong>Valid Until:</strong> ${new Date(expiresAt).toLocaleDateString()}</li>
-        <li><strong>Tokens Used:</strong> ${event.price}</li>
-      </ul>
-      <p style="margin-top: 15px; padding: 10px; background: #fff3cd; border-left: 4px solid #ffc107;">
-        <strong>Keep this receipt safe!</strong> Your access token is required to watch this event.
-      </p>
-    `;
+// Email channel sender for dispatchNotification
+const sendEmailNotification = (message, { userId }) => {
+  queueEmail(message, { userId });
+  return 'queued';
+};
 
-    try {
-      await sendReceiptEmail({
-        email: user.email,
-        receiptNumber: receiptNumber,
-        items: itemsHtml,
-        totalAmount: event.price,
-        purchaseDate: new Date().toISOString(),
-        signature: digitalSignature
-      });
-    } catch (emailError) {
-      console.error('Failed to send receipt email:', emailError);
-      // Don't fail the purchase if email fails
-    }
+// Only this process sends, so anything still marked sending was cut off by a
+// restart. It may have gone out already; sending it again beats losing it.
+const startEmailWorker = () => {
+  const { changes } = db.prepare(`
+    UPDATE email_outbox SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'sending'
+  `).run();
+  if (changes > 0) {
+    console.warn(`Re-queued ${changes} email(s) interrupted by a restart`);
+  }
 
-    // ================================
-    // RETURN SUCCESS
-    // ================================
-    res.json({
-      success: true,
-      access_token: accessToken,
-      expires_at: expiresAt,
-      receipt_number: receiptNumber,
-      digital_signature: digitalSignature,
-      message: `Event purchased successfully! Receipt sent to ${user.email}`
-    });
+  setInterval(kickEmailWorker, EMAIL_POLL_SECONDS * 1000).unref();
+  kickEmailWorker();
+};
 
-  } catch (error) {
-    console.error('Purchase event error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
+const formatOutboxEmail = (email) => ({
+  id: email.id,
+  user_id: email.user_id,
+  to: email.to_address,
+  template: email.template,
+  receipt_number: email.receipt_number,
+  subject: email.subject,
+  status: email.status,
+  attempts: email.attempts,
+  next_attempt_at: email.next_attempt_at,
+  last_error: email.last_error,
+  message_id: email.message_id,
+  created_at: email.created_at,
+  sent_at: email.sent_at
 });
 
-// Get User Events
-app.get('/api/v1/users/:userId/events', authenticateToken, (req, res) => {
+// List Outbox Emails (admin)
+app.get('/api/v1/admin/email-outbox', authenticateToken, requireAdmin, (req, res) => {
   try {
-    const purchases = db.prepare(`
-      SELECT p.*, e.title, e.thumbnail_url
-      FROM purchases p
-      JOIN events e ON p.event_id = e.id
-      WHERE p.user_id = ?
-      ORDER BY p.purchase_date DESC
-    `).all(req.params.userId);
+    const { status, template } = req.query;
+    if (status && !EMAIL_OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${EMAIL_OUTBOX_STATUSES.join(', ')}` });
+    }
 
-    res.json({
-      events: purchases.map(p => ({
-        id: p.id,
-        event_id: p.event_id,
-        title: p.title,
-        purchase_date: p.purchase_date,
-        expires_at: p.expires_at,
-        status: new Date(p.expires_at) > new Date() ? 'active' : 'expired',
-        thumbnail_url: p.thumbnail_url
-      })),
-      total: purchases.length
-    });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (template) {
+      where.push('template = ?');
+      params.push(template);
+    }
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const emails = db.prepare(`
+      SELECT * FROM email_outbox ${clause} ORDER BY datetime(created_at) DESC, rowid DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM email_outbox ${clause}`).get(...params);
+
+    res.json({ emails: emails.map(formatOutboxEmail), total, limit, offset });
   } catch (error) {
-    console.error('Get user events error:', error);
+    console.error('List outbox emails error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get Stream URL
-app.post('/api/v1/events/:eventId/stream', authenticateToken, (req, res) => {
+// Retry a Dead-Lettered Email (admin)
+app.post('/api/v1/admin/email-outbox/:emailId/retry', authenticateToken, requireAdmin, (req, res) => {
   try {
-    const { user_id } = req.body;
-    const eventId = req.params.eventId;
-
-    // Verify purchase
-    const purchase = db.prepare(`
-      SELECT * FROM purchases 
-      WHERE user_id = ? AND event_id = ? AND datetime(expires_at) > datetime('now')
-    `).get(user_id, eventId);
-
-    if (!purchase) {
-      return res.status(403).json({ message: 'No valid purchase found' });
+    const email = db.prepare('SELECT * FROM email_outbox WHERE id = ?').get(req.params.emailId);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
     }
-
-    // Get event
-    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
-    if (!event || !event.youtube_url) {
-      return res.status(404).json({ message: 'Stream not available' });
+    if (email.status !== 'dead') {
+      return res.status(409).json({ message: `Only dead-lettered emails can be retried; this one is ${email.status}` });
     }
 
-    res.json({
-      stream_url: event.youtube_url,
-      expires_at: purchase.expires_at
-    });
+    db.prepare(`
+      UPDATE email_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(new Date().toISOString(), email.id);
+    setImmediate(kickEmailWorker);
+
+    res.json(formatOutboxEmail(db.prepare('SELECT * FROM email_outbox WHERE id = ?').get(email.id)));
   } catch (error) {
-    console.error('Get stream error:', error);
+    console.error('Retry outbox email error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // ================================
-// TOKEN ENDPOINTS
+// NOTIFICATIONS
 // ================================
+// Topics users can opt in or out of, and the channels a message can go out on.
+// Both live as flags in notification_preferences; users without a row get the defaults.
+const NOTIFICATION_TOPICS = ['live_events', 'upcoming_events', 'merchandise', 'photos', 'token_deals', 'order_updates'];
+const NOTIFICATION_CHANNELS = ['email', 'push'];
 
-// Purchase Tokens (with Square integration placeholder)
-app.post('/api/v1/tokens/purchase', authenticateToken, async (req, res) => {
-  try {
-    const { package_id, user_id, source_id, verification_token } = req.body;
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  live_events: true,
+  upcoming_events: true,
+  merchandise: false,
+  photos: true,
+  token_deals: false,
+  order_updates: true,
+  email: true,
+  push: true
+};
 
-    // Token packages
-    const packages = {
-      '100': { tokens: 100, bonus: 0, price: 499, name: '100 Tokens' }, // $4.99 in cents
-      '250': { tokens: 250, bonus: 50, price: 999, name: '250 + 50 Bonus Tokens' },
-      '500': { tokens: 500, bonus: 150, price: 1999, name: '500 + 150 Bonus Tokens' },
-      '1000': { tokens: 1000, bonus: 500, price: 3999, name: '1000 + 500 Bonus Tokens' }
-    };
+const NOTIFICATION_PREFERENCE_KEYS = [...NOTIFICATION_TOPICS, ...NOTIFICATION_CHANNELS];
 
-    const pkg = packages[package_id];
-    if (!pkg) {
-      return res.status(400).json({ message: 'Invalid package' });
-    }
+const getNotificationPreferences = (userId) => {
+  const row = db.prepare('SELECT * FROM notification_preferences WHERE user_id = ?').get(userId);
+  if (!row) {
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+  }
+  return Object.fromEntries(NOTIFICATION_PREFERENCE_KEYS.map(key => [key, Boolean(row[key])]));
+};
 
-    // Get user info
-    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+const validateNotificationPreferences = (input) => {
+  const errors = [];
 
-    // ================================
-    // PROCESS PAYMENT WITH SQUARE
-    // ================================
-    const idempotencyKey = generateId();
-    
-    try {
-      const paymentResponse = await paymentsApi.createPayment({
-        sourceId: source_id,
-        idempotencyKey: idempotencyKey,
-        amountMoney: {
-          amount: BigInt(pkg.price),
-          currency: 'USD'
-        },
-        locationId: process.env.SQUARE_LOCATION_ID,
-        note: `FightPass Token Purchase - ${pkg.name}`,
-        buyerEmailAddress: user.email,
-        verificationToken: verification_token, // SCA verification
-        autocomplete: true,
-        statementDescriptionIdentifier: 'FIGHTPASS'
-      });
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return ['body must be an object of preference flags'];
+  }
 
-      const payment = paymentResponse.result.payment;
+  const keys = Object.keys(input);
+  if (keys.length === 0) {
+    errors.push(`set at least one of: ${NOTIFICATION_PREFERENCE_KEYS.join(', ')}`);
+  }
 
-      // ================================
-      // GENERATE RECEIPT & SIGNATURE
-      // ================================
-      const receiptNumber = generateReceiptNumber();
-      const purchaseId = generateId();
-      const totalTokens = pkg.tokens + pkg.bonus;
-      
-      // Create signature data
-      const signatureData = {
-        receipt_number: receiptNumber,
-        purchase_id: purchaseId,
-        user_id: user_id,
-        package_id: package_id,
-        tokens: totalTokens,
-        amount: pkg.price / 100,
-        square_payment_id: payment.id,
-        timestamp: new Date().toISOString()
-      };
-      
-      const digitalSignature = generateDigitalSignature(signatureData);
+  keys.forEach(key => {
+    if (!NOTIFICATION_PREFERENCE_KEYS.includes(key)) {
+      errors.push(`unknown preference: ${key}`);
+    } else if (typeof input[key] !== 'boolean') {
+      errors.push(`${key} must be a boolean`);
+    }
+  });
 
-      // ================================
-      // UPDATE DATABASE
-      // ================================
-      
-      // Add tokens to user account
-      db.prepare('UPDATE users SET token_balance = token_balance + ? WHERE id = ?')
-        .run(totalTokens, user_id);
+  return errors;
+};
 
-      // Record token purchase with receipt info
-      db.prepare(`
-        INSERT INTO token_purchases (
-          id, user_id, package_id, tokens_added, bonus_tokens, 
-          amount_paid, square_payment_id, receipt_number, digital_signature
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        purchaseId,
-        user_id,
-        package_id,
-        pkg.tokens,
-        pkg.bonus,
-        pkg.price / 100,
-        payment.id,
-        receiptNumber,
-        digitalSignature
-      );
+// Partial update: flags not in `changes` keep their current (or default) value
+const saveNotificationPreferences = (userId, changes) => {
+  const merged = { ...getNotificationPreferences(userId), ...changes };
+  const values = NOTIFICATION_PREFERENCE_KEYS.map(key => (merged[key] ? 1 : 0));
 
-      // Create order record
-      const orderId = generateId();
-      db.prepare(`
-        INSERT INTO orders (
-          id, user_id, type, items, amount, status, 
-          square_payment_id, receipt_number, digital_signature
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        orderId,
-        user_id,
-        'Token Package',
-        pkg.name,
-        pkg.price / 100,
-        'completed',
-        payment.id,
-        receiptNumber,
-        digitalSignature
-      );
+  db.prepare(`
+    INSERT INTO notification_preferences (user_id, ${NOTIFICATION_PREFERENCE_KEYS.join(', ')})
+    VALUES (?, ${NOTIFICATION_PREFERENCE_KEYS.map(() => '?').join(', ')})
+    ON CONFLICT(user_id) DO UPDATE SET
+      ${NOTIFICATION_PREFERENCE_KEYS.map(key => `${key} = excluded.${key}`).join(', ')},
+      updated_at = CURRENT_TIMESTAMP
+  `).run(userId, ...values);
 
-      // ================================
-      // SEND RECEIPT EMAIL
-      // ================================
-      const itemsHtml = `
-        <p><strong>${pkg.name}</strong></p>
-        <ul>
-          <li>${pkg.tokens} Base Tokens</li>
-          ${pkg.bonus > 0 ? `<li>+ ${pkg.bonus} Bonus Tokens</li>` : ''}
-          <li><strong>Total: ${totalTokens} Tokens</strong></li>
-        </ul>
-      `;
+  return merged;
+};
 
-      await sendReceiptEmail({
-        email: user.email,
-        receiptNumber: receiptNumber,
-        items: itemsHtml,
-        totalAmount: pkg.price / 100,
-        purchaseDate: new Date().toISOString(),
-        signature: digitalSignature
-      });
+// One sender per channel, called with the channel's message and { userId }.
+// A sender may resolve to its own outcome (e.g. 'queued', 'no_devices') instead of 'sent'.
+const NOTIFICATION_SENDERS = {
+  email: sendEmailNotification,
+  push: sendPushNotification
+};
 
-      // Get updated balance
-      const updatedUser = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user_id);
+// Every outgoing message goes through here. `topic` is the preference the user
+// can switch off, or null for messages they can't opt out of (password resets,
+// a gift code sent to someone). Each channel key (`email`, `push`) carries that
+// channel's payload; channels the user has turned off are skipped. Messages to
+// someone who isn't a user (no userId) are always sent. A failing channel
+// doesn't stop the others; the first error is rethrown once all have been tried.
+// Email is queued in the outbox rather than sent inline.
+// Resolves to { email: 'queued' | 'topic_disabled' | 'channel_disabled' | ..., push: ... }.
+const dispatchNotification = async ({ userId = null, topic, ...messages }) => {
+  if (topic !== null && !NOTIFICATION_TOPICS.includes(topic)) {
+    throw new Error(`Unknown notification topic: ${topic}`);
+  }
 
-      // ================================
-      // RETURN SUCCESS RESPONSE
-      // ================================
-      res.json({
-        success: true,
-        new_balance: updatedUser.token_balance,
-        tokens_added: totalTokens,
-        bonus_tokens: pkg.bonus,
-        receipt_number: receiptNumber,
-        receipt_url: null, // Could link to PDF generator
-        digital_signature: digitalSignature,
-        square_payment_id: payment.id,
-        message: `Successfully purchased ${totalTokens} tokens! Receipt sent to ${user.email}`
-      });
+  const preferences = userId ? getNotificationPreferences(userId) : null;
+  const outcome = {};
+  let firstError = null;
 
-    } catch (squareError) {
-      console.error('Square payment error:', squareError);
-      
-      // Handle specific Square errors
-      if (squareError.errors) {
-        const errorMessages = squareError.errors.map(e => e.detail || e.code).join(', ');
-        return res.status(400).json({ 
-          message: `Payment failed: ${errorMessages}`,
-          code: 'SQUARE_PAYMENT_ERROR'
-        });
+  for (const channel of NOTIFICATION_CHANNELS) {
+    if (!messages[channel]) {
+      continue;
+    }
+
+    if (preferences && topic && !preferences[topic]) {
+      outcome[channel] = 'topic_disabled';
+    } else if (preferences && topic && !preferences[channel]) {
+      outcome[channel] = 'channel_disabled';
+    } else if (!NOTIFICATION_SENDERS[channel]) {
+      outcome[channel] = 'unavailable';
+    } else {
+      try {
+        const result = await NOTIFICATION_SENDERS[channel](messages[channel], { userId });
+        outcome[channel] = typeof result === 'string' ? result : 'sent';
+      } catch (error) {
+        outcome[channel] = 'failed';
+        firstError = firstError || error;
       }
-      
-      return res.status(500).json({ 
-        message: 'Payment processing failed. Please try again.',
-        code: 'PAYMENT_ERROR'
-      });
     }
 
+    if (channel === 'email' && messages.email.receipt_number && outcome.email.endsWith('_disabled')) {
+      queueEmail(messages.email, { userId }, 'skipped');
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
+  return outcome;
+};
+
+app.get('/api/v1/users/:userId/notification-preferences', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ notification_preferences: getNotificationPreferences(user.id) });
   } catch (error) {
-    console.error('Purchase tokens error:', error);
+    console.error('Get notification preferences error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get Token Balance
-app.get('/api/v1/users/:userId/tokens', authenticateToken, (req, res) => {
+app.put('/api/v1/users/:userId/notification-preferences', authenticateToken, authorizeUser, (req, res) => {
   try {
-    const user = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(req.params.userId);
-    
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json({
-      balance: user.token_balance,
-      user_id: req.params.userId
-    });
+    const errors = validateNotificationPreferences(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid notification preferences', errors });
+    }
+
+    res.json({ notification_preferences: saveNotificationPreferences(user.id, req.body) });
   } catch (error) {
-    console.error('Get token balance error:', error);
+    console.error('Update notification preferences error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // ================================
-// ORDER ENDPOINTS
+// TOKEN LEDGER
 // ================================
+// Every balance change is an append-only ledger entry; users.token_balance is
+// a cached running total that only postLedgerEntry() may change.
 
-// Get User Orders
-app.get('/api/v1/users/:userId/orders', authenticateToken, (req, res) => {
-  try {
-    const orders = db.prepare(`
-      SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC
-    `).all(req.params.userId);
+const LEDGER_ENTRY_TYPES = {
+  OPENING_BALANCE: 'opening_balance',
+  PACKAGE_PURCHASE: 'package_purchase',
+  BONUS: 'bonus',
+  EVENT_SPEND: 'event_spend',
+  REFUND: 'refund',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  PROMO_GRANT: 'promo_grant',
+  GIFT_REDEMPTION: 'gift_redemption',
+  MERCH_SPEND: 'merch_spend'
+};
 
-    res.json({
-      orders: orders.map(o => ({
-        id: o.id,
-        type: o.type,
-        items: o.items,
-        date: o.created_at,
-        amount: `$${o.amount.toFixed(2)}`,
-        status: o.status
+const insertLedgerRow = (entry) => {
+  const entryId = generateId();
+  db.prepare(`
+    INSERT INTO token_ledger (
+      id, user_id, entry_type, amount, balance_after,
+      reference_type, reference_id, receipt_number, note
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entryId,
+    entry.userId,
+    entry.entryType,
+    entry.amount,
+    entry.balanceAfter,
+    entry.referenceType || null,
+    entry.referenceId || null,
+    entry.receiptNumber || null,
+    entry.note || null
+  );
+  return entryId;
+};
+
+// Apply a signed token delta and record it. Throws INSUFFICIENT_TOKENS rather
+// than letting a balance go negative. Nests safely inside other transactions.
+const postLedgerEntry = db.transaction((entry) => {
+  const user = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(entry.userId);
+  if (!user) {
+    throw new Error(`User ${entry.userId} not found`);
+  }
+
+  const balanceAfter = user.token_balance + entry.amount;
+  if (balanceAfter < 0) {
+    const error = new Error('Insufficient tokens');
+    error.code = 'INSUFFICIENT_TOKENS';
+    throw error;
+  }
+
+  db.prepare('UPDATE users SET token_balance = ? WHERE id = ?').run(balanceAfter, entry.userId);
+  const entryId = insertLedgerRow({ ...entry, balanceAfter });
+
+  return { id: entryId, balance_after: balanceAfter };
+});
+
+// Users created before the ledger existed get an opening entry for their balance
+const backfillOpeningBalances = db.transaction(() => {
+  const users = db.prepare(`
+    SELECT id, token_balance FROM users u
+    WHERE token_balance != 0
+      AND NOT EXISTS (SELECT 1 FROM token_ledger l WHERE l.user_id = u.id)
+  `).all();
+
+  users.forEach(u => insertLedgerRow({
+    userId: u.id,
+    entryType: LEDGER_ENTRY_TYPES.OPENING_BALANCE,
+    amount: u.token_balance,
+    balanceAfter: u.token_balance,
+    note: 'Balance carried over from before the ledger'
+  }));
+
+  return users.length;
+});
+
+// Users whose cached token_balance no longer matches the sum of their ledger
+const findLedgerDrift = () => {
+  return db.prepare(`
+    SELECT u.id AS user_id, u.email, u.token_balance,
+           COALESCE(SUM(l.amount), 0) AS ledger_balance
+    FROM users u
+    LEFT JOIN token_ledger l ON l.user_id = u.id
+    GROUP BY u.id
+    HAVING u.token_balance != COALESCE(SUM(l.amount), 0)
+  `).all().map(r => ({ ...r, drift: r.token_balance - r.ledger_balance }));
+};
+
+const formatLedgerEntry = (l) => ({
+  id: l.id,
+  type: l.entry_type,
+  amount: l.amount,
+  balance_after: l.balance_after,
+  reference_type: l.reference_type,
+  reference_id: l.reference_id,
+  receipt_number: l.receipt_number,
+  note: l.note,
+  created_at: l.created_at
+});
+
+const backfilled = backfillOpeningBalances();
+if (backfilled > 0) {
+  console.log(`Token ledger: recorded opening balances for ${backfilled} users`);
+}
+
+const startupDrift = findLedgerDrift();
+if (startupDrift.length > 0) {
+  console.warn(`Token ledger: ${startupDrift.length} users have a balance that drifts from their ledger`);
+}
+
+// ================================
+// STREAM PROVIDERS
+// ================================
+// The raw stream source never leaves the server. Each provider turns it into a
+// short-lived playback URL bound to one user and event.
+
+const PLAYBACK_URL_TTL_SECONDS = parseInt(process.env.PLAYBACK_URL_TTL_SECONDS) || 10 * 60;
+
+const signPlayback = ({ eventId, userId, expires, sessionId }) => {
+  const secret = process.env.STREAM_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${eventId}:${userId}:${expires}:${sessionId}`)
+    .digest('hex');
+};
+
+const verifyPlayback = ({ eventId, userId, expires, sessionId, signature }) => {
+  const expiresAt = parseInt(expires);
+  if (!eventId || !userId || !expiresAt || !sessionId || !signature || expiresAt * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPlayback({ eventId, userId, expires: expiresAt, sessionId }));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const withQuery = (url, params) => {
+  const parsed = new URL(url);
+  Object.entries(params).forEach(([key, value]) => parsed.searchParams.set(key, value));
+  return parsed.toString();
+};
+
+const streamFormat = (url) => {
+  const { pathname } = new URL(url);
+  if (pathname.endsWith('.m3u8')) return 'hls';
+  if (pathname.endsWith('.mpd')) return 'dash';
+  return 'unknown';
+};
+
+const streamNotConfigured = (detail) => {
+  const error = new Error(detail);
+  error.code = 'STREAM_NOT_CONFIGURED';
+  return error;
+};
+
+const STREAM_PROVIDERS = {
+  // Unlisted YouTube can't check our signatures, so hand out a signed link to
+  // GET /api/v1/playback/:eventId, which re-checks access and redirects to the
+  // live video or, once the event has ended, to vod_url
+  youtube: {
+    source: (event) => event.youtube_url,
+    playbackUrl: ({ event, userId, expires, sessionId, baseUrl }) => withQuery(`${baseUrl}/api/v1/playback/${event.id}`, {
+      uid: userId,
+      exp: expires,
+      sid: sessionId,
+      sig: signPlayback({ eventId: event.id, userId, expires, sessionId })
+    }),
+    format: () => 'youtube'
+  },
+
+  // Self-hosted HLS/DASH origin. It validates eid/uid/exp/sid/sig with the shared
+  // STREAM_SIGNING_SECRET, or by calling GET /api/v1/playback/authorize, which
+  // also stops segments for playback sessions that have been kicked.
+  origin: {
+    source: (event) => event.stream_url,
+    playbackUrl: ({ event, sourceUrl, userId, expires, sessionId }) => withQuery(sourceUrl, {
+      eid: event.id,
+      uid: userId,
+      exp: expires,
+      sid: sessionId,
+      sig: signPlayback({ eventId: event.id, userId, expires, sessionId })
+    }),
+    format: (sourceUrl) => streamFormat(sourceUrl)
+  },
+
+  // CDN edge tokens in the EdgeAuth format (exp~acl~id~hmac) keyed by CDN_TOKEN_KEY.
+  // The ACL covers the manifest's directory so segment requests carry the same token.
+  cdn: {
+    source: (event) => event.stream_url,
+    playbackUrl: ({ sourceUrl, userId, expires }) => {
+      const key = process.env.CDN_TOKEN_KEY;
+      if (!key) {
+        throw streamNotConfigured('CDN_TOKEN_KEY is not set');
+      }
+
+      const { pathname } = new URL(sourceUrl);
+      const acl = `${pathname.substring(0, pathname.lastIndexOf('/'))}/*`;
+      const fields = `exp=${expires}~acl=${acl}~id=${userId}`;
+      const hmac = crypto.createHmac('sha256', Buffer.from(key, 'hex')).update(fields).digest('hex');
+
+      return withQuery(sourceUrl, { hdnts: `${fields}~hmac=${hmac}` });
+    },
+    format: (sourceUrl) => streamFormat(sourceUrl)
+  }
+};
+
+const getStreamProvider = (event) => {
+  return STREAM_PROVIDERS[event.stream_provider || 'youtube'] || STREAM_PROVIDERS.youtube;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What a full purchase includes; replay-only purchases are sold separately at replay_price
+const EVENT_ACCESS_POLICIES = ['live_only', 'live_and_replay'];
+const DEFAULT_REPLAY_DAYS = 30;
+
+const hasEnded = (event, now = new Date()) => {
+  return !event.is_live && Boolean(event.end_time) && new Date(event.end_time) <= now;
+};
+
+const replayEndsAt = (event) => {
+  const days = event.replay_days == null ? DEFAULT_REPLAY_DAYS : event.replay_days;
+  return new Date(new Date(event.end_time).getTime() + days * DAY_MS);
+};
+
+// Where a purchase or entitlement stands for an event: upcoming, live, replay,
+// expired or refunded. expires_at is null until the event has ended, because
+// the replay window runs from end_time.
+const accessStatus = (event, grant, now = new Date()) => {
+  if (grant.revoked_at) {
+    return { status: 'refunded', watchable: false, expires_at: null };
+  }
+
+  const replayOnly = grant.access_kind === 'replay';
+  const includesReplay = replayOnly || event.access_policy !== 'live_only';
+  let status;
+  let expiresAt = null;
+
+  if (event.is_live) {
+    status = replayOnly ? 'upcoming' : 'live';
+  } else if (!hasEnded(event, now)) {
+    status = 'upcoming';
+  } else {
+    expiresAt = includesReplay ? replayEndsAt(event) : new Date(event.end_time);
+    status = includesReplay && now < expiresAt ? 'replay' : 'expired';
+  }
+
+  // Entitlements also lapse on their own schedule
+  if (grant.access_type && grant.access_type !== 'purchase') {
+    const entitlementEnd = new Date(grant.expires_at);
+    if (!expiresAt || entitlementEnd < expiresAt) {
+      expiresAt = entitlementEnd;
+    }
+    if (now >= entitlementEnd) {
+      status = 'expired';
+    } else if (now < new Date(grant.starts_at)) {
+      status = 'upcoming';
+    }
+  }
+
+  return {
+    status,
+    watchable: status === 'live' || status === 'replay',
+    expires_at: expiresAt ? expiresAt.toISOString() : null
+  };
+};
+
+// Better grants sort first when a user holds several for one event
+const ACCESS_STATUS_RANK = { live: 0, replay: 0, upcoming: 1, expired: 2, refunded: 3 };
+
+// Unrevoked purchases of an event, newest first
+const findEventPurchases = (userId, eventId) => {
+  return db.prepare(`
+    SELECT * FROM purchases
+    WHERE user_id = ? AND event_id = ? AND revoked_at IS NULL
+    ORDER BY purchase_date DESC
+  `).all(userId, eventId);
+};
+
+// Whether an access product (alias `ap`) covers an event (alias `e`): bundles
+// list their events, passes and subscriptions match on series and start date
+const PRODUCT_COVERS_EVENT = `(
+  (ap.kind = 'bundle' AND EXISTS (
+    SELECT 1 FROM access_product_events ape WHERE ape.product_id = ap.id AND ape.event_id = e.id
+  ))
+  OR (ap.kind != 'bundle'
+    AND (ap.series_id IS NULL OR ap.series_id = e.series_id)
+    AND (ap.starts_at IS NULL OR datetime(e.start_time) >= datetime(ap.starts_at))
+    AND (ap.ends_at IS NULL OR datetime(e.start_time) < datetime(ap.ends_at)))
+)`;
+
+// Active entitlement whose product covers the event
+const findActiveEntitlement = (userId, eventId) => {
+  return db.prepare(`
+    SELECT en.*, ap.kind, ap.name AS product_name
+    FROM entitlements en
+    JOIN access_products ap ON ap.id = en.product_id
+    JOIN events e ON e.id = ?
+    WHERE en.user_id = ? AND en.revoked_at IS NULL
+      AND datetime(en.starts_at) <= datetime('now') AND datetime(en.expires_at) > datetime('now')
+      AND ${PRODUCT_COVERS_EVENT}
+    ORDER BY en.expires_at DESC
+  `).get(eventId, userId);
+};
+
+// What lets a user watch an event: their own purchase, or a bundle, pass or
+// subscription covering it. Returns the best grant with its accessStatus
+// (check `watchable`), or null if the user has nothing for the event.
+const findEventAccess = (userId, eventId) => {
+  const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+  if (!event) {
+    return null;
+  }
+
+  const grants = findEventPurchases(userId, eventId).map(p => ({ ...p, access_type: 'purchase' }));
+
+  const entitlement = findActiveEntitlement(userId, eventId);
+  if (entitlement) {
+    grants.push({ ...entitlement, event_id: eventId, access_type: entitlement.kind });
+  }
+
+  const ranked = grants
+    .map(grant => ({ ...grant, ...accessStatus(event, grant) }))
+    .sort((a, b) => ACCESS_STATUS_RANK[a.status] - ACCESS_STATUS_RANK[b.status]);
+
+  return ranked[0] || null;
+};
+
+// ================================
+// PLAYBACK SESSIONS
+// ================================
+// Each device watching a purchase holds a playback session kept alive by
+// heartbeats. Opening one past the limit kicks the oldest, and live events
+// report their active session count as viewers.
+
+const MAX_CONCURRENT_STREAMS = parseInt(process.env.MAX_CONCURRENT_STREAMS) || 1;
+const HEARTBEAT_INTERVAL_SECONDS = 30;
+const HEARTBEAT_TIMEOUT_SECONDS = 90; // three missed heartbeats
+
+const refreshViewerCount = (eventId) => {
+  db.prepare(`
+    UPDATE events SET viewers = (
+      SELECT COUNT(*) FROM playback_sessions WHERE event_id = events.id AND ended_at IS NULL
+    )
+    WHERE id = ? AND is_live = 1
+  `).run(eventId);
+};
+
+const endPlaybackSession = (sessionId, reason) => {
+  return db.prepare(`
+    UPDATE playback_sessions SET ended_at = CURRENT_TIMESTAMP, end_reason = ?
+    WHERE id = ? AND ended_at IS NULL
+  `).run(reason, sessionId).changes > 0;
+};
+
+// Reuses the device's open session if it has one, otherwise opens a new one
+// and evicts the oldest sessions beyond the limit. Sessions hang off the
+// purchase or entitlement granting access (see findEventAccess), so a season
+// pass shares its stream limit across every event it covers.
+const openPlaybackSession = db.transaction(({ access, deviceId, userAgent }) => {
+  const column = access.access_type === 'purchase' ? 'purchase_id' : 'entitlement_id';
+
+  let session = deviceId
+    ? db.prepare(`
+        SELECT * FROM playback_sessions
+        WHERE ${column} = ? AND device_id = ? AND ended_at IS NULL
+      `).get(access.id, deviceId)
+    : null;
+
+  if (session) {
+    db.prepare('UPDATE playback_sessions SET last_heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?').run(session.id);
+  } else {
+    const sessionId = generateId();
+    db.prepare(`
+      INSERT INTO playback_sessions (id, ${column}, user_id, event_id, device_id, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(sessionId, access.id, access.user_id, access.event_id, deviceId || null, userAgent || null);
+    session = db.prepare('SELECT * FROM playback_sessions WHERE id = ?').get(sessionId);
+  }
+
+  const others = db.prepare(`
+    SELECT id FROM playback_sessions
+    WHERE ${column} = ? AND ended_at IS NULL AND id != ?
+    ORDER BY started_at ASC, rowid ASC
+  `).all(access.id, session.id);
+
+  const excess = others.length + 1 - MAX_CONCURRENT_STREAMS;
+  others.slice(0, Math.max(excess, 0)).forEach(s => endPlaybackSession(s.id, 'evicted'));
+
+  refreshViewerCount(access.event_id);
+  return session;
+});
+
+const isPlaybackSessionActive = (sessionId, userId, eventId) => {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM playback_sessions
+    WHERE id = ? AND user_id = ? AND event_id = ? AND ended_at IS NULL
+  `).get(sessionId, userId, eventId));
+};
+
+// End sessions that stopped sending heartbeats and refresh live viewer counts
+const sweepPlaybackSessions = db.transaction(() => {
+  const stale = db.prepare(`
+    SELECT id FROM playback_sessions
+    WHERE ended_at IS NULL AND datetime(last_heartbeat_at) <= datetime('now', ?)
+  `).all(`-${HEARTBEAT_TIMEOUT_SECONDS} seconds`);
+
+  stale.forEach(s => endPlaybackSession(s.id, 'timeout'));
+
+  db.prepare('SELECT id FROM events WHERE is_live = 1').all()
+    .forEach(e => refreshViewerCount(e.id));
+
+  return stale.length;
+});
+
+setInterval(() => {
+  try {
+    sweepPlaybackSessions();
+  } catch (error) {
+    console.error('Playback session sweep error:', error);
+  }
+}, HEARTBEAT_INTERVAL_SECONDS * 1000).unref();
+
+// ================================
+// HEALTH CHECK
+// ================================
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+});
+
+// ================================
+// AUTHENTICATION ENDPOINTS
+// ================================
+
+// Sign Up
+app.post('/api/v1/auth/signup', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    // Validate input
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password required' });
+    }
+
+    // Check if user exists
+    const existingUser = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = generateId();
+
+    // Create user
+    db.prepare(`
+      INSERT INTO users (id, email, password, name, token_balance)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(userId, email, hashedPassword, name || null, 0);
+
+    // Start session
+    const auth = createSession({ id: userId, email, token_version: 0 }, req);
+
+    res.status(201).json({
+      ...auth,
+      user_id: userId,
+      email,
+      name: name || null,
+      token_balance: 0
+    });
+  } catch (error) {
+    console.error('Sign up error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign In
+app.post('/api/v1/auth/signin', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user
+    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Verify password
+    const validPassword = await bcrypt.compare(password, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Start session
+    const auth = createSession(user, req);
+
+    res.json({
+      ...auth,
+      user_id: user.id,
+      email: user.email,
+      name: user.name,
+      token_balance: user.token_balance
+    });
+  } catch (error) {
+    console.error('Sign in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refresh Access Token
+app.post('/api/v1/auth/refresh', (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ message: 'Refresh token required' });
+    }
+
+    const tokenHash = hashToken(String(refresh_token));
+    const session = db.prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?').get(tokenHash);
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked; kill the session it belonged to
+      const reused = db.prepare('SELECT id FROM sessions WHERE previous_token_hash = ?').get(tokenHash);
+      if (reused) {
+        db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL')
+          .run(reused.id);
+        console.warn(`Refresh token reuse detected, revoked session ${reused.id}`);
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ message: 'Session expired, please sign in again' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(session.user_id);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // Rotate: every refresh token works exactly once
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    db.prepare(`
+      UPDATE sessions
+      SET refresh_token_hash = ?, previous_token_hash = ?, expires_at = ?, last_seen_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(hashToken(refreshToken), tokenHash, refreshTokenExpiry(), session.id);
+
+    res.json({
+      token: signAuthToken(user, session.id),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      session_id: session.id
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout
+app.post('/api/v1/auth/logout', authenticateToken, (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL')
+        .run(req.user.sessionId);
+    }
+
+    res.json({ success: true, message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Password reset emails are throttled per address so the endpoint can't be used to spam inboxes
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each email to 3 reset requests per hour
+  keyGenerator: (req) => String(req.body.email || '').trim().toLowerCase(),
+  message: { message: 'Too many password reset requests. Please try again later.' }
+});
+
+// Password Reset
+app.post('/api/v1/auth/password-reset', passwordResetLimiter, async (req, res) => {
+  // Same response whether or not the account exists
+  const genericResponse = { message: 'If that email exists, a reset link has been sent', success: true };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email required' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Only the hash is stored; the raw token only ever exists in the email
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+
+    db.transaction(() => {
+      // A new link supersedes any earlier unused ones
+      db.prepare(`
+        UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND used_at IS NULL
+      `).run(user.id);
+
+      db.prepare(`
+        INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+        VALUES (?, ?, ?, ?)
+      `).run(generateId(), user.id, hashToken(resetToken), expiresAt);
+    })();
+
+    const resetBase = process.env.PASSWORD_RESET_URL || 'https://fightpass.com/reset-password';
+    const resetLink = `${resetBase}?token=${resetToken}`;
+
+    try {
+      await sendPasswordResetEmail({ userId: user.id, email: user.email, name: user.name, resetLink });
+    } catch (emailError) {
+      console.error('Failed to send password reset email:', emailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm Password Reset
+app.post('/api/v1/auth/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password required' });
+    }
+
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const resetToken = db.prepare(`
+      SELECT * FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+    `).get(hashToken(String(token)));
+
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const consumed = db.transaction(() => {
+      // Guard against the same token being confirmed twice concurrently
+      const { changes } = db.prepare(`
+        UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND used_at IS NULL
+      `).run(resetToken.id);
+
+      if (changes === 0) {
+        return false;
+      }
+
+      // Bumping token_version and revoking sessions signs the user out everywhere
+      db.prepare('UPDATE users SET password = ?, token_version = token_version + 1 WHERE id = ?')
+        .run(hashedPassword, resetToken.user_id);
+      revokeAllSessions(resetToken.user_id);
+      return true;
+    })();
+
+    if (!consumed) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Password updated. Please sign in with your new password.', success: true });
+  } catch (error) {
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// EVENT ENDPOINTS
+// ================================
+
+// Listing and search share one query builder. Pages are keyed on the sort value
+// plus event id rather than an offset, so events going live or being added
+// between requests don't shift rows across pages.
+const EVENT_STATUSES = {
+  live: 'e.is_live = 1',
+  // Ended events keep is_live = 0, so exclude anything whose end_time has passed
+  upcoming: "e.is_live = 0 AND (e.end_time IS NULL OR datetime(e.end_time) > datetime('now'))",
+  past: "e.is_live = 0 AND e.end_time IS NOT NULL AND datetime(e.end_time) <= datetime('now')"
+};
+
+// Sort key -> SQL expression and default direction. Relevance is bm25, where
+// lower is a better match, and is only available when there is a query.
+const EVENT_SORTS = {
+  relevance: { expression: 'm.rank', order: 'asc' },
+  start_time: { expression: "COALESCE(e.start_time, '')", order: 'asc' },
+  price: { expression: 'e.price', order: 'asc' },
+  viewers: { expression: 'e.viewers', order: 'desc' }
+};
+
+const DEFAULT_EVENT_PAGE_SIZE = 20;
+const MAX_EVENT_PAGE_SIZE = 100;
+const MAX_SEARCH_TERMS = 10;
+
+// Column weights for bm25: event_id (unindexed), title, subtitle, description, category, promotion
+const EVENT_SEARCH_RANK = 'bm25(events_fts, 0.0, 10.0, 5.0, 1.0, 3.0, 3.0)';
+
+// Turn free text into an FTS5 query: every word must match, each as a prefix so
+// partial words work while typing. Quoting keeps FTS5 operators out of user input.
+const buildMatchQuery = (text) => {
+  const terms = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, MAX_SEARCH_TERMS).map(t => `"${t}"*`).join(' ');
+};
+
+const encodeEventCursor = (sort, value, id) => {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+};
+
+// Only values SQLite can bind get through; anything else is an invalid cursor
+const isCursorValue = (value) => value === null || typeof value === 'string'
+  || (typeof value === 'number' && Number.isFinite(value));
+
+const decodeEventCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 3 && typeof decoded[0] === 'string'
+      && isCursorValue(decoded[1]) && typeof decoded[2] === 'string') {
+      return { sort: decoded[0], value: decoded[1], id: decoded[2] };
+    }
+  } catch (e) {
+    // Fall through to invalid
+  }
+  return null;
+};
+
+const parseOptionalInt = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+};
+
+// Validate listing/search query params. `defaults` lets the fixed listings pin a
+// status and choose their own default sort.
+const parseEventQuery = (query, defaults = {}) => {
+  const errors = [];
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  const match = q ? buildMatchQuery(q) : '';
+  const status = defaults.status || query.status;
+  const sort = query.sort || (match ? 'relevance' : defaults.sort || 'start_time');
+
+  if (status !== undefined && !EVENT_STATUSES[status]) {
+    errors.push(`status must be one of: ${Object.keys(EVENT_STATUSES).join(', ')}`);
+  }
+
+  if (!EVENT_SORTS[sort]) {
+    errors.push(`sort must be one of: ${Object.keys(EVENT_SORTS).join(', ')}`);
+  } else if (sort === 'relevance' && !match) {
+    errors.push('sort=relevance requires a search query');
+  }
+
+  const order = query.order || (EVENT_SORTS[sort] ? EVENT_SORTS[sort].order : 'asc');
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push('order must be asc or desc');
+  }
+
+  const minPrice = parseOptionalInt(query.min_price);
+  const maxPrice = parseOptionalInt(query.max_price);
+  if (Number.isNaN(minPrice)) errors.push('min_price must be a non-negative integer');
+  if (Number.isNaN(maxPrice)) errors.push('max_price must be a non-negative integer');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    errors.push('min_price must not exceed max_price');
+  }
+
+  if (query.from !== undefined && !isValidDate(query.from)) {
+    errors.push('from must be a valid ISO 8601 date');
+  }
+  if (query.to !== undefined && !isValidDate(query.to)) {
+    errors.push('to must be a valid ISO 8601 date');
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeEventCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort) {
+      errors.push('cursor is invalid for this query');
+    }
+  }
+
+  return {
+    errors,
+    params: {
+      q,
+      match,
+      status,
+      sort,
+      order,
+      minPrice,
+      maxPrice,
+      from: query.from !== undefined && isValidDate(query.from) ? new Date(query.from).toISOString() : undefined,
+      to: query.to !== undefined && isValidDate(query.to) ? new Date(query.to).toISOString() : undefined,
+      category: query.category ? String(query.category).toLowerCase() : undefined,
+      promotion: query.promotion ? String(query.promotion).trim() : undefined,
+      cursor,
+      limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_EVENT_PAGE_SIZE, 1), MAX_EVENT_PAGE_SIZE)
+    }
+  };
+};
+
+// Run a parsed query: one page of events, the total match count and the cursor
+// for the next page (null on the last page)
+const findEvents = (params) => {
+  const conditions = [];
+  const args = [];
+  let source = 'events e';
+
+  if (params.q) {
+    // A query with no searchable words matches nothing rather than everything
+    if (!params.match) {
+      return { events: [], total: 0, next_cursor: null };
+    }
+    source = `(
+      SELECT event_id, ${EVENT_SEARCH_RANK} AS rank FROM events_fts WHERE events_fts MATCH ?
+    ) m JOIN events e ON e.id = m.event_id`;
+    args.push(params.match);
+  }
+
+  if (params.status) {
+    conditions.push(`(${EVENT_STATUSES[params.status]})`);
+  }
+  if (params.minPrice !== undefined) {
+    conditions.push('e.price >= ?');
+    args.push(params.minPrice);
+  }
+  if (params.maxPrice !== undefined) {
+    conditions.push('e.price <= ?');
+    args.push(params.maxPrice);
+  }
+  if (params.from) {
+    conditions.push('datetime(e.start_time) >= datetime(?)');
+    args.push(params.from);
+  }
+  if (params.to) {
+    conditions.push('datetime(e.start_time) <= datetime(?)');
+    args.push(params.to);
+  }
+  if (params.category) {
+    conditions.push('e.category = ?');
+    args.push(params.category);
+  }
+  if (params.promotion) {
+    conditions.push('e.promotion = ? COLLATE NOCASE');
+    args.push(params.promotion);
+  }
+
+  const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${source} ${filter}`).get(...args);
+
+  const { expression } = EVENT_SORTS[params.sort];
+  const direction = params.order === 'desc' ? 'DESC' : 'ASC';
+  const pageConditions = [...conditions];
+  const pageArgs = [...args];
+
+  if (params.cursor) {
+    const comparison = params.order === 'desc' ? '<' : '>';
+    pageConditions.push(`(${expression} ${comparison} ? OR (${expression} = ? AND e.id ${comparison} ?))`);
+    pageArgs.push(params.cursor.value, params.cursor.value, params.cursor.id);
+  }
+
+  const pageFilter = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+  const rows = db.prepare(`
+    SELECT e.*, ${expression} AS sort_value
+    FROM ${source}
+    ${pageFilter}
+    ORDER BY ${expression} ${direction}, e.id ${direction}
+    LIMIT ?
+  `).all(...pageArgs, params.limit + 1);
+
+  const hasMore = rows.length > params.limit;
+  const page = hasMore ? rows.slice(0, params.limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    events: page.map(formatEvent),
+    total,
+    next_cursor: hasMore ? encodeEventCursor(params.sort, last.sort_value, last.id) : null
+  };
+};
+
+// Get Live Events
+app.get('/api/v1/events/live', (req, res) => {
+  try {
+    const { errors, params } = parseEventQuery(req.query, { status: 'live', sort: 'viewers' });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query', errors });
+    }
+
+    res.json(findEvents(params));
+  } catch (error) {
+    console.error('Get live events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Upcoming Events
+app.get('/api/v1/events/upcoming', (req, res) => {
+  try {
+    const { errors, params } = parseEventQuery(req.query, { status: 'upcoming', sort: 'start_time' });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid query', errors });
+    }
+
+    res.json(findEvents(params));
+  } catch (error) {
+    console.error('Get upcoming events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Search Events
+// Registered before /events/:eventId so "search" isn't taken as an event id
+app.get('/api/v1/events/search', (req, res) => {
+  try {
+    const { errors, params } = parseEventQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid search', errors });
+    }
+
+    res.json({ query: params.q, ...findEvents(params) });
+  } catch (error) {
+    console.error('Search events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Event Details
+app.get('/api/v1/events/:eventId', (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({
+      id: event.id,
+      title: event.title,
+      subtitle: event.subtitle || '',
+      description: event.description || '',
+      thumbnail_url: event.thumbnail_url,
+      is_live: Boolean(event.is_live),
+      viewers: event.viewers,
+      price: event.price,
+      start_time: event.start_time,
+      end_time: event.end_time,
+      category: event.category || null,
+      promotion: event.promotion || null,
+      venue: getEventVenue(event),
+      categories: getEventCategories(event),
+      card: getEventCard(event.id),
+      photos_require_purchase: Boolean(event.photos_require_purchase)
+    });
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// EVENT FOLLOWS & PUSH TRIGGERS
+// ================================
+// Users follow upcoming events to get a reminder before the start (see the
+// event_reminder job), and everyone who can watch an event gets a push when it
+// goes live.
+
+// Users whose purchase or entitlement lets them watch the event live
+const findLiveAudience = (eventId) => {
+  return db.prepare(`
+    SELECT user_id FROM purchases
+    WHERE event_id = ? AND revoked_at IS NULL AND access_kind != 'replay'
+    UNION
+    SELECT en.user_id
+    FROM entitlements en
+    JOIN access_products ap ON ap.id = en.product_id
+    JOIN events e ON e.id = ?
+    WHERE en.revoked_at IS NULL
+      AND datetime(en.starts_at) <= datetime('now') AND datetime(en.expires_at) > datetime('now')
+      AND ${PRODUCT_COVERS_EVENT}
+  `).all(eventId, eventId).map(row => row.user_id);
+};
+
+// Fire and forget: callers have already answered their request
+const notifyEventLive = (event) => {
+  const userIds = findLiveAudience(event.id);
+  (async () => {
+    for (const userId of userIds) {
+      await dispatchNotification({
+        userId,
+        topic: 'live_events',
+        push: {
+          title: `${event.title} is live`,
+          body: 'Your fight is starting now. Tap to watch.',
+          data: { event_id: event.id, type: 'event_live' },
+          collapse_id: `live-${event.id}`
+        }
+      });
+    }
+  })().catch(error => console.error('Event live notification error:', error));
+};
+
+// Follow Event
+app.post('/api/v1/events/:eventId/follow', authenticateToken, (req, res) => {
+  try {
+    const event = db.prepare('SELECT id FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { changes } = db.prepare('INSERT OR IGNORE INTO event_follows (user_id, event_id) VALUES (?, ?)')
+      .run(req.user.userId, event.id);
+    res.status(changes > 0 ? 201 : 200).json({ event_id: event.id, following: true });
+  } catch (error) {
+    console.error('Follow event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow Event
+app.delete('/api/v1/events/:eventId/follow', authenticateToken, (req, res) => {
+  try {
+    db.prepare('DELETE FROM event_follows WHERE user_id = ? AND event_id = ?').run(req.user.userId, req.params.eventId);
+    res.json({ event_id: req.params.eventId, following: false });
+  } catch (error) {
+    console.error('Unfollow event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Followed Events, soonest first
+app.get('/api/v1/users/:userId/follows', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const events = db.prepare(`
+      SELECT e.*, f.created_at AS followed_at
+      FROM event_follows f
+      JOIN events e ON e.id = f.event_id
+      WHERE f.user_id = ?
+      ORDER BY datetime(e.start_time), e.id
+    `).all(req.params.userId);
+
+    res.json({
+      events: events.map(e => ({ ...formatEvent(e), followed_at: e.followed_at })),
+      total: events.length
+    });
+  } catch (error) {
+    console.error('Get follows error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// ADMIN EVENT ENDPOINTS
+// ================================
+
+const EDITABLE_EVENT_FIELDS = [
+  'title', 'subtitle', 'description', 'thumbnail_url',
+  'price', 'start_time', 'end_time', 'youtube_url', 'stream_provider', 'stream_url', 'series_id',
+  'access_policy', 'replay_days', 'replay_price', 'vod_url', 'category', 'promotion', 'venue_id',
+  'photos_require_purchase'
+];
+
+// Admins also see the stream URL, which is never exposed on public event routes
+const formatAdminEvent = (e) => ({
+  ...formatEvent(e),
+  youtube_url: e.youtube_url,
+  stream_provider: e.stream_provider,
+  stream_url: e.stream_url,
+  vod_url: e.vod_url
+});
+
+// Create Event
+app.post('/api/v1/admin/events', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validateEventInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid event', errors });
+    }
+
+    const {
+      title, subtitle, description, thumbnail_url, price,
+      start_time, end_time, youtube_url, stream_provider, stream_url, series_id,
+      access_policy, replay_days, replay_price, vod_url, category, promotion, venue_id,
+      photos_require_purchase
+    } = req.body;
+    const eventId = generateId();
+
+    db.prepare(`
+      INSERT INTO events (
+        id, title, subtitle, description, thumbnail_url,
+        is_live, viewers, price, start_time, end_time, youtube_url,
+        stream_provider, stream_url, series_id,
+        access_policy, replay_days, replay_price, vod_url, category, promotion, venue_id,
+        photos_require_purchase
+      ) VALUES (?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      eventId,
+      title.trim(),
+      subtitle || null,
+      description || null,
+      thumbnail_url || null,
+      price,
+      start_time || null,
+      end_time || null,
+      youtube_url || null,
+      stream_provider || 'youtube',
+      stream_url || null,
+      series_id || null,
+      access_policy || 'live_and_replay',
+      replay_days == null ? DEFAULT_REPLAY_DAYS : replay_days,
+      replay_price == null ? null : replay_price,
+      vod_url || null,
+      category || null,
+      promotion ? promotion.trim() : null,
+      venue_id || null,
+      photos_require_purchase ? 1 : 0
+    );
+
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+    scheduleEventJobs(event);
+    res.status(201).json(formatAdminEvent(event));
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Event
+app.put('/api/v1/admin/events/:eventId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const updates = {};
+    EDITABLE_EVENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const errors = validateEventInput(updates, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid event', errors });
+    }
+
+    if (updates.photos_require_purchase != null) {
+      updates.photos_require_purchase = updates.photos_require_purchase ? 1 : 0;
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      const assignments = fields.map(f => `${f} = ?`).join(', ');
+      db.prepare(`UPDATE events SET ${assignments} WHERE id = ?`)
+        .run(...fields.map(f => updates[f]), existing.id);
+    }
+
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(existing.id);
+    if (event.start_time !== existing.start_time || event.end_time !== existing.end_time) {
+      scheduleEventJobs(event);
+    }
+    res.json(formatAdminEvent(event));
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Event
+app.delete('/api/v1/admin/events/:eventId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Purchases reference the event and back signed receipts, so keep those events around
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM purchases WHERE event_id = ?').get(event.id);
+    if (count > 0) {
+      return res.status(409).json({
+        message: 'Event has purchases and cannot be deleted',
+        purchases: count
+      });
+    }
+
+    const { bundles } = db.prepare('SELECT COUNT(*) AS bundles FROM access_product_events WHERE event_id = ?').get(event.id);
+    if (bundles > 0) {
+      return res.status(409).json({
+        message: 'Event is part of a bundle and cannot be deleted',
+        bundles
+      });
+    }
+
+    // Recorded results count towards fighter records, so they keep the event too
+    const { results } = db.prepare(`
+      SELECT COUNT(*) AS results FROM bouts WHERE event_id = ? AND status = 'completed'
+    `).get(event.id);
+    if (results > 0) {
+      return res.status(409).json({
+        message: 'Event has recorded bout results and cannot be deleted',
+        results
+      });
+    }
+
+    const photos = db.prepare('SELECT * FROM event_photos WHERE event_id = ?').all(event.id);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM bouts WHERE event_id = ?').run(event.id);
+      db.prepare('DELETE FROM live_feed_events WHERE event_id = ?').run(event.id);
+      db.prepare('DELETE FROM chat_messages WHERE event_id = ?').run(event.id);
+      db.prepare('DELETE FROM chat_sanctions WHERE event_id = ?').run(event.id);
+      db.prepare(`
+        DELETE FROM event_photo_fighters WHERE photo_id IN (SELECT id FROM event_photos WHERE event_id = ?)
+      `).run(event.id);
+      db.prepare('DELETE FROM event_photos WHERE event_id = ?').run(event.id);
+      db.prepare('DELETE FROM event_follows WHERE event_id = ?').run(event.id);
+      db.prepare('DELETE FROM event_reminders WHERE event_id = ?').run(event.id);
+      cancelEventJobs(event.id);
+      db.prepare('DELETE FROM events WHERE id = ?').run(event.id);
+    })();
+    removePhotoFiles(photos);
+    res.json({ success: true, id: event.id });
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Go Live
+app.post('/api/v1/admin/events/:eventId/go-live', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (event.is_live) {
+      return res.status(409).json({ message: 'Event is already live' });
+    }
+
+    if (!getStreamProvider(event).source(event)) {
+      return res.status(400).json({ message: 'Event has no stream URL' });
+    }
+
+    // Keep a scheduled end so the end job still fires; only an end already
+    // behind us (going live again after ending) is cleared
+    db.prepare('UPDATE events SET is_live = 1, start_time = ?, end_time = ? WHERE id = ?')
+      .run(new Date().toISOString(), hasEnded(event) ? null : event.end_time, event.id);
+
+    const updated = db.prepare('SELECT * FROM events WHERE id = ?').get(event.id);
+    publishLiveFeed(event.id, 'event_live', { event_id: event.id, start_time: updated.start_time });
+    notifyEventLive(updated);
+    scheduleEventJobs(updated);
+    res.json(formatAdminEvent(updated));
+  } catch (error) {
+    console.error('Go live error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End Event
+app.post('/api/v1/admin/events/:eventId/end', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!event.is_live) {
+      return res.status(409).json({ message: 'Event is not live' });
+    }
+
+    db.prepare('UPDATE events SET is_live = 0, end_time = ? WHERE id = ?')
+      .run(new Date().toISOString(), event.id);
+
+    const updated = db.prepare('SELECT * FROM events WHERE id = ?').get(event.id);
+    publishLiveFeed(event.id, 'event_ended', { event_id: event.id, end_time: updated.end_time });
+    scheduleEventJobs(updated);
+    res.json(formatAdminEvent(updated));
+  } catch (error) {
+    console.error('End event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// FIGHT CARD
+// ================================
+// Venues, disciplines (categories), fighters and the bouts that make up an
+// event's card. Bout results feed the fighters' win/loss records.
+
+// Installed on first start; admins can add more
+const DEFAULT_CATEGORIES = [
+  { id: 'mma', name: 'MMA' },
+  { id: 'bjj', name: 'Brazilian Jiu-Jitsu' },
+  { id: 'kickboxing', name: 'Kickboxing' }
+];
+
+const installDefaultCategories = db.transaction(() => {
+  DEFAULT_CATEGORIES.forEach((category, index) => {
+    db.prepare('INSERT OR IGNORE INTO categories (id, name, sort_order) VALUES (?, ?, ?)')
+      .run(category.id, category.name, index);
+  });
+});
+
+installDefaultCategories();
+
+// Card segments, top of the card first
+const CARD_SEGMENTS = ['main_event', 'co_main_event', 'main_card', 'prelims', 'early_prelims'];
+// walkout, in_progress and between_rounds are set by live updates (see LIVE FEED)
+const BOUT_STATUSES = ['scheduled', 'walkout', 'in_progress', 'between_rounds', 'completed', 'cancelled'];
+const BOUT_METHODS = ['ko_tko', 'submission', 'decision', 'dq', 'draw', 'no_contest'];
+const NO_WINNER_METHODS = ['draw', 'no_contest'];
+const MAX_SCHEDULED_ROUNDS = 12;
+const CATEGORY_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const RESULT_TIME_PATTERN = /^\d{1,2}:[0-5]\d$/;
+
+const formatVenue = (v) => ({
+  id: v.id,
+  name: v.name,
+  address: v.address,
+  city: v.city,
+  region: v.region,
+  country: v.country,
+  capacity: v.capacity
+});
+
+const formatFighter = (f) => ({
+  id: f.id,
+  name: f.name,
+  nickname: f.nickname,
+  country: f.country,
+  category_id: f.category_id,
+  weight_class: f.weight_class,
+  photo_url: f.photo_url,
+  bio: f.bio,
+  record: {
+    wins: f.wins,
+    losses: f.losses,
+    draws: f.draws,
+    no_contests: f.no_contests,
+    summary: `${f.wins}-${f.losses}-${f.draws}` + (f.no_contests > 0 ? ` (${f.no_contests} NC)` : '')
+  }
+});
+
+// The card only needs enough of a fighter to render a corner
+const formatCorner = (f) => f ? {
+  id: f.id,
+  name: f.name,
+  nickname: f.nickname,
+  country: f.country,
+  photo_url: f.photo_url,
+  record: `${f.wins}-${f.losses}-${f.draws}`
+} : null;
+
+const formatBout = (b, fighters) => ({
+  id: b.id,
+  event_id: b.event_id,
+  position: b.position,
+  segment: b.segment,
+  category_id: b.category_id,
+  weight_class: b.weight_class,
+  scheduled_rounds: b.scheduled_rounds,
+  title_fight: Boolean(b.title_fight),
+  status: b.status,
+  current_round: b.current_round,
+  red_corner: formatCorner(fighters.get(b.red_fighter_id)),
+  blue_corner: formatCorner(fighters.get(b.blue_fighter_id)),
+  result: b.status === 'completed' ? {
+    winner_id: b.winner_id,
+    method: b.method,
+    method_detail: b.method_detail,
+    round: b.result_round,
+    time: b.result_time
+  } : null
+});
+
+// Load the fighters referenced by a set of bouts, keyed by id
+const loadBoutFighters = (bouts) => {
+  const ids = [...new Set(bouts.flatMap(b => [b.red_fighter_id, b.blue_fighter_id]))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const rows = db.prepare(`SELECT * FROM fighters WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+  return new Map(rows.map(f => [f.id, f]));
+};
+
+const getEventCard = (eventId) => {
+  const bouts = db.prepare(`
+    SELECT * FROM bouts WHERE event_id = ? ORDER BY position, created_at
+  `).all(eventId);
+  const fighters = loadBoutFighters(bouts);
+  return bouts.map(b => formatBout(b, fighters));
+};
+
+const getEventVenue = (event) => {
+  if (!event.venue_id) {
+    return null;
+  }
+  const venue = db.prepare('SELECT * FROM venues WHERE id = ?').get(event.venue_id);
+  return venue ? formatVenue(venue) : null;
+};
+
+// The event's own discipline first, then any others on its card
+const getEventCategories = (event) => {
+  return db.prepare(`
+    SELECT c.id, c.name FROM categories c
+    WHERE c.id = ? OR c.id IN (SELECT category_id FROM bouts WHERE event_id = ?)
+    ORDER BY c.id = ? DESC, c.sort_order, c.name
+  `).all(event.category, event.id, event.category);
+};
+
+// The outcome of a completed bout from one fighter's side
+const boutOutcome = (bout, fighterId) => {
+  if (bout.status !== 'completed') return null;
+  if (NO_WINNER_METHODS.includes(bout.method)) return bout.method;
+  return bout.winner_id === fighterId ? 'win' : 'loss';
+};
+
+// Add (direction = 1) or remove (direction = -1) a completed bout's result
+// from both fighters' records
+const applyBoutToRecords = (bout, direction) => {
+  if (bout.status !== 'completed') {
+    return;
+  }
+
+  const bump = (fighterId, column) => {
+    db.prepare(`UPDATE fighters SET ${column} = ${column} + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+      .run(direction, fighterId);
+  };
+
+  if (bout.method === 'draw') {
+    bump(bout.red_fighter_id, 'draws');
+    bump(bout.blue_fighter_id, 'draws');
+  } else if (bout.method === 'no_contest') {
+    bump(bout.red_fighter_id, 'no_contests');
+    bump(bout.blue_fighter_id, 'no_contests');
+  } else {
+    const loserId = bout.winner_id === bout.red_fighter_id ? bout.blue_fighter_id : bout.red_fighter_id;
+    bump(bout.winner_id, 'wins');
+    bump(loserId, 'losses');
+  }
+};
+
+// Record (or correct) a bout result; any previous result is backed out of the
+// records first so corrections never double count
+const recordBoutResult = db.transaction((bout, result) => {
+  applyBoutToRecords(bout, -1);
+
+  db.prepare(`
+    UPDATE bouts SET
+      status = 'completed', winner_id = ?, method = ?, method_detail = ?,
+      result_round = ?, result_time = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(
+    NO_WINNER_METHODS.includes(result.method) ? null : result.winner_id,
+    result.method,
+    result.method_detail || null,
+    result.round == null ? null : result.round,
+    result.time || null,
+    bout.id
+  );
+
+  const updated = db.prepare('SELECT * FROM bouts WHERE id = ?').get(bout.id);
+  applyBoutToRecords(updated, 1);
+  return updated;
+});
+
+const clearBoutResult = db.transaction((bout) => {
+  applyBoutToRecords(bout, -1);
+  db.prepare(`
+    UPDATE bouts SET
+      status = 'scheduled', current_round = NULL, winner_id = NULL, method = NULL, method_detail = NULL,
+      result_round = NULL, result_time = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(bout.id);
+  return db.prepare('SELECT * FROM bouts WHERE id = ?').get(bout.id);
+});
+
+const isOptionalText = (value, maxLength) => value == null || (typeof value === 'string' && value.length <= maxLength);
+
+const validateVenueInput = (input, existing = null) => {
+  const errors = [];
+
+  if (!existing || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+
+  ['address', 'city', 'region', 'country'].forEach(field => {
+    if (!isOptionalText(input[field], 200)) {
+      errors.push(`${field} must be a string of at most 200 characters`);
+    }
+  });
+
+  if (input.capacity != null && (!Number.isInteger(input.capacity) || input.capacity <= 0)) {
+    errors.push('capacity must be a positive integer');
+  }
+
+  return errors;
+};
+
+const validateFighterInput = (input, existing = null) => {
+  const errors = [];
+
+  if (!existing || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+
+  ['nickname', 'country', 'weight_class'].forEach(field => {
+    if (!isOptionalText(input[field], 100)) {
+      errors.push(`${field} must be a string of at most 100 characters`);
+    }
+  });
+
+  if (!isOptionalText(input.bio, 5000)) {
+    errors.push('bio must be a string of at most 5000 characters');
+  }
+
+  if (input.photo_url != null && !isValidUrl(input.photo_url)) {
+    errors.push('photo_url must be an http(s) URL');
+  }
+
+  if (input.category_id != null && !db.prepare('SELECT id FROM categories WHERE id = ?').get(input.category_id)) {
+    errors.push('category_id does not match a category');
+  }
+
+  ['wins', 'losses', 'draws', 'no_contests'].forEach(field => {
+    if (input[field] !== undefined && (!Number.isInteger(input[field]) || input[field] < 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  });
+
+  return errors;
+};
+
+const validateBoutInput = (input, existing = null) => {
+  const errors = [];
+  const merged = { ...(existing || {}), ...input };
+
+  ['red_fighter_id', 'blue_fighter_id'].forEach(field => {
+    if (!existing || input[field] !== undefined) {
+      if (typeof input[field] !== 'string' || !db.prepare('SELECT id FROM fighters WHERE id = ?').get(input[field])) {
+        errors.push(`${field} does not match a fighter`);
+      }
+    }
+  });
+
+  if (merged.red_fighter_id && merged.red_fighter_id === merged.blue_fighter_id) {
+    errors.push('a fighter cannot face themselves');
+  }
+
+  if (existing && existing.status === 'completed' &&
+      (input.red_fighter_id !== undefined || input.blue_fighter_id !== undefined)) {
+    errors.push('clear the result before changing the fighters');
+  }
+
+  if (input.segment !== undefined && !CARD_SEGMENTS.includes(input.segment)) {
+    errors.push(`segment must be one of: ${CARD_SEGMENTS.join(', ')}`);
+  }
+
+  if (input.position !== undefined && (!Number.isInteger(input.position) || input.position <= 0)) {
+    errors.push('position must be a positive integer');
+  }
+
+  if (input.scheduled_rounds !== undefined &&
+      (!Number.isInteger(input.scheduled_rounds) || input.scheduled_rounds < 1 || input.scheduled_rounds > MAX_SCHEDULED_ROUNDS)) {
+    errors.push(`scheduled_rounds must be between 1 and ${MAX_SCHEDULED_ROUNDS}`);
+  }
+
+  if (input.category_id != null && !db.prepare('SELECT id FROM categories WHERE id = ?').get(input.category_id)) {
+    errors.push('category_id does not match a category');
+  }
+
+  if (!isOptionalText(input.weight_class, 100)) {
+    errors.push('weight_class must be a string of at most 100 characters');
+  }
+
+  if (input.title_fight !== undefined && typeof input.title_fight !== 'boolean') {
+    errors.push('title_fight must be a boolean');
+  }
+
+  // Results have their own endpoint so records stay in step
+  if (input.status !== undefined) {
+    if (!['scheduled', 'cancelled'].includes(input.status)) {
+      errors.push('status must be scheduled or cancelled; record results via the result endpoint');
+    } else if (existing && existing.status === 'completed') {
+      errors.push('clear the result before changing the status');
+    }
+  }
+
+  return errors;
+};
+
+const validateBoutResult = (input, bout) => {
+  const errors = [];
+
+  if (!BOUT_METHODS.includes(input.method)) {
+    errors.push(`method must be one of: ${BOUT_METHODS.join(', ')}`);
+  } else if (NO_WINNER_METHODS.includes(input.method)) {
+    if (input.winner_id != null) {
+      errors.push(`a ${input.method} has no winner`);
+    }
+  } else if (input.winner_id !== bout.red_fighter_id && input.winner_id !== bout.blue_fighter_id) {
+    errors.push('winner_id must be one of the fighters in this bout');
+  }
+
+  if (input.round != null &&
+      (!Number.isInteger(input.round) || input.round < 1 || input.round > bout.scheduled_rounds)) {
+    errors.push(`round must be between 1 and ${bout.scheduled_rounds}`);
+  }
+
+  if (input.time != null && (typeof input.time !== 'string' || !RESULT_TIME_PATTERN.test(input.time))) {
+    errors.push('time must be elapsed time in the round as M:SS');
+  }
+
+  if (!isOptionalText(input.method_detail, 200)) {
+    errors.push('method_detail must be a string of at most 200 characters');
+  }
+
+  return errors;
+};
+
+// List Categories
+app.get('/api/v1/categories', (req, res) => {
+  try {
+    const categories = db.prepare('SELECT id, name FROM categories ORDER BY sort_order, name').all();
+    res.json({ categories, total: categories.length });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Fighters
+app.get('/api/v1/fighters', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const conditions = [];
+    const args = [];
+
+    if (req.query.q) {
+      conditions.push('(name LIKE ? OR nickname LIKE ?)');
+      args.push(`%${req.query.q}%`, `%${req.query.q}%`);
+    }
+    if (req.query.category) {
+      conditions.push('category_id = ?');
+      args.push(req.query.category);
+    }
+    if (req.query.weight_class) {
+      conditions.push('weight_class = ? COLLATE NOCASE');
+      args.push(req.query.weight_class);
+    }
+
+    const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const fighters = db.prepare(`
+      SELECT * FROM fighters ${filter} ORDER BY name COLLATE NOCASE LIMIT ? OFFSET ?
+    `).all(...args, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM fighters ${filter}`).get(...args);
+
+    res.json({ fighters: fighters.map(formatFighter), total, limit, offset });
+  } catch (error) {
+    console.error('Get fighters error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Fighter
+app.get('/api/v1/fighters/:fighterId', (req, res) => {
+  try {
+    const fighter = db.prepare('SELECT * FROM fighters WHERE id = ?').get(req.params.fighterId);
+    if (!fighter) {
+      return res.status(404).json({ message: 'Fighter not found' });
+    }
+
+    res.json(formatFighter(fighter));
+  } catch (error) {
+    console.error('Get fighter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Fighter's Fight History (most recent first)
+app.get('/api/v1/fighters/:fighterId/fights', (req, res) => {
+  try {
+    const fighter = db.prepare('SELECT * FROM fighters WHERE id = ?').get(req.params.fighterId);
+    if (!fighter) {
+      return res.status(404).json({ message: 'Fighter not found' });
+    }
+
+    const bouts = db.prepare(`
+      SELECT b.*, e.title AS event_title, e.start_time AS event_start_time
+      FROM bouts b
+      JOIN events e ON e.id = b.event_id
+      WHERE (b.red_fighter_id = ? OR b.blue_fighter_id = ?) AND b.status != 'cancelled'
+      ORDER BY COALESCE(e.start_time, b.created_at) DESC, b.position
+    `).all(fighter.id, fighter.id);
+    const fighters = loadBoutFighters(bouts);
+
+    res.json({
+      fighter: formatFighter(fighter),
+      fights: bouts.map(b => {
+        const opponentId = b.red_fighter_id === fighter.id ? b.blue_fighter_id : b.red_fighter_id;
+        const { red_corner, blue_corner, ...bout } = formatBout(b, fighters);
+        return {
+          ...bout,
+          event: { id: b.event_id, title: b.event_title, start_time: b.event_start_time },
+          corner: b.red_fighter_id === fighter.id ? 'red' : 'blue',
+          opponent: formatCorner(fighters.get(opponentId)),
+          outcome: boutOutcome(b, fighter.id)
+        };
+      }),
+      total: bouts.length
+    });
+  } catch (error) {
+    console.error('Get fighter history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Category (admin)
+app.post('/api/v1/admin/categories', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { id, name, sort_order } = req.body;
+    const errors = [];
+    if (typeof id !== 'string' || !CATEGORY_ID_PATTERN.test(id)) {
+      errors.push('id must be a lowercase slug such as muay-thai');
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    }
+    if (sort_order !== undefined && !Number.isInteger(sort_order)) {
+      errors.push('sort_order must be an integer');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid category', errors });
+    }
+
+    if (db.prepare('SELECT id FROM categories WHERE id = ?').get(id)) {
+      return res.status(409).json({ message: 'Category already exists' });
+    }
+
+    db.prepare('INSERT INTO categories (id, name, sort_order) VALUES (?, ?, ?)')
+      .run(id, name.trim(), sort_order || 0);
+
+    res.status(201).json(db.prepare('SELECT id, name, sort_order FROM categories WHERE id = ?').get(id));
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Venues (admin)
+app.get('/api/v1/admin/venues', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const venues = db.prepare('SELECT * FROM venues ORDER BY name COLLATE NOCASE').all();
+    res.json({ venues: venues.map(formatVenue), total: venues.length });
+  } catch (error) {
+    console.error('List venues error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Venue (admin)
+app.post('/api/v1/admin/venues', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validateVenueInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid venue', errors });
+    }
+
+    const { name, address, city, region, country, capacity } = req.body;
+    const venueId = generateId();
+    db.prepare(`
+      INSERT INTO venues (id, name, address, city, region, country, capacity)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(venueId, name.trim(), address || null, city || null, region || null, country || null, capacity || null);
+
+    res.status(201).json(formatVenue(db.prepare('SELECT * FROM venues WHERE id = ?').get(venueId)));
+  } catch (error) {
+    console.error('Create venue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Venue (admin)
+app.put('/api/v1/admin/venues/:venueId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM venues WHERE id = ?').get(req.params.venueId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const updates = {};
+    ['name', 'address', 'city', 'region', 'country', 'capacity'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const errors = validateVenueInput(updates, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid venue', errors });
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      const assignments = fields.map(f => `${f} = ?`).join(', ');
+      db.prepare(`UPDATE venues SET ${assignments} WHERE id = ?`)
+        .run(...fields.map(f => updates[f]), existing.id);
+    }
+
+    res.json(formatVenue(db.prepare('SELECT * FROM venues WHERE id = ?').get(existing.id)));
+  } catch (error) {
+    console.error('Update venue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const EDITABLE_FIGHTER_FIELDS = [
+  'name', 'nickname', 'country', 'category_id', 'weight_class', 'photo_url', 'bio',
+  'wins', 'losses', 'draws', 'no_contests'
+];
+
+// Create Fighter (admin); the record is the fighter's professional record
+// before any results recorded here
+app.post('/api/v1/admin/fighters', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validateFighterInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid fighter', errors });
+    }
+
+    const {
+      name, nickname, country, category_id, weight_class, photo_url, bio,
+      wins, losses, draws, no_contests
+    } = req.body;
+    const fighterId = generateId();
+
+    db.prepare(`
+      INSERT INTO fighters (
+        id, name, nickname, country, category_id, weight_class, photo_url, bio,
+        wins, losses, draws, no_contests
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      fighterId,
+      name.trim(),
+      nickname || null,
+      country || null,
+      category_id || null,
+      weight_class || null,
+      photo_url || null,
+      bio || null,
+      wins || 0,
+      losses || 0,
+      draws || 0,
+      no_contests || 0
+    );
+
+    res.status(201).json(formatFighter(db.prepare('SELECT * FROM fighters WHERE id = ?').get(fighterId)));
+  } catch (error) {
+    console.error('Create fighter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Fighter (admin)
+app.put('/api/v1/admin/fighters/:fighterId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM fighters WHERE id = ?').get(req.params.fighterId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Fighter not found' });
+    }
+
+    const updates = {};
+    EDITABLE_FIGHTER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const errors = validateFighterInput(updates, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid fighter', errors });
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      const assignments = fields.map(f => `${f} = ?`).join(', ');
+      db.prepare(`UPDATE fighters SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(f => updates[f]), existing.id);
+    }
+
+    res.json(formatFighter(db.prepare('SELECT * FROM fighters WHERE id = ?').get(existing.id)));
+  } catch (error) {
+    console.error('Update fighter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Fighter (admin; only fighters who have never been on a card)
+app.delete('/api/v1/admin/fighters/:fighterId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const fighter = db.prepare('SELECT * FROM fighters WHERE id = ?').get(req.params.fighterId);
+    if (!fighter) {
+      return res.status(404).json({ message: 'Fighter not found' });
+    }
+
+    const { bouts } = db.prepare(`
+      SELECT COUNT(*) AS bouts FROM bouts WHERE red_fighter_id = ? OR blue_fighter_id = ?
+    `).get(fighter.id, fighter.id);
+    if (bouts > 0) {
+      return res.status(409).json({ message: 'Fighter appears on a card and cannot be deleted', bouts });
+    }
+
+    // Photo tags are the only other reference, and they go with the fighter
+    db.transaction(() => {
+      db.prepare('DELETE FROM event_photo_fighters WHERE fighter_id = ?').run(fighter.id);
+      db.prepare('DELETE FROM fighters WHERE id = ?').run(fighter.id);
+    })();
+    res.json({ success: true, id: fighter.id });
+  } catch (error) {
+    console.error('Delete fighter error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const findEventBout = (eventId, boutId) => {
+  return db.prepare('SELECT * FROM bouts WHERE id = ? AND event_id = ?').get(boutId, eventId);
+};
+
+const formatSingleBout = (bout) => formatBout(bout, loadBoutFighters([bout]));
+
+// Add Bout to Card (admin); without a position it goes to the bottom of the card
+app.post('/api/v1/admin/events/:eventId/bouts', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const errors = validateBoutInput(req.body);
+    if (req.body.status === 'cancelled') {
+      errors.push('new bouts start as scheduled');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid bout', errors });
+    }
+
+    const {
+      red_fighter_id, blue_fighter_id, position, segment, category_id,
+      weight_class, scheduled_rounds, title_fight
+    } = req.body;
+    const boutId = generateId();
+    const { last } = db.prepare('SELECT MAX(position) AS last FROM bouts WHERE event_id = ?').get(event.id);
+
+    db.prepare(`
+      INSERT INTO bouts (
+        id, event_id, position, segment, category_id, weight_class,
+        scheduled_rounds, title_fight, red_fighter_id, blue_fighter_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      boutId,
+      event.id,
+      position || (last || 0) + 1,
+      segment || 'main_card',
+      category_id || event.category || null,
+      weight_class || null,
+      scheduled_rounds || 3,
+      title_fight ? 1 : 0,
+      red_fighter_id,
+      blue_fighter_id
+    );
+
+    res.status(201).json(formatSingleBout(db.prepare('SELECT * FROM bouts WHERE id = ?').get(boutId)));
+  } catch (error) {
+    console.error('Create bout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Bout (admin)
+app.put('/api/v1/admin/events/:eventId/bouts/:boutId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = findEventBout(req.params.eventId, req.params.boutId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Bout not found' });
+    }
+
+    const updates = {};
+    [
+      'red_fighter_id', 'blue_fighter_id', 'position', 'segment', 'category_id',
+      'weight_class', 'scheduled_rounds', 'title_fight', 'status'
+    ].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const errors = validateBoutInput(updates, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid bout', errors });
+    }
+
+    if (updates.title_fight !== undefined) {
+      updates.title_fight = updates.title_fight ? 1 : 0;
+    }
+
+    // Rescheduling or cancelling a bout that was under way starts it over
+    if (updates.status !== undefined) {
+      updates.current_round = null;
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      const assignments = fields.map(f => `${f} = ?`).join(', ');
+      db.prepare(`UPDATE bouts SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(f => updates[f]), existing.id);
+    }
+
+    const bout = db.prepare('SELECT * FROM bouts WHERE id = ?').get(existing.id);
+    if (updates.status !== undefined && updates.status !== existing.status) {
+      publishBoutUpdate(bout, updates.status === 'cancelled' ? 'cancelled' : 'rescheduled');
+    }
+
+    res.json(formatSingleBout(bout));
+  } catch (error) {
+    console.error('Update bout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove Bout from Card (admin)
+app.delete('/api/v1/admin/events/:eventId/bouts/:boutId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const bout = findEventBout(req.params.eventId, req.params.boutId);
+    if (!bout) {
+      return res.status(404).json({ message: 'Bout not found' });
+    }
+
+    if (bout.status === 'completed') {
+      return res.status(409).json({ message: 'Clear the result before removing a completed bout' });
+    }
+
+    db.prepare('DELETE FROM bouts WHERE id = ?').run(bout.id);
+    res.json({ success: true, id: bout.id });
+  } catch (error) {
+    console.error('Delete bout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record Bout Result (admin); posting again corrects the result
+app.post('/api/v1/admin/events/:eventId/bouts/:boutId/result', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const bout = findEventBout(req.params.eventId, req.params.boutId);
+    if (!bout) {
+      return res.status(404).json({ message: 'Bout not found' });
+    }
+
+    if (bout.status === 'cancelled') {
+      return res.status(409).json({ message: 'Bout was cancelled' });
+    }
+
+    const errors = validateBoutResult(req.body, bout);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid result', errors });
+    }
+
+    const updated = recordBoutResult(bout, req.body);
+    publishBoutUpdate(updated, bout.status === 'completed' ? 'result_corrected' : 'result');
+    res.json(formatSingleBout(updated));
+  } catch (error) {
+    console.error('Record bout result error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clear Bout Result (admin); backs it out of both fighters' records
+app.delete('/api/v1/admin/events/:eventId/bouts/:boutId/result', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const bout = findEventBout(req.params.eventId, req.params.boutId);
+    if (!bout) {
+      return res.status(404).json({ message: 'Bout not found' });
+    }
+
+    if (bout.status !== 'completed') {
+      return res.status(409).json({ message: 'Bout has no result to clear' });
+    }
+
+    const updated = clearBoutResult(bout);
+    publishBoutUpdate(updated, 'result_cleared');
+    res.json(formatSingleBout(updated));
+  } catch (error) {
+    console.error('Clear bout result error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// LIVE FEED
+// ================================
+// Server-Sent Events per event: bout progress (walkout, rounds, results),
+// go-live/end transitions and viewer counts. Bout and event updates are stored
+// with increasing ids so a client reconnecting with Last-Event-ID catches up on
+// whatever it missed; viewer counts are transient and only sent when they change.
+
+const LIVE_FEED_TICK_SECONDS = 15;
+const LIVE_FEED_REPLAY_LIMIT = 500;
+
+// eventId -> Set of open SSE responses
+const liveFeedClients = new Map();
+// eventId -> viewer count last sent to that event's clients
+const liveFeedViewers = new Map();
+
+const writeSse = (res, type, data, id = null) => {
+  res.write(`${id != null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Store an update and push it to everyone watching the event's feed
+const publishLiveFeed = (eventId, type, data) => {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO live_feed_events (event_id, type, payload) VALUES (?, ?, ?)
+  `).run(eventId, type, JSON.stringify(data));
+
+  const clients = liveFeedClients.get(eventId);
+  if (clients) {
+    clients.forEach(res => writeSse(res, type, data, lastInsertRowid));
+  }
+};
+
+const publishBoutUpdate = (bout, update, extra = {}) => {
+  publishLiveFeed(bout.event_id, 'bout_update', {
+    update,
+    ...extra,
+    bout: formatSingleBout(bout),
+    at: new Date().toISOString()
+  });
+
+  // Chat slows down automatically while the main event is on
+  if (bout.segment === 'main_event') {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(bout.event_id);
+    broadcastChat(event.id, 'slow_mode', { slow_mode_seconds: chatSlowModeSeconds(event) });
+  }
+};
+
+const LIVE_BOUT_UPDATES = ['walkout', 'round_start', 'round_end', 'result'];
+
+// Work out the bout's next state for a live update, or explain why it can't happen
+const nextBoutState = (bout, input) => {
+  switch (input.type) {
+    case 'walkout':
+      if (bout.status !== 'scheduled') {
+        return { error: `Walkout is only possible for a scheduled bout (bout is ${bout.status})` };
+      }
+      return { status: 'walkout', current_round: null };
+
+    case 'round_start': {
+      if (!['walkout', 'between_rounds'].includes(bout.status)) {
+        return { error: `A round can only start after the walkout or between rounds (bout is ${bout.status})` };
+      }
+      const round = bout.status === 'walkout' ? 1 : bout.current_round + 1;
+      if (input.round != null && input.round !== round) {
+        return { error: `Next round is ${round}` };
+      }
+      if (round > bout.scheduled_rounds) {
+        return { error: `Bout is scheduled for ${bout.scheduled_rounds} rounds` };
+      }
+      return { status: 'in_progress', current_round: round };
+    }
+
+    case 'round_end':
+      if (bout.status !== 'in_progress') {
+        return { error: `No round is in progress (bout is ${bout.status})` };
+      }
+      if (input.time != null && (typeof input.time !== 'string' || !RESULT_TIME_PATTERN.test(input.time))) {
+        return { error: 'time must be elapsed time in the round as M:SS' };
+      }
+      return { status: 'between_rounds', current_round: bout.current_round };
+
+    default:
+      return { error: `type must be one of: ${LIVE_BOUT_UPDATES.join(', ')}` };
+  }
+};
+
+// Live Feed (Server-Sent Events)
+app.get('/api/v1/events/:eventId/live-feed', (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // stop nginx-style proxies buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${LIVE_FEED_TICK_SECONDS * 1000}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id);
+    if (Number.isInteger(lastEventId) && lastEventId >= 0) {
+      db.prepare(`
+        SELECT * FROM live_feed_events WHERE event_id = ? AND id > ? ORDER BY id LIMIT ?
+      `).all(event.id, lastEventId, LIVE_FEED_REPLAY_LIMIT)
+        .forEach(row => writeSse(res, row.type, JSON.parse(row.payload), row.id));
+    } else {
+      writeSse(res, 'snapshot', {
+        event: {
+          id: event.id,
+          is_live: Boolean(event.is_live),
+          viewers: event.viewers,
+          start_time: event.start_time,
+          end_time: event.end_time
+        },
+        card: getEventCard(event.id)
+      });
+    }
+
+    if (!liveFeedClients.has(event.id)) {
+      liveFeedClients.set(event.id, new Set());
+    }
+    liveFeedClients.get(event.id).add(res);
+
+    req.on('close', () => {
+      const clients = liveFeedClients.get(event.id);
+      if (clients) {
+        clients.delete(res);
+        if (clients.size === 0) {
+          liveFeedClients.delete(event.id);
+          liveFeedViewers.delete(event.id);
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Live feed error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Post Live Bout Update (admin): walkout, round_start, round_end or result
+app.post('/api/v1/admin/events/:eventId/bouts/:boutId/status', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const bout = findEventBout(req.params.eventId, req.params.boutId);
+    if (!bout) {
+      return res.status(404).json({ message: 'Bout not found' });
+    }
+
+    if (bout.status === 'cancelled') {
+      return res.status(409).json({ message: 'Bout was cancelled' });
+    }
+
+    if (req.body.type === 'result') {
+      // Default the finishing round to the one being fought
+      const result = { ...req.body, round: req.body.round == null ? bout.current_round : req.body.round };
+      const errors = validateBoutResult(result, bout);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid result', errors });
+      }
+
+      const updated = recordBoutResult(bout, result);
+      publishBoutUpdate(updated, bout.status === 'completed' ? 'result_corrected' : 'result');
+      return res.json(formatSingleBout(updated));
+    }
+
+    if (!LIVE_BOUT_UPDATES.includes(req.body.type)) {
+      return res.status(400).json({ message: `type must be one of: ${LIVE_BOUT_UPDATES.join(', ')}` });
+    }
+
+    const next = nextBoutState(bout, req.body);
+    if (next.error) {
+      return res.status(409).json({ message: next.error, code: 'INVALID_BOUT_TRANSITION', status: bout.status });
+    }
+
+    db.prepare(`
+      UPDATE bouts SET status = ?, current_round = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(next.status, next.current_round, bout.id);
+
+    const updated = db.prepare('SELECT * FROM bouts WHERE id = ?').get(bout.id);
+    publishBoutUpdate(updated, req.body.type, {
+      round: next.current_round,
+      time: req.body.type === 'round_end' ? req.body.time || null : null
+    });
+
+    res.json(formatSingleBout(updated));
+  } catch (error) {
+    console.error('Bout status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Push viewer counts that changed and keep idle connections (and proxies) open
+setInterval(() => {
+  try {
+    liveFeedClients.forEach((clients, eventId) => {
+      const event = db.prepare('SELECT viewers, is_live FROM events WHERE id = ?').get(eventId);
+      if (event && event.is_live && liveFeedViewers.get(eventId) !== event.viewers) {
+        liveFeedViewers.set(eventId, event.viewers);
+        clients.forEach(res => writeSse(res, 'viewers', { event_id: eventId, viewers: event.viewers }));
+      } else {
+        clients.forEach(res => res.write(': keepalive\n\n'));
+      }
+    });
+  } catch (error) {
+    console.error('Live feed tick error:', error);
+  }
+}, LIVE_FEED_TICK_SECONDS * 1000).unref();
+
+// ================================
+// LIVE CHAT
+// ================================
+// One room per event, open to users who can watch it (the same access check as
+// the stream endpoint) while the event is live. Messages arrive over SSE and
+// are sent with POST. Moderators (role moderator or admin) bypass the access
+// check, the rate limit and slow mode, and can delete messages, mute and ban.
+
+const CHAT_MESSAGE_MAX_LENGTH = 500;
+const CHAT_SANCTION_KINDS = ['mute', 'ban'];
+const CHAT_MAX_SLOW_MODE_SECONDS = 300;
+// Applied automatically while the main event is under way, unless a moderator
+// has set something stricter
+const CHAT_MAIN_EVENT_SLOW_MODE_SECONDS = parseInt(process.env.CHAT_MAIN_EVENT_SLOW_MODE_SECONDS) || 10;
+
+// Words are masked rather than rejected; add more with CHAT_BLOCKED_WORDS=word1,word2
+const CHAT_BLOCKED_WORDS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'pussy', 'whore', 'slut',
+  ...(process.env.CHAT_BLOCKED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+];
+// Whole words plus common endings ("fucking", "shitty"), so words that merely
+// start with one ("Dickson", "shitake") are left alone
+const CHAT_BLOCKED_SUFFIXES = ['s', 'es', 'ed', 'er', 'ers', 'ing', 'ings', 'in', 'y', 'ty', 'head', 'heads'];
+const CHAT_BLOCKED_PATTERN = new RegExp(
+  `\\b(${CHAT_BLOCKED_WORDS.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(${CHAT_BLOCKED_SUFFIXES.join('|')})?\\b`,
+  'gi'
+);
+const CHAT_LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|gg|tv|co|ly|me|xyz|link|app)\b/i;
+
+// Per-user message rate, on top of slow mode
+const chatMessageLimiter = rateLimit({
+  windowMs: 10 * 1000, // 10 seconds
+  max: 5, // messages per user per window
+  keyGenerator: (req) => req.user.userId,
+  skip: (req) => isModerator(req.user.userId),
+  message: { message: 'You are sending messages too quickly', code: 'CHAT_RATE_LIMITED' }
+});
+
+// eventId -> Set of { res, userId } for open chat streams
+const chatClients = new Map();
+
+const maskProfanity = (text) => text.replace(CHAT_BLOCKED_PATTERN, word => '*'.repeat(word.length));
+
+const formatChatMessage = (m) => ({
+  id: m.id,
+  event_id: m.event_id,
+  user: { id: m.user_id, name: m.user_name || 'Fan' },
+  body: m.body,
+  created_at: m.created_at
+});
+
+const formatChatSanction = (s) => ({
+  id: s.id,
+  user_id: s.user_id,
+  event_id: s.event_id,
+  scope: s.event_id ? 'event' : 'global',
+  kind: s.kind,
+  reason: s.reason,
+  expires_at: s.expires_at,
+  created_by: s.created_by,
+  created_at: s.created_at,
+  lifted_at: s.lifted_at
+});
+
+// A ban also counts as a mute; event-less sanctions apply to every room
+const findChatSanction = (userId, eventId, kinds) => {
+  return db.prepare(`
+    SELECT * FROM chat_sanctions
+    WHERE user_id = ? AND (event_id IS NULL OR event_id = ?)
+      AND kind IN (${kinds.map(() => '?').join(', ')})
+      AND lifted_at IS NULL
+      AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+    ORDER BY kind = 'ban' DESC, expires_at IS NULL DESC, expires_at DESC
+    LIMIT 1
+  `).get(userId, eventId, ...kinds);
+};
+
+const chatSlowModeSeconds = (event) => {
+  const mainEventUnderway = db.prepare(`
+    SELECT 1 FROM bouts
+    WHERE event_id = ? AND segment = 'main_event' AND status IN ('walkout', 'in_progress', 'between_rounds')
+  `).get(event.id);
+  return Math.max(event.chat_slow_mode_seconds || 0, mainEventUnderway ? CHAT_MAIN_EVENT_SLOW_MODE_SECONDS : 0);
+};
+
+// Whether a user may join an event's chat; returns an error response or null
+const checkChatAccess = (userId, event) => {
+  if (isModerator(userId)) {
+    return null;
+  }
+
+  const ban = findChatSanction(userId, event.id, ['ban']);
+  if (ban) {
+    return {
+      status: 403,
+      body: { message: 'You are banned from this chat', code: 'CHAT_BANNED', expires_at: ban.expires_at }
+    };
+  }
+
+  const access = findEventAccess(userId, event.id);
+  if (!access || !access.watchable) {
+    return {
+      status: 403,
+      body: { message: 'Chat is open to viewers with access to this event', code: 'CHAT_ACCESS_REQUIRED' }
+    };
+  }
+
+  return null;
+};
+
+const broadcastChat = (eventId, type, data, filter = () => true) => {
+  const clients = chatClients.get(eventId);
+  if (clients) {
+    clients.forEach(client => {
+      if (filter(client)) {
+        writeSse(client.res, type, data);
+      }
+    });
+  }
+};
+
+// Drop a banned user's open streams so they stop receiving messages
+const disconnectChatUser = (userId, eventId = null) => {
+  chatClients.forEach((clients, roomId) => {
+    if (eventId && roomId !== eventId) return;
+    clients.forEach(client => {
+      if (client.userId === userId) {
+        writeSse(client.res, 'banned', { event_id: roomId });
+        client.res.end();
+        clients.delete(client);
+      }
+    });
+  });
+};
+
+// Chat Stream (Server-Sent Events)
+app.get('/api/v1/events/:eventId/chat', authenticateToken, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const denied = checkChatAccess(req.user.userId, event);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${LIVE_FEED_TICK_SECONDS * 1000}\n\n`);
+    writeSse(res, 'room', {
+      event_id: event.id,
+      open: Boolean(event.is_live),
+      slow_mode_seconds: chatSlowModeSeconds(event)
+    });
+
+    const client = { res, userId: req.user.userId };
+    if (!chatClients.has(event.id)) {
+      chatClients.set(event.id, new Set());
+    }
+    chatClients.get(event.id).add(client);
+
+    req.on('close', () => {
+      const clients = chatClients.get(event.id);
+      if (clients) {
+        clients.delete(client);
+        if (clients.size === 0) {
+          chatClients.delete(event.id);
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Chat History (newest first; page back with ?before=<message id>)
+app.get('/api/v1/events/:eventId/chat/messages', authenticateToken, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const denied = checkChatAccess(req.user.userId, event);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const before = req.query.before
+      ? db.prepare('SELECT created_at, rowid FROM chat_messages WHERE id = ? AND event_id = ?').get(req.query.before, event.id)
+      : null;
+
+    const messages = db.prepare(`
+      SELECT m.*, u.name AS user_name
+      FROM chat_messages m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.event_id = ? AND m.deleted_at IS NULL
+        ${before ? 'AND (m.created_at < ? OR (m.created_at = ? AND m.rowid < ?))' : ''}
+      ORDER BY m.created_at DESC, m.rowid DESC
+      LIMIT ?
+    `).all(event.id, ...(before ? [before.created_at, before.created_at, before.rowid] : []), limit);
+
+    res.json({
+      messages: messages.map(formatChatMessage),
+      has_more: messages.length === limit,
+      slow_mode_seconds: chatSlowModeSeconds(event)
+    });
+  } catch (error) {
+    console.error('Chat history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send Chat Message
+app.post('/api/v1/events/:eventId/chat/messages', authenticateToken, chatMessageLimiter, (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const denied = checkChatAccess(userId, event);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    if (!event.is_live) {
+      return res.status(409).json({ message: 'Chat opens when the event goes live', code: 'CHAT_CLOSED' });
+    }
+
+    const text = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (!text) {
+      return res.status(400).json({ message: 'body is required' });
+    }
+    if (text.length > CHAT_MESSAGE_MAX_LENGTH) {
+      return res.status(400).json({ message: `Messages are limited to ${CHAT_MESSAGE_MAX_LENGTH} characters` });
+    }
+
+    const moderator = isModerator(userId);
+    if (!moderator) {
+      const mute = findChatSanction(userId, event.id, ['mute']);
+      if (mute) {
+        return res.status(403).json({ message: 'You are muted in this chat', code: 'CHAT_MUTED', expires_at: mute.expires_at });
+      }
+
+      if (CHAT_LINK_PATTERN.test(text)) {
+        return res.status(400).json({ message: 'Links are not allowed in chat', code: 'CHAT_LINKS_NOT_ALLOWED' });
+      }
+
+      const slowMode = chatSlowModeSeconds(event);
+      if (slowMode > 0) {
+        const last = db.prepare(`
+          SELECT (julianday('now') - julianday(created_at)) * 86400 AS elapsed FROM chat_messages
+          WHERE event_id = ? AND user_id = ? AND deleted_at IS NULL
+          ORDER BY created_at DESC LIMIT 1
+        `).get(event.id, userId);
+        const elapsed = last ? last.elapsed : Infinity;
+        if (elapsed < slowMode) {
+          return res.status(429).json({
+            message: `Slow mode is on: one message every ${slowMode} seconds`,
+            code: 'CHAT_SLOW_MODE',
+            retry_after: Math.ceil(slowMode - elapsed)
+          });
+        }
+      }
+    }
+
+    const messageId = generateId();
+    db.prepare('INSERT INTO chat_messages (id, event_id, user_id, body) VALUES (?, ?, ?, ?)')
+      .run(messageId, event.id, userId, maskProfanity(text));
+
+    const message = formatChatMessage(db.prepare(`
+      SELECT m.*, u.name AS user_name FROM chat_messages m JOIN users u ON u.id = m.user_id WHERE m.id = ?
+    `).get(messageId));
+    broadcastChat(event.id, 'message', message);
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Send chat message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Chat Message (moderators, or the author)
+app.delete('/api/v1/events/:eventId/chat/messages/:messageId', authenticateToken, (req, res) => {
+  try {
+    const message = db.prepare('SELECT * FROM chat_messages WHERE id = ? AND event_id = ? AND deleted_at IS NULL')
+      .get(req.params.messageId, req.params.eventId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message.user_id !== req.user.userId && !isModerator(req.user.userId)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+
+    db.prepare('UPDATE chat_messages SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ?')
+      .run(req.user.userId, message.id);
+    broadcastChat(message.event_id, 'message_deleted', { id: message.id });
+
+    res.json({ success: true, id: message.id });
+  } catch (error) {
+    console.error('Delete chat message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mute or Ban a User (moderator). Without minutes the sanction is permanent;
+// scope 'global' applies it to every event's chat.
+app.post('/api/v1/events/:eventId/chat/sanctions', authenticateToken, requireModerator, (req, res) => {
+  try {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { user_id, kind, minutes, reason, scope = 'event', purge } = req.body;
+    const errors = [];
+    if (!CHAT_SANCTION_KINDS.includes(kind)) {
+      errors.push(`kind must be one of: ${CHAT_SANCTION_KINDS.join(', ')}`);
+    }
+    if (minutes !== undefined && (!Number.isInteger(minutes) || minutes <= 0)) {
+      errors.push('minutes must be a positive integer');
+    }
+    if (!['event', 'global'].includes(scope)) {
+      errors.push('scope must be event or global');
+    }
+    if (reason != null && (typeof reason !== 'string' || reason.length > 500)) {
+      errors.push('reason must be a string of at most 500 characters');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid sanction', errors });
+    }
+
+    const target = db.prepare('SELECT id FROM users WHERE id = ?').get(user_id);
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (isModerator(target.id)) {
+      return res.status(409).json({ message: 'Moderators cannot be muted or banned' });
+    }
+
+    const sanctionId = generateId();
+    const eventId = scope === 'global' ? null : event.id;
+    const purged = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO chat_sanctions (id, user_id, event_id, kind, reason, expires_at, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        sanctionId,
+        target.id,
+        eventId,
+        kind,
+        reason || null,
+        minutes ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null,
+        req.user.userId
+      );
+
+      // Optionally clear what they already posted in this room
+      if (!purge) {
+        return [];
+      }
+      const messages = db.prepare(`
+        SELECT id FROM chat_messages WHERE event_id = ? AND user_id = ? AND deleted_at IS NULL
+      `).all(event.id, target.id);
+      db.prepare(`
+        UPDATE chat_messages SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+        WHERE event_id = ? AND user_id = ? AND deleted_at IS NULL
+      `).run(req.user.userId, event.id, target.id);
+      return messages;
+    })();
+
+    purged.forEach(m => broadcastChat(event.id, 'message_deleted', { id: m.id }));
+    const sanction = db.prepare('SELECT * FROM chat_sanctions WHERE id = ?').get(sanctionId);
+    if (kind === 'ban') {
+      disconnectChatUser(target.id, eventId);
+    } else {
+      broadcastChat(event.id, 'muted', { expires_at: sanction.expires_at }, client => client.userId === target.id);
+    }
+
+    res.status(201).json(formatChatSanction(sanction));
+  } catch (error) {
+    console.error('Create chat sanction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Active Sanctions for an Event's Chat (moderator)
+app.get('/api/v1/events/:eventId/chat/sanctions', authenticateToken, requireModerator, (req, res) => {
+  try {
+    const sanctions = db.prepare(`
+      SELECT * FROM chat_sanctions
+      WHERE (event_id IS NULL OR event_id = ?) AND lifted_at IS NULL
+        AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))
+      ORDER BY created_at DESC
+    `).all(req.params.eventId);
+
+    res.json({ sanctions: sanctions.map(formatChatSanction), total: sanctions.length });
+  } catch (error) {
+    console.error('List chat sanctions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lift a Sanction (moderator)
+app.delete('/api/v1/events/:eventId/chat/sanctions/:sanctionId', authenticateToken, requireModerator, (req, res) => {
+  try {
+    const { changes } = db.prepare(`
+      UPDATE chat_sanctions SET lifted_at = CURRENT_TIMESTAMP, lifted_by = ?
+      WHERE id = ? AND (event_id IS NULL OR event_id = ?) AND lifted_at IS NULL
+    `).run(req.user.userId, req.params.sanctionId, req.params.eventId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Sanction not found' });
+    }
+
+    res.json(formatChatSanction(db.prepare('SELECT * FROM chat_sanctions WHERE id = ?').get(req.params.sanctionId)));
+  } catch (error) {
+    console.error('Lift chat sanction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set Slow Mode (moderator); 0 turns it off
+app.put('/api/v1/events/:eventId/chat/slow-mode', authenticateToken, requireModerator, (req, res) => {
+  try {
+    const { seconds } = req.body;
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > CHAT_MAX_SLOW_MODE_SECONDS) {
+      return res.status(400).json({ message: `seconds must be an integer from 0 to ${CHAT_MAX_SLOW_MODE_SECONDS}` });
+    }
+
+    const { changes } = db.prepare('UPDATE events SET chat_slow_mode_seconds = ? WHERE id = ?')
+      .run(seconds, req.params.eventId);
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(req.params.eventId);
+    const effective = chatSlowModeSeconds(event);
+    broadcastChat(event.id, 'slow_mode', { slow_mode_seconds: effective });
+
+    res.json({ event_id: event.id, slow_mode_seconds: seconds, effective_slow_mode_seconds: effective });
+  } catch (error) {
+    console.error('Set slow mode error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set User Role (admin)
+app.put('/api/v1/admin/users/:userId/role', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    // Keep at least the acting admin in place
+    if (req.params.userId === req.user.userId && role !== 'admin') {
+      return res.status(409).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const { changes } = db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, req.params.userId);
+    if (changes === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ user_id: req.params.userId, role });
+  } catch (error) {
+    console.error('Set user role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Keep idle chat streams open through proxies
+setInterval(() => {
+  chatClients.forEach(clients => clients.forEach(client => client.res.write(': keepalive\n\n')));
+}, LIVE_FEED_TICK_SECONDS * 1000).unref();
+
+// ================================
+// EVENT PHOTOS
+// ================================
+// Admins upload photos to an event's gallery. Each gets a square thumbnail and
+// a screen-sized preview that anyone can view; the full-resolution original can
+// be limited to users who bought the event (events.photos_require_purchase).
+
+const PHOTO_MAX_UPLOAD_MB = parseInt(process.env.PHOTO_MAX_UPLOAD_MB) || 25;
+const MAX_PHOTOS_PER_UPLOAD = 20;
+const MAX_PHOTO_FIGHTER_TAGS = 10;
+const PHOTO_CAPTION_MAX_LENGTH = 500;
+const PHOTO_THUMBNAIL_SIZE = 400;
+const PHOTO_PREVIEW_SIZE = 1600;
+
+// Accepted upload formats (as sharp reports them) and the extension kept on the original
+const PHOTO_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Where photo files live. Every backend stores opaque keys:
+// put(key, buffer, contentType), get(key) -> Buffer or null, remove(key).
+const PHOTO_STORAGE_BACKENDS = {
+  // Files under PHOTO_STORAGE_DIR; needs a persistent volume in production
+  local: () => {
+    const root = path.resolve(process.env.PHOTO_STORAGE_DIR || 'uploads/photos');
+    const fileFor = (key) => path.join(root, ...key.split('/'));
+
+    return {
+      put: async (key, body) => {
+        await fs.promises.mkdir(path.dirname(fileFor(key)), { recursive: true });
+        await fs.promises.writeFile(fileFor(key), body);
+      },
+      get: async (key) => {
+        try {
+          return await fs.promises.readFile(fileFor(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            return null;
+          }
+          throw error;
+        }
+      },
+      remove: (key) => fs.promises.rm(fileFor(key), { force: true })
+    };
+  },
+
+  // Any S3-compatible bucket; set PHOTO_S3_ENDPOINT for R2, MinIO, Spaces and the like
+  s3: () => {
+    const bucket = process.env.PHOTO_S3_BUCKET;
+    if (!bucket) {
+      throw new Error('PHOTO_S3_BUCKET is not set');
+    }
+
+    const client = new S3Client({
+      region: process.env.PHOTO_S3_REGION || 'us-east-1',
+      endpoint: process.env.PHOTO_S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.PHOTO_S3_FORCE_PATH_STYLE === 'true',
+      // Without explicit keys the SDK's default chain (env, shared config, IAM role) applies
+      credentials: process.env.PHOTO_S3_ACCESS_KEY_ID
+        ? {
+          accessKeyId: process.env.PHOTO_S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.PHOTO_S3_SECRET_ACCESS_KEY
+        }
+        : undefined
+    });
+
+    return {
+      put: (key, body, contentType) => client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      })),
+      get: async (key) => {
+        try {
+          const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+          return Buffer.from(await object.Body.transformToByteArray());
+        } catch (error) {
+          if (error.name === 'NoSuchKey') {
+            return null;
+          }
+          throw error;
+        }
+      },
+      remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    };
+  }
+};
+
+const createPhotoStorage = () => {
+  const backend = process.env.PHOTO_STORAGE || 'local';
+  if (!PHOTO_STORAGE_BACKENDS[backend]) {
+    throw new Error(`PHOTO_STORAGE must be one of: ${Object.keys(PHOTO_STORAGE_BACKENDS).join(', ')}`);
+  }
+  return PHOTO_STORAGE_BACKENDS[backend]();
+};
+
+// Event photos and receipt PDFs (under receipts/)
+const photoStorage = createPhotoStorage();
+
+// Copy PDFs out of the old receipt_pdfs table one at a time, then drop it.
+// Safe to interrupt: moved rows are deleted and the rest go on the next start.
+const moveLegacyReceiptPdfs = async () => {
+  const legacy = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'receipt_pdfs_legacy'").get();
+  if (!legacy) {
+    return;
+  }
+
+  const receiptNumbers = db.prepare('SELECT receipt_number FROM receipt_pdfs_legacy').pluck().all();
+  for (const receiptNumber of receiptNumbers) {
+    const row = db.prepare('SELECT * FROM receipt_pdfs_legacy WHERE receipt_number = ?').get(receiptNumber);
+    const key = receiptPdfKey(receiptNumber);
+    await photoStorage.put(key, row.pdf, 'application/pdf');
+    db.transaction(() => {
+      db.prepare(`
+        INSERT OR IGNORE INTO receipt_pdfs (receipt_number, user_id, storage_key, created_at) VALUES (?, ?, ?, ?)
+      `).run(receiptNumber, row.user_id, key, row.created_at);
+      db.prepare('DELETE FROM receipt_pdfs_legacy WHERE receipt_number = ?').run(receiptNumber);
+    })();
+  }
+
+  db.exec('DROP TABLE receipt_pdfs_legacy');
+  console.log(`Moved ${receiptNumbers.length} receipt PDF(s) into storage`);
+};
+
+// Uploads are held in memory until they have been decoded and stored
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_UPLOAD_MB * 1024 * 1024, files: MAX_PHOTOS_PER_UPLOAD }
+}).array('photos', MAX_PHOTOS_PER_UPLOAD);
+
+// Turn multer's errors into 400s instead of letting them reach the error handler
+const receivePhotoUploads = (req, res, next) => {
+  photoUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Each photo must be at most ${PHOTO_MAX_UPLOAD_MB} MB`
+      : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Upload up to ${MAX_PHOTOS_PER_UPLOAD} images in the "photos" field`
+        : 'Invalid upload';
+    res.status(400).json({ message, code: 'INVALID_UPLOAD' });
+  });
+};
+
+// Decode an upload and render its thumbnail and preview, or return null if it
+// isn't a supported image. rotate() applies the EXIF orientation; the rendered
+// copies carry no other metadata, so camera GPS tags never reach the gallery.
+const renderPhoto = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+
+  if (!PHOTO_FORMATS[metadata.format]) {
+    return null;
+  }
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(PHOTO_THUMBNAIL_SIZE, PHOTO_THUMBNAIL_SIZE, { fit: 'cover' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+  const preview = await sharp(buffer)
+    .rotate()
+    .resize(PHOTO_PREVIEW_SIZE, PHOTO_PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const sideways = metadata.orientation >= 5;
+
+  return {
+    extension: PHOTO_FORMATS[metadata.format],
+    contentType: `image/${metadata.format}`,
+    width: sideways ? metadata.height : metadata.width,
+    height: sideways ? metadata.width : metadata.height,
+    thumbnail,
+    preview
+  };
+};
+
+// Files are deleted after their rows; a failure only leaves an orphaned file
+const removePhotoFiles = (photos) => {
+  photos.forEach(photo => {
+    [photo.original_key, photo.preview_key, photo.thumbnail_key].forEach(key => {
+      Promise.resolve()
+        .then(() => photoStorage.remove(key))
+        .catch(error => console.error(`Failed to remove photo file ${key}:`, error));
+    });
+  });
+};
+
+// Multipart fields arrive as strings: accept a JSON array or a comma-separated list
+const parseFighterTags = (value) => {
+  if (value === undefined || Array.isArray(value)) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text ? text.split(',').map(id => id.trim()).filter(Boolean) : [];
+};
+
+const validatePhotoInput = ({ caption, fighterIds }) => {
+  const errors = [];
+
+  if (!isOptionalText(caption, PHOTO_CAPTION_MAX_LENGTH)) {
+    errors.push(`caption must be a string of at most ${PHOTO_CAPTION_MAX_LENGTH} characters`);
+  }
+
+  if (fighterIds !== undefined) {
+    if (!Array.isArray(fighterIds) || fighterIds.some(id => typeof id !== 'string')) {
+      errors.push('fighter_ids must be a list of fighter ids');
+    } else if (fighterIds.length > MAX_PHOTO_FIGHTER_TAGS) {
+      errors.push(`tag at most ${MAX_PHOTO_FIGHTER_TAGS} fighters per photo`);
+    } else {
+      const unknown = fighterIds.filter(id => !db.prepare('SELECT id FROM fighters WHERE id = ?').get(id));
+      if (unknown.length > 0) {
+        errors.push(`unknown fighter_ids: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+const savePhotoTags = (photoId, fighterIds) => {
+  db.prepare('DELETE FROM event_photo_fighters WHERE photo_id = ?').run(photoId);
+  [...new Set(fighterIds)].forEach(fighterId => {
+    db.prepare('INSERT INTO event_photo_fighters (photo_id, fighter_id) VALUES (?, ?)').run(photoId, fighterId);
+  });
+};
+
+// Photo rows carry their event's download gate
+const PHOTO_SELECT = `
+  SELECT ph.*, e.photos_require_purchase
+  FROM event_photos ph
+  JOIN events e ON e.id = ph.event_id
+`;
+
+const findPhoto = (photoId) => db.prepare(`${PHOTO_SELECT} WHERE ph.id = ?`).get(photoId);
+
+// Tagged fighters for a set of photos, keyed by photo id
+const loadPhotoTags = (photos) => {
+  const tags = new Map(photos.map(p => [p.id, []]));
+  if (photos.length === 0) {
+    return tags;
+  }
+
+  db.prepare(`
+    SELECT pf.photo_id, f.id, f.name, f.nickname
+    FROM event_photo_fighters pf
+    JOIN fighters f ON f.id = pf.fighter_id
+    WHERE pf.photo_id IN (${photos.map(() => '?').join(', ')})
+    ORDER BY f.name
+  `).all(...photos.map(p => p.id)).forEach(({ photo_id, ...fighter }) => tags.get(photo_id).push(fighter));
+
+  return tags;
+};
+
+const formatPhotos = (photos, baseUrl) => {
+  const tags = loadPhotoTags(photos);
+  return photos.map(p => ({
+    id: p.id,
+    event_id: p.event_id,
+    caption: p.caption,
+    width: p.width,
+    height: p.height,
+    fighters: tags.get(p.id),
+    thumbnail_url: `${baseUrl}/api/v1/photos/${p.id}/thumbnail`,
+    preview_url: `${baseUrl}/api/v1/photos/${p.id}/preview`,
+    original_url: `${baseUrl}/api/v1/photos/${p.id}/original`,
+    download_requires_purchase: Boolean(p.photos_require_purchase),
+    created_at: p.created_at
+  }));
+};
+
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const sendPhotoFile = async (res, key, contentType, cacheControl) => {
+  const body = await photoStorage.get(key);
+  if (!body) {
+    return res.status(404).json({ message: 'Photo not found' });
+  }
+
+  res.set('Cache-Control', cacheControl);
+  res.type(contentType).send(body);
+};
+
+// Photos of an event or fighter, oldest first; `where` filters on ph / pf
+const listPhotos = (req, res, where, params) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  const photos = db.prepare(`
+    ${PHOTO_SELECT}
+    WHERE ${where}
+    ORDER BY ph.created_at, ph.rowid
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  const { total } = db.prepare(`
+    SELECT COUNT(*) AS total FROM event_photos ph WHERE ${where}
+  `).get(...params);
+
+  res.json({ photos: formatPhotos(photos, requestBaseUrl(req)), total, limit, offset });
+};
+
+// Get Event Photos (?fighter_id= narrows to photos tagged with a fighter)
+app.get('/api/v1/events/:eventId/photos', (req, res) => {
+  try {
+    const event = db.prepare('SELECT id FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (req.query.fighter_id) {
+      return listPhotos(req, res, `ph.event_id = ? AND EXISTS (
+        SELECT 1 FROM event_photo_fighters pf WHERE pf.photo_id = ph.id AND pf.fighter_id = ?
+      )`, [event.id, String(req.query.fighter_id)]);
+    }
+
+    listPhotos(req, res, 'ph.event_id = ?', [event.id]);
+  } catch (error) {
+    console.error('Get event photos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Fighter Photos (across events)
+app.get('/api/v1/fighters/:fighterId/photos', (req, res) => {
+  try {
+    const fighter = db.prepare('SELECT id FROM fighters WHERE id = ?').get(req.params.fighterId);
+    if (!fighter) {
+      return res.status(404).json({ message: 'Fighter not found' });
+    }
+
+    listPhotos(req, res, `EXISTS (
+      SELECT 1 FROM event_photo_fighters pf WHERE pf.photo_id = ph.id AND pf.fighter_id = ?
+    )`, [fighter.id]);
+  } catch (error) {
+    console.error('Get fighter photos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Photo
+app.get('/api/v1/photos/:photoId', (req, res) => {
+  try {
+    const photo = findPhoto(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    res.json(formatPhotos([photo], requestBaseUrl(req))[0]);
+  } catch (error) {
+    console.error('Get photo error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Thumbnail and Preview Images (public; a photo's files never change, so they cache for good)
+app.get('/api/v1/photos/:photoId/:size(thumbnail|preview)', async (req, res) => {
+  try {
+    const photo = findPhoto(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    // Let web galleries on other origins embed them
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    const key = req.params.size === 'thumbnail' ? photo.thumbnail_key : photo.preview_key;
+    await sendPhotoFile(res, key, 'image/jpeg', 'public, max-age=31536000, immutable');
+  } catch (error) {
+    console.error('Get photo image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Originals of gated events need a signed-in user; everything else is public
+const authenticateGatedPhoto = (req, res, next) => {
+  const photo = findPhoto(req.params.photoId);
+  if (!photo) {
+    return res.status(404).json({ message: 'Photo not found' });
+  }
+
+  req.photo = photo;
+  if (!photo.photos_require_purchase) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+// Download Full-Resolution Photo
+app.get('/api/v1/photos/:photoId/original', authenticateGatedPhoto, async (req, res) => {
+  try {
+    const { photo } = req;
+
+    if (photo.photos_require_purchase && !isAdmin(req.user.userId) && !findEventAccess(req.user.userId, photo.event_id)) {
+      return res.status(403).json({
+        message: 'Full-resolution photos are available to viewers who bought this event',
+        code: 'PURCHASE_REQUIRED'
+      });
+    }
+
+    const extension = photo.original_key.substring(photo.original_key.lastIndexOf('.'));
+    res.attachment(`${photo.event_id}-${photo.id}${extension}`);
+    await sendPhotoFile(
+      res,
+      photo.original_key,
+      photo.content_type,
+      photo.photos_require_purchase ? 'private, max-age=3600' : 'public, max-age=31536000, immutable'
+    );
+  } catch (error) {
+    console.error('Download photo error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload Event Photos (admin; multipart "photos" files plus optional caption and
+// fighter_ids applied to every photo in the upload)
+app.post('/api/v1/admin/events/:eventId/photos', authenticateToken, requireAdmin, receivePhotoUploads, async (req, res) => {
+  try {
+    const event = db.prepare('SELECT id FROM events WHERE id = ?').get(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const caption = req.body.caption ? String(req.body.caption).trim() : null;
+    const fighterIds = parseFighterTags(req.body.fighter_ids);
+    const files = req.files || [];
+
+    const errors = validatePhotoInput({ caption, fighterIds });
+    if (files.length === 0) {
+      errors.push('attach at least one image in the "photos" field');
+    }
+
+    const rendered = [];
+    for (const file of files) {
+      const image = await renderPhoto(file.buffer);
+      if (!image) {
+        errors.push(`${file.originalname} is not a JPEG, PNG or WebP image`);
+      }
+      rendered.push({ file, image });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid photos', errors });
+    }
+
+    const photos = [];
+    try {
+      for (const { file, image } of rendered) {
+        const photoId = generateId();
+        const prefix = `events/${event.id}/photos/${photoId}`;
+        const photo = {
+          id: photoId,
+          original_key: `${prefix}/original.${image.extension}`,
+          preview_key: `${prefix}/preview.jpg`,
+          thumbnail_key: `${prefix}/thumbnail.jpg`,
+          content_type: image.contentType,
+          width: image.width,
+          height: image.height,
+          size_bytes: file.size
+        };
+
+        photos.push(photo);
+        await photoStorage.put(photo.original_key, file.buffer, image.contentType);
+        await photoStorage.put(photo.preview_key, image.preview, 'image/jpeg');
+        await photoStorage.put(photo.thumbnail_key, image.thumbnail, 'image/jpeg');
+      }
+    } catch (storageError) {
+      console.error('Photo storage error:', storageError);
+      removePhotoFiles(photos);
+      return res.status(502).json({ message: 'Could not store the photos. Please try again.', code: 'PHOTO_STORAGE_ERROR' });
+    }
+
+    db.transaction(() => {
+      photos.forEach(photo => {
+        db.prepare(`
+          INSERT INTO event_photos (
+            id, event_id, original_key, preview_key, thumbnail_key, content_type,
+            width, height, size_bytes, caption, uploaded_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          photo.id,
+          event.id,
+          photo.original_key,
+          photo.preview_key,
+          photo.thumbnail_key,
+          photo.content_type,
+          photo.width,
+          photo.height,
+          photo.size_bytes,
+          caption,
+          req.user.userId
+        );
+        savePhotoTags(photo.id, fighterIds || []);
+      });
+    })();
+
+    const saved = photos.map(photo => findPhoto(photo.id));
+    res.status(201).json({ photos: formatPhotos(saved, requestBaseUrl(req)), total: saved.length });
+  } catch (error) {
+    console.error('Upload photos error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Photo Caption and Tags (admin); fighter_ids replaces the existing tags
+app.put('/api/v1/admin/photos/:photoId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const photo = findPhoto(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    const { caption, fighter_ids: fighterIds } = req.body;
+    const errors = validatePhotoInput({ caption, fighterIds });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid photo', errors });
+    }
+
+    db.transaction(() => {
+      if (caption !== undefined) {
+        db.prepare('UPDATE event_photos SET caption = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .run(caption && caption.trim() ? caption.trim() : null, photo.id);
+      }
+      if (fighterIds !== undefined) {
+        savePhotoTags(photo.id, fighterIds);
+      }
+    })();
+
+    res.json(formatPhotos([findPhoto(photo.id)], requestBaseUrl(req))[0]);
+  } catch (error) {
+    console.error('Update photo error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Photo (admin)
+app.delete('/api/v1/admin/photos/:photoId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const photo = findPhoto(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM event_photo_fighters WHERE photo_id = ?').run(photo.id);
+      db.prepare('DELETE FROM event_photos WHERE id = ?').run(photo.id);
+    })();
+    removePhotoFiles([photo]);
+
+    res.json({ success: true, id: photo.id });
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// PURCHASE ENDPOINTS
+// ================================
+
+// Run the whole event purchase as one transaction: duplicate check, balance
+// check, token spend, purchase and order rows, and the idempotency record.
+// Returns { status, body } so the same response can be replayed for retries.
+// accessKind is 'full' (live, plus replay unless the event is live_only) or 'replay'.
+const processEventPurchase = db.transaction(({ user, event, idempotencyKey, promoCode, accessKind = 'full' }) => {
+  const fingerprint = [event.id, accessKind === 'replay' ? 'replay' : null, promoCode ? normalizeCode(promoCode) : null]
+    .filter(Boolean)
+    .join('|');
+
+  if (idempotencyKey) {
+    const previous = findIdempotentResponse(user.id, idempotencyKey);
+    if (previous) {
+      if (previous.scope !== 'event_purchase' || previous.request_fingerprint !== fingerprint) {
+        return {
+          status: 422,
+          body: { message: 'Idempotency-Key was already used for a different request', code: 'IDEMPOTENCY_KEY_REUSED' }
+        };
+      }
+      return { status: previous.response_status, body: JSON.parse(previous.response_body), replayed: true };
+    }
+  }
+
+  if (accessKind === 'replay' && event.replay_price == null) {
+    return { status: 400, body: { message: 'Replay access is not sold for this event', code: 'REPLAY_NOT_SOLD' } };
+  }
+
+  // Nothing left to watch on this kind of access
+  if (accessStatus(event, { access_kind: accessKind }).status === 'expired') {
+    return {
+      status: 400,
+      body: {
+        message: accessKind === 'full' && event.replay_price != null
+          ? 'The live event has ended. Purchase replay access instead.'
+          : 'This event has ended',
+        code: 'EVENT_ENDED'
+      }
+    };
+  }
+
+  // One active purchase per user and event; a full purchase with replay also covers replay
+  const activePurchase = findEventPurchases(user.id, event.id).find(p => {
+    const kind = p.access_kind || 'full';
+    const covers = kind === accessKind || (accessKind === 'replay' && event.access_policy !== 'live_only');
+    return covers && accessStatus(event, { ...p, access_type: 'purchase' }).status !== 'expired';
+  });
+
+  if (activePurchase) {
+    return {
+      status: 409,
+      body: {
+        message: 'You already have access to this event',
+        code: 'ALREADY_PURCHASED',
+        receipt_number: activePurchase.receipt_number,
+        expires_at: accessStatus(event, { ...activePurchase, access_type: 'purchase' }).expires_at
+      }
+    };
+  }
+
+  let promo = null;
+  const listPrice = accessKind === 'replay' ? event.replay_price : event.price;
+  let price = listPrice;
+
+  if (promoCode) {
+    const check = checkPromoCode(promoCode, user.id);
+    if (!check.promo) {
+      return check;
+    }
+
+    promo = check.promo;
+    if (promo.kind !== 'event_discount') {
+      return {
+        status: 400,
+        body: { message: 'This code adds tokens. Redeem it from your wallet instead.', code: 'CODE_NOT_A_DISCOUNT' }
+      };
+    }
+    if (promo.event_id && promo.event_id !== event.id) {
+      return { status: 400, body: { message: 'This code is not valid for this event', code: 'CODE_NOT_FOR_EVENT' } };
+    }
+
+    price = listPrice - Math.round(listPrice * promo.percent_off / 100);
+  }
+
+  // Re-read inside the transaction so the balance can't change underneath us
+  const { token_balance: balance } = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user.id);
+  if (balance < price) {
+    return {
+      status: 400,
+      body: {
+        message: 'Insufficient tokens',
+        required: price,
+        current: balance,
+        shortage: price - balance
+      }
+    };
+  }
+
+  // Generate purchase details
+  const purchaseId = generateId();
+  const orderId = generateId();
+  const accessToken = generateAccessToken();
+  const receiptNumber = generateReceiptNumber();
+  const purchaseDate = new Date().toISOString();
+  const expiresAt = accessStatus(event, { access_kind: accessKind }).expires_at; // null until the event ends
+  const title = accessKind === 'replay' ? `${event.title} (Replay)` : event.title;
+
+  // Deduct tokens; a 100% discount leaves nothing to post
+  if (price > 0) {
+    postLedgerEntry({
+      userId: user.id,
+      entryType: LEDGER_ENTRY_TYPES.EVENT_SPEND,
+      amount: -price,
+      referenceType: 'order',
+      referenceId: orderId,
+      receiptNumber,
+      note: promo ? `${title} (code ${promo.code})` : title
+    });
+  }
+
+  // Create signature data
+  const signatureData = {
+    receipt_number: receiptNumber,
+    purchase_id: purchaseId,
+    user_id: user.id,
+    event_id: event.id,
+    access_token: accessToken,
+    tokens_spent: price,
+    expires_at: expiresAt,
+    timestamp: purchaseDate
+  };
+
+  const digitalSignature = generateDigitalSignature(signatureData);
+
+  // Save purchase record; purchase_date matches the signed timestamp so receipts verify
+  db.prepare(`
+    INSERT INTO purchases (
+      id, user_id, event_id, access_token, purchase_date, expires_at,
+      receipt_number, digital_signature, amount_paid, access_kind
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    purchaseId,
+    user.id,
+    event.id,
+    accessToken,
+    purchaseDate,
+    expiresAt,
+    receiptNumber,
+    digitalSignature,
+    price,
+    accessKind
+  );
+
+  // Create order record
+  db.prepare(`
+    INSERT INTO orders (
+      id, user_id, type, items, amount, status,
+      receipt_number, digital_signature
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    orderId,
+    user.id,
+    'Event Access',
+    promo
+      ? `${title} - ${event.subtitle} (${promo.code}, ${promo.percent_off}% off)`
+      : `${title} - ${event.subtitle}`,
+    price,
+    'completed',
+    receiptNumber,
+    digitalSignature
+  );
+
+  if (promo) {
+    recordRedemption({ promo, userId: user.id, orderId, discountTokens: listPrice - price });
+  }
+
+  const result = {
+    status: 200,
+    body: {
+      success: true,
+      access_token: accessToken,
+      access_kind: accessKind,
+      expires_at: expiresAt,
+      replay_days: event.access_policy === 'live_only' && accessKind === 'full' ? 0 : event.replay_days,
+      receipt_number: receiptNumber,
+      digital_signature: digitalSignature,
+      tokens_spent: price,
+      discount_tokens: listPrice - price,
+      message: `Event purchased successfully! Receipt sent to ${user.email}`
+    },
+    purchaseDate
+  };
+
+  if (idempotencyKey) {
+    saveIdempotentResponse(user.id, idempotencyKey, 'event_purchase', fingerprint, result.status, result.body);
+  }
+
+  return result;
+});
+
+// Purchase Event
+app.post('/api/v1/purchases/events', authenticateToken, resolveActingUser, async (req, res) => {
+  try {
+    const { event_id, promo_code } = req.body;
+    const accessKind = req.body.access || 'full';
+    const user_id = req.actingUserId;
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    if (!['full', 'replay'].includes(accessKind)) {
+      return res.status(400).json({ message: "access must be 'full' or 'replay'" });
+    }
+
+    if (promo_code !== undefined && (typeof promo_code !== 'string' || !promo_code.trim())) {
+      return res.status(400).json({ message: 'promo_code must be a non-empty string' });
+    }
+
+    if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+      return res.status(400).json({ message: 'Idempotency-Key must be 1-255 characters' });
+    }
+
+    // Get event
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(event_id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Get user
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // ================================
+    // PROCESS PURCHASE
+    // ================================
+    const result = processEventPurchase({ user, event, idempotencyKey, promoCode: promo_code, accessKind });
+
+    if (result.status !== 200 || result.replayed) {
+      return res.status(result.status).json(withReceiptUrl(req, result.body));
+    }
+
+    const {
+      access_token: accessToken, expires_at: expiresAt, receipt_number: receiptNumber, tokens_spent: tokensSpent,
+      replay_days: replayDays
+    } = result.body;
+
+    let validity;
+    if (expiresAt) {
+      validity = new Date(expiresAt).toLocaleDateString();
+    } else if (replayDays > 0) {
+      validity = `${replayDays} days after the event ends`;
+    } else {
+      validity = 'The end of the live event';
+    }
+
+    // ================================
+    // SEND RECEIPT EMAIL
+    // ================================
+    try {
+      await sendReceiptEmail({
+        userId: user.id,
+        email: user.email,
+        receiptNumber: receiptNumber,
+        items: [{
+          title: `${event.title}${accessKind === 'replay' ? ' (Replay)' : ''}`,
+          subtitle: event.subtitle,
+          lines: [
+            { label: 'Access Token', value: accessToken },
+            { label: 'Valid Until', value: validity },
+            { label: 'Tokens Used', value: tokensSpent }
+          ]
+        }],
+        callout: 'Keep this receipt safe! Your access token is required to watch this event.',
+        totalTokens: tokensSpent,
+        purchaseDate: result.purchaseDate,
+        signature: result.body.digital_signature
+      });
+    } catch (emailError) {
+      console.error('Failed to send receipt email:', emailError);
+      // Don't fail the purchase if email fails
+    }
+
+    // ================================
+    // RETURN SUCCESS
+    // ================================
+    res.json(withReceiptUrl(req, result.body));
+
+  } catch (error) {
+    console.error('Purchase event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User Events
+app.get('/api/v1/users/:userId/events', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const purchases = db.prepare(`
+      SELECT * FROM purchases WHERE user_id = ? ORDER BY purchase_date DESC
+    `).all(req.params.userId);
+
+    // Events covered by bundles, passes and subscriptions; a subscription
+    // lists the events that start during its period
+    const covered = db.prepare(`
+      SELECT en.*, ap.kind, ap.name AS product_name, e.id AS event_id
+      FROM entitlements en
+      JOIN access_products ap ON ap.id = en.product_id
+      JOIN events e ON ${PRODUCT_COVERS_EVENT}
+      WHERE en.user_id = ?
+        AND (ap.kind != 'subscription' OR (
+          datetime(e.start_time) >= datetime(en.starts_at) AND datetime(e.start_time) < datetime(en.expires_at)
+        ))
+      ORDER BY en.created_at DESC
+    `).all(req.params.userId);
+
+    const eventCache = new Map();
+    const getEvent = (eventId) => {
+      if (!eventCache.has(eventId)) {
+        eventCache.set(eventId, db.prepare('SELECT * FROM events WHERE id = ?').get(eventId));
+      }
+      return eventCache.get(eventId);
+    };
+
+    const toEntry = (grant, extra) => {
+      const event = getEvent(grant.event_id);
+      const { status, expires_at } = accessStatus(event, grant);
+      return {
+        id: grant.id,
+        event_id: event.id,
+        title: event.title,
+        purchase_date: grant.purchase_date || grant.created_at,
+        start_time: event.start_time,
+        end_time: event.end_time,
+        expires_at,
+        status,
+        thumbnail_url: event.thumbnail_url,
+        ...extra
+      };
+    };
+
+    const events = [
+      ...purchases.map(p => toEntry({ ...p, access_type: 'purchase' }, {
+        access_type: 'purchase',
+        access_kind: p.access_kind || 'full'
       })),
-      total: orders.length
+      ...covered.map(c => toEntry({ ...c, access_type: c.kind }, {
+        access_type: c.kind,
+        access_kind: 'full',
+        product_name: c.product_name
+      }))
+    ];
+
+    // One row per event, keeping the most useful grant
+    const byEvent = new Map();
+    events.forEach(e => {
+      const current = byEvent.get(e.event_id);
+      if (!current || ACCESS_STATUS_RANK[e.status] < ACCESS_STATUS_RANK[current.status]) {
+        byEvent.set(e.event_id, e);
+      }
+    });
+
+    res.json({
+      events: [...byEvent.values()],
+      total: byEvent.size
+    });
+  } catch (error) {
+    console.error('Get user events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Stream URL
+app.post('/api/v1/events/:eventId/stream', authenticateToken, resolveActingUser, (req, res) => {
+  try {
+    const user_id = req.actingUserId;
+    const eventId = req.params.eventId;
+
+    // Verify purchase or a covering pass
+    const access = findEventAccess(user_id, eventId);
+    if (!access || access.status === 'refunded') {
+      return res.status(403).json({ message: 'No valid purchase found' });
+    }
+
+    if (access.status === 'expired') {
+      return res.status(403).json({ message: 'Your access to this event has expired', code: 'ACCESS_EXPIRED' });
+    }
+
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+
+    if (access.status === 'upcoming') {
+      return res.status(409).json({
+        message: access.access_kind === 'replay'
+          ? 'The replay will be available once the event ends'
+          : 'This event has not started yet',
+        code: 'EVENT_NOT_STARTED',
+        start_time: event.start_time
+      });
+    }
+
+    // Live events play the provider's source; ended events switch to the VOD
+    const provider = getStreamProvider(event);
+    const mode = access.status === 'replay' ? 'replay' : 'live';
+    const sourceUrl = mode === 'replay' ? event.vod_url : provider.source(event);
+    if (!sourceUrl && mode === 'replay') {
+      return res.status(404).json({ message: 'The replay is not available yet', code: 'REPLAY_NOT_READY' });
+    }
+    if (!sourceUrl) {
+      return res.status(404).json({ message: 'Stream not available' });
+    }
+
+    // Never outlive the access itself
+    const expires = access.expires_at
+      ? Math.min(
+        Math.floor(Date.now() / 1000) + PLAYBACK_URL_TTL_SECONDS,
+        Math.floor(new Date(access.expires_at).getTime() / 1000)
+      )
+      : Math.floor(Date.now() / 1000) + PLAYBACK_URL_TTL_SECONDS;
+
+    // Sign the URL in the same transaction, so a provider that can't sign it
+    // (STREAM_NOT_CONFIGURED) leaves no session open and evicts nobody
+    const { session, streamUrl } = db.transaction(() => {
+      const opened = openPlaybackSession({
+        access,
+        deviceId: req.body.device_id,
+        userAgent: req.get('User-Agent')
+      });
+
+      return {
+        session: opened,
+        streamUrl: provider.playbackUrl({
+          event,
+          sourceUrl,
+          userId: user_id,
+          expires,
+          sessionId: opened.id,
+          baseUrl: `${req.protocol}://${req.get('host')}`
+        })
+      };
+    })();
+
+    res.json({
+      stream_url: streamUrl,
+      format: provider.format(sourceUrl),
+      mode,
+      provider: event.stream_provider || 'youtube',
+      stream_expires_at: new Date(expires * 1000).toISOString(),
+      expires_at: access.expires_at,
+      access_type: access.access_type,
+      session_id: session.id,
+      heartbeat_interval_seconds: HEARTBEAT_INTERVAL_SECONDS,
+      max_concurrent_streams: MAX_CONCURRENT_STREAMS
+    });
+  } catch (error) {
+    if (error.code === 'STREAM_NOT_CONFIGURED') {
+      console.error('Stream provider misconfigured:', error.message);
+      return res.status(503).json({ message: 'Stream not available' });
+    }
+    console.error('Get stream error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Authorize Playback (for stream origins, e.g. nginx auth_request)
+app.get('/api/v1/playback/authorize', (req, res) => {
+  try {
+    const { eid, uid, exp, sid, sig } = req.query;
+
+    if (!verifyPlayback({ eventId: eid, userId: uid, expires: exp, sessionId: sid, signature: sig }) ||
+        !isPlaybackSessionActive(sid, uid, eid) ||
+        !(findEventAccess(uid, eid) || {}).watchable) {
+      return res.status(403).json({ authorized: false });
+    }
+
+    res.json({ authorized: true });
+  } catch (error) {
+    console.error('Authorize playback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Playback Heartbeat
+app.post('/api/v1/playback/sessions/:sessionId/heartbeat', authenticateToken, (req, res) => {
+  try {
+    const session = db.prepare('SELECT * FROM playback_sessions WHERE id = ? AND user_id = ?')
+      .get(req.params.sessionId, req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Playback session not found' });
+    }
+
+    // Evicted or timed-out players must stop and request a new stream URL
+    if (session.ended_at) {
+      return res.status(409).json({
+        message: session.end_reason === 'evicted'
+          ? 'Playback started on another device'
+          : 'Playback session has ended',
+        code: 'PLAYBACK_SESSION_ENDED',
+        reason: session.end_reason
+      });
+    }
+
+    db.prepare('UPDATE playback_sessions SET last_heartbeat_at = CURRENT_TIMESTAMP WHERE id = ?').run(session.id);
+
+    res.json({ success: true, heartbeat_interval_seconds: HEARTBEAT_INTERVAL_SECONDS });
+  } catch (error) {
+    console.error('Playback heartbeat error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End Playback Session
+app.delete('/api/v1/playback/sessions/:sessionId', authenticateToken, (req, res) => {
+  try {
+    const session = db.prepare('SELECT * FROM playback_sessions WHERE id = ? AND user_id = ?')
+      .get(req.params.sessionId, req.user.userId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Playback session not found' });
+    }
+
+    endPlaybackSession(session.id, 'stopped');
+    refreshViewerCount(session.event_id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('End playback session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Signed Playback Redirect (YouTube provider)
+app.get('/api/v1/playback/:eventId', (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { uid, exp, sid, sig } = req.query;
+
+    if (!verifyPlayback({ eventId, userId: uid, expires: exp, sessionId: sid, signature: sig }) ||
+        !isPlaybackSessionActive(sid, uid, eventId)) {
+      return res.status(403).json({ message: 'Playback link is invalid or has expired' });
+    }
+
+    // Re-check so a refund revokes links that are still within their TTL
+    const access = findEventAccess(uid, eventId);
+    if (!access || !access.watchable) {
+      return res.status(403).json({ message: 'No valid purchase found' });
+    }
+
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+    const target = access.status === 'replay' ? event.vod_url : event.youtube_url;
+    if (!target) {
+      return res.status(404).json({ message: 'Stream not available' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, target);
+  } catch (error) {
+    console.error('Playback redirect error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// ACCESS PRODUCTS
+// ================================
+// Products sold for tokens that grant access beyond a single event: a bundle
+// of listed events, a season pass over a series and/or date range, or a
+// renewing subscription. Each sale is an entitlement with its own receipt.
+
+const ACCESS_PRODUCT_KINDS = ['bundle', 'season_pass', 'subscription'];
+const ACCESS_WINDOW_DAYS = 30; // matches single event purchases
+const DEFAULT_SUBSCRIPTION_DAYS = 30;
+const SUBSCRIPTION_RENEWAL_LEAD_MINUTES = 60;
+
+const getProductEventIds = (productId) => {
+  return db.prepare('SELECT event_id FROM access_product_events WHERE product_id = ?')
+    .all(productId)
+    .map(r => r.event_id);
+};
+
+const formatProduct = (product) => ({
+  id: product.id,
+  name: product.name,
+  description: product.description,
+  kind: product.kind,
+  price: product.price,
+  series_id: product.series_id,
+  starts_at: product.starts_at,
+  ends_at: product.ends_at,
+  duration_days: product.duration_days,
+  event_ids: product.kind === 'bundle' ? getProductEventIds(product.id) : undefined,
+  is_active: Boolean(product.is_active)
+});
+
+// A season pass stops selling once its season is over
+const isProductOnSale = (product) => {
+  return Boolean(product.is_active) && !(product.ends_at && new Date(product.ends_at) <= new Date());
+};
+
+// Bundles and passes stay watchable for the usual window after their last
+// event; subscriptions last one billing period
+const entitlementExpiry = (product, startsAt) => {
+  const start = new Date(startsAt).getTime();
+
+  if (product.kind === 'subscription') {
+    return new Date(start + (product.duration_days || DEFAULT_SUBSCRIPTION_DAYS) * DAY_MS).toISOString();
+  }
+
+  let lastDay;
+  if (product.kind === 'bundle') {
+    const { last } = db.prepare(`
+      SELECT MAX(e.start_time) AS last FROM events e
+      JOIN access_product_events ape ON ape.event_id = e.id
+      WHERE ape.product_id = ?
+    `).get(product.id);
+    lastDay = last ? Math.max(start, new Date(last).getTime()) : start;
+  } else {
+    lastDay = product.ends_at ? new Date(product.ends_at).getTime() : start + 365 * DAY_MS;
+  }
+
+  return new Date(lastDay + ACCESS_WINDOW_DAYS * DAY_MS).toISOString();
+};
+
+// Spend tokens and record the entitlement and order. Callers hold a
+// transaction; postLedgerEntry throws INSUFFICIENT_TOKENS if the user can't pay.
+const grantEntitlement = ({ userId, product, startsAt, autoRenew = false, renewedFrom = null }) => {
+  const entitlementId = generateId();
+  const orderId = generateId();
+  const receiptNumber = generateReceiptNumber();
+  const purchaseDate = new Date().toISOString();
+  const expiresAt = entitlementExpiry(product, startsAt);
+
+  if (product.price > 0) {
+    postLedgerEntry({
+      userId,
+      entryType: LEDGER_ENTRY_TYPES.EVENT_SPEND,
+      amount: -product.price,
+      referenceType: 'order',
+      referenceId: orderId,
+      receiptNumber,
+      note: renewedFrom ? `${product.name} (renewal)` : product.name
+    });
+  }
+
+  const digitalSignature = generateDigitalSignature({
+    receipt_number: receiptNumber,
+    entitlement_id: entitlementId,
+    user_id: userId,
+    product_id: product.id,
+    tokens_spent: product.price,
+    starts_at: startsAt,
+    expires_at: expiresAt,
+    timestamp: purchaseDate
+  });
+
+  db.prepare(`
+    INSERT INTO entitlements (
+      id, user_id, product_id, order_id, receipt_number, digital_signature, amount_paid,
+      starts_at, expires_at, auto_renew, renewed_from, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entitlementId,
+    userId,
+    product.id,
+    orderId,
+    receiptNumber,
+    digitalSignature,
+    product.price,
+    startsAt,
+    expiresAt,
+    autoRenew ? 1 : 0,
+    renewedFrom,
+    purchaseDate
+  );
+
+  db.prepare(`
+    INSERT INTO orders (
+      id, user_id, type, items, amount, status, receipt_number, digital_signature, created_at
+    ) VALUES (?, ?, 'Access Pass', ?, ?, 'completed', ?, ?, ?)
+  `).run(
+    orderId,
+    userId,
+    renewedFrom ? `${product.name} (renewal)` : product.name,
+    product.price,
+    receiptNumber,
+    digitalSignature,
+    purchaseDate
+  );
+
+  return db.prepare('SELECT * FROM entitlements WHERE id = ?').get(entitlementId);
+};
+
+// Same shape as processEventPurchase so retries replay the original response
+const processProductPurchase = db.transaction(({ user, product, idempotencyKey }) => {
+  if (idempotencyKey) {
+    const previous = findIdempotentResponse(user.id, idempotencyKey);
+    if (previous) {
+      if (previous.scope !== 'product_purchase' || previous.request_fingerprint !== product.id) {
+        return {
+          status: 422,
+          body: { message: 'Idempotency-Key was already used for a different request', code: 'IDEMPOTENCY_KEY_REUSED' }
+        };
+      }
+      return { status: previous.response_status, body: JSON.parse(previous.response_body), replayed: true };
+    }
+  }
+
+  const existing = db.prepare(`
+    SELECT * FROM entitlements
+    WHERE user_id = ? AND product_id = ? AND revoked_at IS NULL AND datetime(expires_at) > datetime('now')
+    ORDER BY expires_at DESC
+  `).get(user.id, product.id);
+
+  if (existing) {
+    return {
+      status: 409,
+      body: {
+        message: 'You already have this pass',
+        code: 'ALREADY_PURCHASED',
+        receipt_number: existing.receipt_number,
+        expires_at: existing.expires_at
+      }
+    };
+  }
+
+  const { token_balance: balance } = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user.id);
+  if (balance < product.price) {
+    return {
+      status: 400,
+      body: {
+        message: 'Insufficient tokens',
+        required: product.price,
+        current: balance,
+        shortage: product.price - balance
+      }
+    };
+  }
+
+  const entitlement = grantEntitlement({
+    userId: user.id,
+    product,
+    startsAt: new Date().toISOString(),
+    autoRenew: product.kind === 'subscription'
+  });
+
+  const result = {
+    status: 200,
+    body: {
+      success: true,
+      entitlement: formatEntitlement({ ...entitlement, product_name: product.name, kind: product.kind }),
+      receipt_number: entitlement.receipt_number,
+      digital_signature: entitlement.digital_signature,
+      tokens_spent: product.price,
+      message: `${product.name} purchased successfully! Receipt sent to ${user.email}`
+    }
+  };
+
+  if (idempotencyKey) {
+    saveIdempotentResponse(user.id, idempotencyKey, 'product_purchase', product.id, result.status, result.body);
+  }
+
+  return result;
+});
+
+const formatEntitlement = (en) => ({
+  id: en.id,
+  product_id: en.product_id,
+  product_name: en.product_name,
+  kind: en.kind,
+  starts_at: en.starts_at,
+  expires_at: en.expires_at,
+  auto_renew: Boolean(en.auto_renew),
+  receipt_number: en.receipt_number,
+  status: en.revoked_at ? 'refunded' : new Date(en.expires_at) > new Date() ? 'active' : 'expired'
+});
+
+// Receipt for an access product, sent on purchase and on each renewal
+const sendProductReceipt = ({ user, product, entitlement, purchaseDate, signature, renewal = false }) => sendReceiptEmail({
+  userId: user.id,
+  email: user.email,
+  receiptNumber: entitlement.receipt_number,
+  items: [{
+    title: product.name,
+    lines: [
+      { label: 'Valid From', value: new Date(entitlement.starts_at).toLocaleDateString() },
+      { label: 'Valid Until', value: new Date(entitlement.expires_at).toLocaleDateString() },
+      { label: 'Tokens Used', value: product.price },
+      ...(entitlement.auto_renew ? ['Renews automatically; cancel any time from your account.'] : [])
+    ]
+  }],
+  totalTokens: product.price,
+  purchaseDate,
+  signature,
+  ...(renewal ? {
+    heading: 'Your subscription has renewed',
+    subject: `Receipt ${entitlement.receipt_number} - FightPass Subscription Renewal`
+  } : {})
+});
+
+// Charge the next period of subscriptions that are about to lapse. A
+// subscriber who can't cover it simply lapses at the end of the period.
+// Runs as the subscription_renewal job.
+const renewSubscriptions = async () => {
+  const due = db.prepare(`
+    SELECT en.* FROM entitlements en
+    JOIN access_products ap ON ap.id = en.product_id
+    WHERE ap.kind = 'subscription' AND en.auto_renew = 1 AND en.revoked_at IS NULL
+      AND datetime(en.expires_at) <= datetime('now', ?)
+  `).all(`+${SUBSCRIPTION_RENEWAL_LEAD_MINUTES} minutes`);
+
+  let renewed = 0;
+  for (const en of due) {
+    const product = db.prepare('SELECT * FROM access_products WHERE id = ?').get(en.product_id);
+
+    let renewal = null;
+    try {
+      renewal = db.transaction(() => {
+        // The renewal carries the flag forward, so each period renews once
+        db.prepare('UPDATE entitlements SET auto_renew = 0 WHERE id = ?').run(en.id);
+
+        if (!product.is_active) {
+          return null;
+        }
+
+        return grantEntitlement({
+          userId: en.user_id,
+          product,
+          startsAt: new Date(Math.max(new Date(en.expires_at).getTime(), Date.now())).toISOString(),
+          autoRenew: true,
+          renewedFrom: en.id
+        });
+      })();
+    } catch (error) {
+      if (error.code !== 'INSUFFICIENT_TOKENS') {
+        throw error;
+      }
+      db.prepare('UPDATE entitlements SET auto_renew = 0 WHERE id = ?').run(en.id);
+      console.warn(`Subscription ${en.id} not renewed: user ${en.user_id} has insufficient tokens`);
+    }
+
+    if (!renewal) {
+      continue;
+    }
+    renewed++;
+
+    // The tokens are already spent; a failed email must not undo or repeat that
+    try {
+      const user = db.prepare('SELECT id, email FROM users WHERE id = ?').get(en.user_id);
+      await sendProductReceipt({
+        user,
+        product,
+        entitlement: renewal,
+        purchaseDate: renewal.created_at,
+        signature: renewal.digital_signature,
+        renewal: true
+      });
+    } catch (emailError) {
+      console.error(`Failed to send renewal receipt for ${renewal.id}:`, emailError);
+    }
+  }
+
+  return `renewed ${renewed} subscription(s)`;
+};
+
+// Validate admin product input; `existing` is the current row when updating
+const validateProductInput = (input, existing = null) => {
+  const errors = [];
+  const merged = { ...(existing || {}), ...input };
+
+  if (!existing && !ACCESS_PRODUCT_KINDS.includes(input.kind)) {
+    errors.push(`kind must be one of: ${ACCESS_PRODUCT_KINDS.join(', ')}`);
+  }
+
+  if (!existing || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!existing || input.price !== undefined) {
+    if (!Number.isInteger(input.price) || input.price < 0) {
+      errors.push('price must be a non-negative integer (tokens)');
+    }
+  }
+
+  ['starts_at', 'ends_at'].forEach(field => {
+    if (input[field] != null && !isValidDate(input[field])) {
+      errors.push(`${field} must be a valid ISO 8601 date`);
+    }
+  });
+
+  if (merged.starts_at && merged.ends_at && isValidDate(merged.starts_at) && isValidDate(merged.ends_at) &&
+      new Date(merged.ends_at) <= new Date(merged.starts_at)) {
+    errors.push('ends_at must be after starts_at');
+  }
+
+  if (input.series_id != null && !db.prepare('SELECT id FROM event_series WHERE id = ?').get(input.series_id)) {
+    errors.push('series_id does not match a series');
+  }
+
+  if (merged.kind === 'bundle') {
+    if ((!existing || input.event_ids !== undefined)
+      && (!Array.isArray(input.event_ids) || input.event_ids.length === 0)) {
+      errors.push('event_ids must list at least one event');
+    } else if (Array.isArray(input.event_ids)) {
+      const missing = input.event_ids.filter(id => !db.prepare('SELECT id FROM events WHERE id = ?').get(id));
+      if (missing.length > 0) {
+        errors.push(`unknown event_ids: ${missing.join(', ')}`);
+      }
+    }
+  }
+
+  if (merged.kind === 'season_pass' && !merged.series_id && !merged.starts_at && !merged.ends_at) {
+    errors.push('a season pass needs a series_id or a starts_at/ends_at range');
+  }
+
+  if (input.duration_days !== undefined && (!Number.isInteger(input.duration_days) || input.duration_days <= 0)) {
+    errors.push('duration_days must be a positive integer');
+  }
+
+  return errors;
+};
+
+const saveProductEvents = (productId, eventIds) => {
+  if (!Array.isArray(eventIds)) {
+    return;
+  }
+
+  db.prepare('DELETE FROM access_product_events WHERE product_id = ?').run(productId);
+  [...new Set(eventIds)].forEach(eventId => {
+    db.prepare('INSERT INTO access_product_events (product_id, event_id) VALUES (?, ?)').run(productId, eventId);
+  });
+};
+
+// List Access Products
+app.get('/api/v1/products', (req, res) => {
+  try {
+    const products = db.prepare('SELECT * FROM access_products WHERE is_active = 1 ORDER BY price').all()
+      .filter(isProductOnSale);
+
+    res.json({ products: products.map(formatProduct), total: products.length });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Purchase Access Product
+app.post('/api/v1/purchases/products', authenticateToken, async (req, res) => {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+      return res.status(400).json({ message: 'Idempotency-Key must be 1-255 characters' });
+    }
+
+    const product = db.prepare('SELECT * FROM access_products WHERE id = ?').get(req.body.product_id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (!isProductOnSale(product)) {
+      return res.status(400).json({ message: 'This product is no longer on sale', code: 'PRODUCT_UNAVAILABLE' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = processProductPurchase({ user, product, idempotencyKey });
+    if (result.status !== 200 || result.replayed) {
+      return res.status(result.status).json(withReceiptUrl(req, result.body));
+    }
+
+    const { entitlement } = result.body;
+    try {
+      await sendProductReceipt({
+        user,
+        product,
+        entitlement,
+        purchaseDate: entitlement.starts_at,
+        signature: result.body.digital_signature
+      });
+    } catch (emailError) {
+      console.error('Failed to send receipt email:', emailError);
+    }
+
+    res.json(withReceiptUrl(req, result.body));
+  } catch (error) {
+    console.error('Purchase product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User Entitlements
+app.get('/api/v1/users/:userId/entitlements', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const entitlements = db.prepare(`
+      SELECT en.*, ap.name AS product_name, ap.kind
+      FROM entitlements en
+      JOIN access_products ap ON ap.id = en.product_id
+      WHERE en.user_id = ?
+      ORDER BY en.starts_at DESC
+    `).all(req.params.userId);
+
+    res.json({ entitlements: entitlements.map(formatEntitlement), total: entitlements.length });
+  } catch (error) {
+    console.error('Get entitlements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel Subscription Renewal (access continues until expires_at)
+app.post('/api/v1/users/:userId/entitlements/:entitlementId/cancel', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const { changes } = db.prepare(`
+      UPDATE entitlements SET auto_renew = 0 WHERE id = ? AND user_id = ? AND auto_renew = 1
+    `).run(req.params.entitlementId, req.params.userId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'No renewing subscription found' });
+    }
+
+    const entitlement = db.prepare(`
+      SELECT en.*, ap.name AS product_name, ap.kind
+      FROM entitlements en JOIN access_products ap ON ap.id = en.product_id
+      WHERE en.id = ?
+    `).get(req.params.entitlementId);
+
+    res.json(formatEntitlement(entitlement));
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Series (admin)
+app.post('/api/v1/admin/series', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'name is required' });
+    }
+
+    const seriesId = generateId();
+    db.prepare('INSERT INTO event_series (id, name, description) VALUES (?, ?, ?)')
+      .run(seriesId, name.trim(), description || null);
+
+    res.status(201).json(db.prepare('SELECT * FROM event_series WHERE id = ?').get(seriesId));
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Series (admin)
+app.get('/api/v1/admin/series', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const series = db.prepare(`
+      SELECT s.*, (SELECT COUNT(*) FROM events e WHERE e.series_id = s.id) AS event_count
+      FROM event_series s ORDER BY s.created_at DESC
+    `).all();
+
+    res.json({ series, total: series.length });
+  } catch (error) {
+    console.error('List series error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Access Products (admin)
+app.get('/api/v1/admin/products', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const products = db.prepare('SELECT * FROM access_products ORDER BY created_at DESC').all();
+    res.json({ products: products.map(formatProduct), total: products.length });
+  } catch (error) {
+    console.error('Admin get products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Access Product (admin)
+app.post('/api/v1/admin/products', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validateProductInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid product', errors });
+    }
+
+    const { name, description, kind, price, series_id, starts_at, ends_at, duration_days, event_ids } = req.body;
+    const productId = generateId();
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO access_products (
+          id, name, description, kind, price, series_id, starts_at, ends_at, duration_days
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        productId,
+        name.trim(),
+        description || null,
+        kind,
+        price,
+        kind === 'bundle' ? null : series_id || null,
+        kind === 'bundle' ? null : starts_at || null,
+        kind === 'bundle' ? null : ends_at || null,
+        kind === 'subscription' ? duration_days || DEFAULT_SUBSCRIPTION_DAYS : null
+      );
+
+      if (kind === 'bundle') {
+        saveProductEvents(productId, event_ids);
+      }
+    })();
+
+    const product = db.prepare('SELECT * FROM access_products WHERE id = ?').get(productId);
+    res.status(201).json(formatProduct(product));
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Access Product (admin). Coverage changes apply to existing holders too.
+app.put('/api/v1/admin/products/:productId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM access_products WHERE id = ?').get(req.params.productId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const errors = validateProductInput(req.body, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid product', errors });
+    }
+
+    const editable = existing.kind === 'bundle'
+      ? ['name', 'description', 'price']
+      : ['name', 'description', 'price', 'series_id', 'starts_at', 'ends_at', 'duration_days'];
+
+    const updates = {};
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = field === 'name' ? req.body.name.trim() : req.body[field];
+      }
+    });
+    if (req.body.is_active !== undefined) {
+      updates.is_active = req.body.is_active ? 1 : 0;
+    }
+
+    db.transaction(() => {
+      const fields = Object.keys(updates);
+      if (fields.length > 0) {
+        const assignments = fields.map(f => `${f} = ?`).join(', ');
+        db.prepare(`UPDATE access_products SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+          .run(...fields.map(f => updates[f]), existing.id);
+      }
+
+      if (existing.kind === 'bundle') {
+        saveProductEvents(existing.id, req.body.event_ids);
+      }
+    })();
+
+    const product = db.prepare('SELECT * FROM access_products WHERE id = ?').get(existing.id);
+    res.json(formatProduct(product));
+  } catch (error) {
+    console.error('Update product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retire Access Product (admin); existing entitlements keep working, subscriptions stop renewing
+app.delete('/api/v1/admin/products/:productId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { changes } = db.prepare(`
+      UPDATE access_products SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(req.params.productId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({ success: true, id: req.params.productId, is_active: false });
+  } catch (error) {
+    console.error('Retire product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// TOKEN PACKAGE CATALOG
+// ================================
+// Packages, their per-currency prices and time-boxed promotional bonuses live
+// in the database. Purchases snapshot the terms they were sold under.
+
+// Square only settles two-decimal currencies here; prices are in minor units (cents)
+const SUPPORTED_CURRENCIES = ['USD', 'CAD', 'GBP', 'EUR', 'AUD'];
+const DEFAULT_CURRENCY = 'USD';
+
+// Catalog installed on first start so existing apps keep working
+const DEFAULT_TOKEN_PACKAGES = [
+  { id: '100', tokens: 100, bonus: 0, price: 499, name: '100 Tokens' }, // $4.99 in cents
+  { id: '250', tokens: 250, bonus: 50, price: 999, name: '250 + 50 Bonus Tokens' },
+  { id: '500', tokens: 500, bonus: 150, price: 1999, name: '500 + 150 Bonus Tokens' },
+  { id: '1000', tokens: 1000, bonus: 500, price: 3999, name: '1000 + 500 Bonus Tokens' }
+];
+
+const installDefaultTokenPackages = db.transaction(() => {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM token_packages').get();
+  if (count > 0) {
+    return;
+  }
+
+  DEFAULT_TOKEN_PACKAGES.forEach((pkg, index) => {
+    db.prepare(`
+      INSERT INTO token_packages (id, name, tokens, bonus_tokens, sort_order)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(pkg.id, pkg.name, pkg.tokens, pkg.bonus, index);
+    db.prepare(`
+      INSERT INTO token_package_prices (package_id, currency, amount_minor)
+      VALUES (?, ?, ?)
+    `).run(pkg.id, DEFAULT_CURRENCY, pkg.price);
+  });
+});
+
+installDefaultTokenPackages();
+
+const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+};
+
+// Square needs a location whose currency matches the payment
+const squareLocationFor = (currency) => {
+  return process.env[`SQUARE_LOCATION_ID_${currency}`] || process.env.SQUARE_LOCATION_ID;
+};
+
+const findActivePromotion = (packageId) => {
+  return db.prepare(`
+    SELECT * FROM token_package_promotions
+    WHERE package_id = ?
+      AND datetime(starts_at) <= datetime('now') AND datetime(ends_at) > datetime('now')
+    ORDER BY bonus_tokens DESC
+  `).get(packageId);
+};
+
+// What a package sells for right now in a currency, or null if it isn't on sale
+const getPackageOffer = (packageId, currency) => {
+  const pkg = db.prepare('SELECT * FROM token_packages WHERE id = ? AND is_active = 1').get(packageId);
+  if (!pkg) {
+    return null;
+  }
+
+  const price = db.prepare('SELECT * FROM token_package_prices WHERE package_id = ? AND currency = ?')
+    .get(packageId, currency);
+  if (!price) {
+    return null;
+  }
+
+  const promotion = findActivePromotion(packageId);
+
+  return {
+    package_id: pkg.id,
+    name: pkg.name,
+    tokens: pkg.tokens,
+    bonus_tokens: pkg.bonus_tokens + (promotion ? promotion.bonus_tokens : 0),
+    currency,
+    amount_minor: price.amount_minor,
+    promotion: promotion
+      ? { id: promotion.id, label: promotion.label, bonus_tokens: promotion.bonus_tokens, ends_at: promotion.ends_at }
+      : null
+  };
+};
+
+const formatOffer = (offer) => ({
+  id: offer.package_id,
+  name: offer.name,
+  tokens: offer.tokens,
+  bonus_tokens: offer.bonus_tokens,
+  total_tokens: offer.tokens + offer.bonus_tokens,
+  currency: offer.currency,
+  price: offer.amount_minor / 100,
+  display_price: formatMoney(offer.amount_minor / 100, offer.currency),
+  promotion: offer.promotion
+});
+
+const formatAdminPackage = (pkg) => {
+  const prices = db.prepare('SELECT currency, amount_minor FROM token_package_prices WHERE package_id = ?').all(pkg.id);
+  const promotions = db.prepare(`
+    SELECT * FROM token_package_promotions WHERE package_id = ? ORDER BY starts_at DESC
+  `).all(pkg.id);
+
+  return {
+    id: pkg.id,
+    name: pkg.name,
+    tokens: pkg.tokens,
+    bonus_tokens: pkg.bonus_tokens,
+    is_active: Boolean(pkg.is_active),
+    sort_order: pkg.sort_order,
+    prices: Object.fromEntries(prices.map(p => [p.currency, p.amount_minor])),
+    promotions: promotions.map(p => ({
+      id: p.id,
+      label: p.label,
+      bonus_tokens: p.bonus_tokens,
+      starts_at: p.starts_at,
+      ends_at: p.ends_at
+    })),
+    created_at: pkg.created_at,
+    updated_at: pkg.updated_at
+  };
+};
+
+// Validate admin package input; `existing` is the current row when updating
+const validatePackageInput = (input, existing = null) => {
+  const errors = [];
+
+  if (!existing && input.id !== undefined && !/^[A-Za-z0-9_-]{1,40}$/.test(String(input.id))) {
+    errors.push('id may only contain letters, numbers, "-" and "_"');
+  }
+
+  if (!existing || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!existing || input.tokens !== undefined) {
+    if (!Number.isInteger(input.tokens) || input.tokens <= 0) {
+      errors.push('tokens must be a positive integer');
+    }
+  }
+
+  if (input.bonus_tokens !== undefined && (!Number.isInteger(input.bonus_tokens) || input.bonus_tokens < 0)) {
+    errors.push('bonus_tokens must be a non-negative integer');
+  }
+
+  if (!existing && (!input.prices || Object.keys(input.prices).length === 0)) {
+    errors.push('prices must include at least one currency');
+  }
+
+  if (input.prices !== undefined) {
+    if (typeof input.prices !== 'object' || input.prices === null) {
+      errors.push('prices must be an object of currency to amount in cents');
+    } else {
+      Object.entries(input.prices).forEach(([currency, amount]) => {
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+          errors.push(`unsupported currency ${currency}`);
+        } else if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+          errors.push(`prices.${currency} must be a positive integer number of cents, or null to remove it`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+const savePackagePrices = (packageId, prices) => {
+  Object.entries(prices || {}).forEach(([currency, amount]) => {
+    if (amount === null) {
+      db.prepare('DELETE FROM token_package_prices WHERE package_id = ? AND currency = ?').run(packageId, currency);
+    } else {
+      db.prepare(`
+        INSERT INTO token_package_prices (package_id, currency, amount_minor) VALUES (?, ?, ?)
+        ON CONFLICT(package_id, currency) DO UPDATE SET amount_minor = excluded.amount_minor
+      `).run(packageId, currency, amount);
+    }
+  });
+};
+
+// List Token Packages
+app.get('/api/v1/tokens/packages', (req, res) => {
+  try {
+    const currency = String(req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ message: `Unsupported currency. Use one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const packages = db.prepare('SELECT id FROM token_packages WHERE is_active = 1 ORDER BY sort_order, tokens').all();
+    const offers = packages
+      .map(p => getPackageOffer(p.id, currency))
+      .filter(Boolean)
+      .map(formatOffer);
+
+    res.json({
+      packages: offers,
+      currency,
+      total: offers.length
+    });
+  } catch (error) {
+    console.error('Get token packages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Token Packages (admin)
+app.get('/api/v1/admin/token-packages', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const packages = db.prepare('SELECT * FROM token_packages ORDER BY sort_order, tokens').all();
+    res.json({ packages: packages.map(formatAdminPackage), total: packages.length });
+  } catch (error) {
+    console.error('Admin get token packages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Token Package
+app.post('/api/v1/admin/token-packages', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validatePackageInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid package', errors });
+    }
+
+    const { name, tokens, bonus_tokens, prices, sort_order, is_active } = req.body;
+    const packageId = req.body.id !== undefined ? String(req.body.id) : generateId();
+
+    if (db.prepare('SELECT id FROM token_packages WHERE id = ?').get(packageId)) {
+      return res.status(409).json({ message: 'A package with that id already exists' });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO token_packages (id, name, tokens, bonus_tokens, is_active, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        packageId,
+        name.trim(),
+        tokens,
+        bonus_tokens || 0,
+        is_active === false ? 0 : 1,
+        Number.isInteger(sort_order) ? sort_order : 0
+      );
+      savePackagePrices(packageId, prices);
+    })();
+
+    const pkg = db.prepare('SELECT * FROM token_packages WHERE id = ?').get(packageId);
+    res.status(201).json(formatAdminPackage(pkg));
+  } catch (error) {
+    console.error('Create token package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Token Package
+app.put('/api/v1/admin/token-packages/:packageId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM token_packages WHERE id = ?').get(req.params.packageId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const errors = validatePackageInput(req.body, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid package', errors });
+    }
+
+    const updates = {};
+    ['name', 'tokens', 'bonus_tokens', 'sort_order'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = field === 'name' ? req.body.name.trim() : req.body[field];
+      }
+    });
+    if (req.body.is_active !== undefined) {
+      updates.is_active = req.body.is_active ? 1 : 0;
+    }
+
+    db.transaction(() => {
+      const fields = Object.keys(updates);
+      if (fields.length > 0) {
+        const assignments = fields.map(f => `${f} = ?`).join(', ');
+        db.prepare(`UPDATE token_packages SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+          .run(...fields.map(f => updates[f]), existing.id);
+      }
+      savePackagePrices(existing.id, req.body.prices);
+    })();
+
+    const pkg = db.prepare('SELECT * FROM token_packages WHERE id = ?').get(existing.id);
+    res.json(formatAdminPackage(pkg));
+  } catch (error) {
+    console.error('Update token package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retire Token Package
+app.delete('/api/v1/admin/token-packages/:packageId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    // Past purchases reference the package, so it is deactivated rather than deleted
+    const { changes } = db.prepare(`
+      UPDATE token_packages SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(req.params.packageId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    res.json({ success: true, id: req.params.packageId, is_active: false });
+  } catch (error) {
+    console.error('Retire token package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Package Promotion
+app.post('/api/v1/admin/token-packages/:packageId/promotions', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const pkg = db.prepare('SELECT * FROM token_packages WHERE id = ?').get(req.params.packageId);
+    if (!pkg) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const { bonus_tokens, label, starts_at, ends_at } = req.body;
+    const errors = [];
+
+    if (!Number.isInteger(bonus_tokens) || bonus_tokens <= 0) {
+      errors.push('bonus_tokens must be a positive integer');
+    }
+    if (!starts_at || !isValidDate(starts_at)) {
+      errors.push('starts_at must be a valid ISO 8601 date');
+    }
+    if (!ends_at || !isValidDate(ends_at)) {
+      errors.push('ends_at must be a valid ISO 8601 date');
+    }
+    if (errors.length === 0 && new Date(ends_at) <= new Date(starts_at)) {
+      errors.push('ends_at must be after starts_at');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid promotion', errors });
+    }
+
+    const promotionId = generateId();
+    db.prepare(`
+      INSERT INTO token_package_promotions (id, package_id, label, bonus_tokens, starts_at, ends_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      promotionId,
+      pkg.id,
+      label || null,
+      bonus_tokens,
+      new Date(starts_at).toISOString(),
+      new Date(ends_at).toISOString()
+    );
+
+    res.status(201).json(formatAdminPackage(pkg));
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete Package Promotion
+app.delete('/api/v1/admin/token-packages/:packageId/promotions/:promotionId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { changes } = db.prepare('DELETE FROM token_package_promotions WHERE id = ? AND package_id = ?')
+      .run(req.params.promotionId, req.params.packageId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.json({ success: true, id: req.params.promotionId });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// TOKEN ENDPOINTS
+// ================================
+
+// Credit a completed Square payment exactly once. Both the synchronous purchase
+// handler and the Square webhook call this; whichever runs second is a no-op.
+// Terms come from the payment intent, never the live catalog, so the user gets
+// exactly what they were charged for.
+const fulfillTokenPurchase = db.transaction(({ intent, squarePaymentId }) => {
+  const existing = db.prepare('SELECT * FROM token_purchases WHERE square_payment_id = ?').get(squarePaymentId);
+  if (existing) {
+    return { created: false, tokenPurchase: existing };
+  }
+
+  // Intents created before terms were snapshotted only carry the package id
+  if (intent.tokens === null || intent.tokens === undefined) {
+    const pkg = db.prepare('SELECT * FROM token_packages WHERE id = ?').get(intent.package_id);
+    intent = { ...intent, package_name: pkg.name, tokens: pkg.tokens, bonus_tokens: pkg.bonus_tokens };
+  }
+
+  const userId = intent.user_id;
+  const packageId = intent.package_id;
+  const receiptNumber = generateReceiptNumber();
+  const purchaseId = generateId();
+  const orderId = generateId();
+  const totalTokens = intent.tokens + intent.bonus_tokens;
+  const amountPaid = intent.amount_cents / 100;
+  const currency = intent.currency || DEFAULT_CURRENCY;
+  const purchaseDate = new Date().toISOString();
+
+  // Create signature data
+  const signatureData = {
+    receipt_number: receiptNumber,
+    purchase_id: purchaseId,
+    user_id: userId,
+    package_id: packageId,
+    tokens: totalTokens,
+    amount: amountPaid,
+    square_payment_id: squarePaymentId,
+    timestamp: purchaseDate
+  };
+
+  const digitalSignature = generateDigitalSignature(signatureData);
+
+  // Add tokens to user account
+  postLedgerEntry({
+    userId,
+    entryType: LEDGER_ENTRY_TYPES.PACKAGE_PURCHASE,
+    amount: intent.tokens,
+    referenceType: 'order',
+    referenceId: orderId,
+    receiptNumber,
+    note: intent.package_name
+  });
+
+  if (intent.bonus_tokens > 0) {
+    postLedgerEntry({
+      userId,
+      entryType: LEDGER_ENTRY_TYPES.BONUS,
+      amount: intent.bonus_tokens,
+      referenceType: 'order',
+      referenceId: orderId,
+      receiptNumber,
+      note: intent.promotion_id ? `${intent.package_name} (promotion ${intent.promotion_id})` : intent.package_name
+    });
+  }
+
+  // Record token purchase with a snapshot of the package terms; created_at matches the signed timestamp
+  db.prepare(`
+    INSERT INTO token_purchases (
+      id, user_id, package_id, package_name, tokens_added, bonus_tokens, promotion_id,
+      amount_paid, currency, square_payment_id, payment_status, receipt_number, digital_signature, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    purchaseId,
+    userId,
+    packageId,
+    intent.package_name,
+    intent.tokens,
+    intent.bonus_tokens,
+    intent.promotion_id || null,
+    amountPaid,
+    currency,
+    squarePaymentId,
+    'COMPLETED',
+    receiptNumber,
+    digitalSignature,
+    purchaseDate
+  );
+
+  // Create order record
+  db.prepare(`
+    INSERT INTO orders (
+      id, user_id, type, items, amount, currency, status, payment_status,
+      square_payment_id, receipt_number, digital_signature
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    orderId,
+    userId,
+    'Token Package',
+    intent.package_name,
+    amountPaid,
+    currency,
+    'completed',
+    'COMPLETED',
+    squarePaymentId,
+    receiptNumber,
+    digitalSignature
+  );
+
+  db.prepare("UPDATE payment_intents SET status = 'fulfilled' WHERE square_payment_id = ?").run(squarePaymentId);
+
+  const tokenPurchase = db.prepare('SELECT * FROM token_purchases WHERE id = ?').get(purchaseId);
+  return { created: true, tokenPurchase };
+});
+
+const sendTokenPurchaseReceipt = (email, tokenPurchase) => {
+  const totalTokens = tokenPurchase.tokens_added + tokenPurchase.bonus_tokens;
+
+  return sendReceiptEmail({
+    userId: tokenPurchase.user_id,
+    email,
+    receiptNumber: tokenPurchase.receipt_number,
+    items: [{
+      title: tokenPurchase.package_name,
+      lines: [
+        `${tokenPurchase.tokens_added} Base Tokens`,
+        ...(tokenPurchase.bonus_tokens > 0 ? [`+ ${tokenPurchase.bonus_tokens} Bonus Tokens`] : []),
+        { label: 'Total', value: `${totalTokens} Tokens` }
+      ]
+    }],
+    totalAmount: tokenPurchase.amount_paid,
+    currency: tokenPurchase.currency,
+    purchaseDate: tokenPurchase.created_at,
+    signature: tokenPurchase.digital_signature
+  });
+};
+
+// Charge a payment intent through Square. The intent id doubles as the Square
+// idempotency key and reference_id, so the webhook can credit the payment even
+// if we die before recording it. Returns { payment } or an error response.
+const chargePaymentIntent = async ({ intentId, sourceId, verificationToken, amountMinor, currency, note, email }) => {
+  let payment;
+  try {
+    const paymentResponse = await paymentsApi.createPayment({
+      sourceId,
+      idempotencyKey: intentId,
+      amountMoney: {
+        amount: BigInt(amountMinor),
+        currency
+      },
+      locationId: squareLocationFor(currency),
+      referenceId: intentId,
+      note,
+      buyerEmailAddress: email,
+      verificationToken, // SCA verification
+      autocomplete: true,
+      statementDescriptionIdentifier: 'FIGHTPASS'
+    });
+
+    payment = paymentResponse.result.payment;
+  } catch (squareError) {
+    console.error('Square payment error:', squareError);
+
+    // Square answered and declined: nothing was charged
+    if (squareError.errors) {
+      db.prepare("UPDATE payment_intents SET status = 'failed' WHERE id = ?").run(intentId);
+      const errorMessages = squareError.errors.map(e => e.detail || e.code).join(', ');
+      return {
+        status: 400,
+        body: { message: `Payment failed: ${errorMessages}`, code: 'SQUARE_PAYMENT_ERROR' }
+      };
+    }
+
+    // Timeout or network error: the card may still have been charged, so the
+    // intent stays open for the payment webhook to settle
+    return {
+      unconfirmed: true,
+      status: 500,
+      body: {
+        message: 'We could not confirm your payment. If it went through it will be applied shortly; check your orders before trying again.',
+        code: 'PAYMENT_ERROR'
+      }
+    };
+  }
+
+  db.prepare('UPDATE payment_intents SET square_payment_id = ?, status = ? WHERE id = ?')
+    .run(payment.id, payment.status, intentId);
+
+  return { payment };
+};
+
+// Purchase Tokens (Square)
+app.post('/api/v1/tokens/purchase', authenticateToken, resolveActingUser, async (req, res) => {
+  try {
+    const { package_id, source_id, verification_token } = req.body;
+    const currency = String(req.body.currency || DEFAULT_CURRENCY).toUpperCase();
+    const user_id = req.actingUserId;
+
+    const offer = getPackageOffer(package_id, currency);
+    if (!offer) {
+      return res.status(400).json({ message: 'Invalid package' });
+    }
+
+    // Get user info
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // ================================
+    // PROCESS PAYMENT WITH SQUARE
+    // ================================
+    // The intent freezes the offer, so a catalog change mid-payment can't alter it
+    const intentId = generateId();
+    db.prepare(`
+      INSERT INTO payment_intents (
+        id, user_id, package_id, package_name, tokens, bonus_tokens, promotion_id,
+        amount_cents, currency, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'created')
+    `).run(
+      intentId,
+      user_id,
+      offer.package_id,
+      offer.name,
+      offer.tokens,
+      offer.bonus_tokens,
+      offer.promotion ? offer.promotion.id : null,
+      offer.amount_minor,
+      currency
+    );
+
+    const charge = await chargePaymentIntent({
+      intentId,
+      sourceId: source_id,
+      verificationToken: verification_token,
+      amountMinor: offer.amount_minor,
+      currency,
+      note: `FightPass Token Purchase - ${offer.name}`,
+      email: user.email
+    });
+
+    if (!charge.payment) {
+      return res.status(charge.status).json(charge.body);
+    }
+
+    const { payment } = charge;
+
+    // Anything short of COMPLETED is credited later by the webhook
+    if (payment.status !== 'COMPLETED') {
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        payment_status: payment.status,
+        square_payment_id: payment.id,
+        message: 'Payment is processing. Tokens will be added when it completes.'
+      });
+    }
+
+    // ================================
+    // UPDATE DATABASE
+    // ================================
+    const intent = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId);
+    const { created, tokenPurchase } = fulfillTokenPurchase({ intent, squarePaymentId: payment.id });
+
+    // ================================
+    // SEND RECEIPT EMAIL
+    // ================================
+    if (created) {
+      try {
+        await sendTokenPurchaseReceipt(user.email, tokenPurchase);
+      } catch (emailError) {
+        console.error('Failed to send receipt email:', emailError);
+        // The payment already went through; don't turn it into an error response
+      }
+    }
+
+    // Get updated balance
+    const updatedUser = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user_id);
+
+    // ================================
+    // RETURN SUCCESS RESPONSE
+    // ================================
+    const totalTokens = tokenPurchase.tokens_added + tokenPurchase.bonus_tokens;
+    res.json({
+      success: true,
+      new_balance: updatedUser.token_balance,
+      tokens_added: totalTokens,
+      bonus_tokens: tokenPurchase.bonus_tokens,
+      receipt_number: tokenPurchase.receipt_number,
+      receipt_url: absoluteReceiptUrl(req, db.prepare('SELECT receipt_url FROM token_purchases WHERE id = ?').get(tokenPurchase.id).receipt_url),
+      digital_signature: tokenPurchase.digital_signature,
+      square_payment_id: payment.id,
+      message: `Successfully purchased ${totalTokens} tokens! Receipt sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Purchase tokens error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Token Balance
+app.get('/api/v1/users/:userId/tokens', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const user = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      balance: user.token_balance,
+      user_id: req.params.userId
+    });
+  } catch (error) {
+    console.error('Get token balance error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Token Ledger
+app.get('/api/v1/users/:userId/ledger', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const entries = db.prepare(`
+      SELECT * FROM token_ledger
+      WHERE user_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ? OFFSET ?
+    `).all(req.params.userId, limit, offset);
+
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM token_ledger WHERE user_id = ?')
+      .get(req.params.userId);
+
+    res.json({
+      entries: entries.map(formatLedgerEntry),
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get token ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Adjust Token Balance (admin)
+app.post('/api/v1/admin/users/:userId/tokens/adjust', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ message: 'amount must be a non-zero integer' });
+    }
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ message: 'note is required for adjustments' });
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const entry = postLedgerEntry({
+      userId: user.id,
+      entryType: LEDGER_ENTRY_TYPES.ADMIN_ADJUSTMENT,
+      amount,
+      referenceType: 'admin',
+      referenceId: req.user.userId,
+      note: String(note).trim()
+    });
+
+    res.json({
+      success: true,
+      ledger_entry_id: entry.id,
+      new_balance: entry.balance_after
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_TOKENS') {
+      return res.status(400).json({ message: 'Adjustment would make the balance negative' });
+    }
+    console.error('Adjust tokens error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ledger Reconciliation (admin)
+app.get('/api/v1/admin/ledger/reconciliation', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const drift = findLedgerDrift();
+
+    res.json({
+      users: drift,
+      total: drift.length,
+      checked_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// PROMO CODES & GIFTS
+// ================================
+// A code either grants tokens outright (`token_grant`) or takes a percentage
+// off an event at checkout (`event_discount`). Gift claim codes are single-use
+// token grants created when someone pays for a gift package.
+
+const PROMO_CODE_KINDS = ['token_grant', 'event_discount'];
+const GIFT_CODE_TTL_DAYS = 365;
+const MAX_GIFT_MESSAGE_LENGTH = 500;
+
+// No 0/O or 1/I, so codes survive being read aloud or typed from an email
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateClaimCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `GIFT-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const isValidEmail = (email) => typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Look up a code and check it can still be used by this user.
+// Returns { promo } or an error response.
+const checkPromoCode = (code, userId) => {
+  const promo = db.prepare('SELECT * FROM promo_codes WHERE code = ? AND is_active = 1').get(normalizeCode(code));
+  if (!promo) {
+    return { status: 404, body: { message: 'Invalid code', code: 'INVALID_CODE' } };
+  }
+
+  if (promo.expires_at && new Date(promo.expires_at) <= new Date()) {
+    return { status: 410, body: { message: 'This code has expired', code: 'CODE_EXPIRED' } };
+  }
+
+  if (promo.max_redemptions !== null && promo.redemption_count >= promo.max_redemptions) {
+    return { status: 409, body: { message: 'This code has already been used', code: 'CODE_EXHAUSTED' } };
+  }
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = ? AND user_id = ?')
+    .get(promo.id, userId);
+  if (promo.per_user_limit !== null && count >= promo.per_user_limit) {
+    return { status: 409, body: { message: 'You have already redeemed this code', code: 'CODE_ALREADY_REDEEMED' } };
+  }
+
+  return { promo };
+};
+
+// Callers hold a transaction and have already run checkPromoCode
+const recordRedemption = ({ promo, userId, orderId, tokensGranted = 0, discountTokens = 0 }) => {
+  db.prepare(`
+    INSERT INTO promo_redemptions (id, promo_code_id, user_id, order_id, tokens_granted, discount_tokens)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(generateId(), promo.id, userId, orderId, tokensGranted, discountTokens);
+
+  db.prepare('UPDATE promo_codes SET redemption_count = redemption_count + 1 WHERE id = ?').run(promo.id);
+};
+
+const redeemTokenCode = db.transaction(({ user, code }) => {
+  const check = checkPromoCode(code, user.id);
+  if (!check.promo) {
+    return check;
+  }
+
+  const { promo } = check;
+  if (promo.kind !== 'token_grant') {
+    return {
+      status: 400,
+      body: {
+        message: 'This code gives a discount on an event. Enter it when purchasing the event.',
+        code: 'CODE_REQUIRES_EVENT_PURCHASE',
+        event_id: promo.event_id
+      }
+    };
+  }
+
+  const giftCard = promo.gift_card_id
+    ? db.prepare('SELECT * FROM gift_cards WHERE id = ?').get(promo.gift_card_id)
+    : null;
+
+  const orderId = generateId();
+  const receiptNumber = generateReceiptNumber();
+  const redeemedAt = new Date().toISOString();
+  const items = giftCard ? `Gift: ${giftCard.package_name}` : `Promo code ${promo.code}`;
+
+  const digitalSignature = generateDigitalSignature({
+    receipt_number: receiptNumber,
+    order_id: orderId,
+    user_id: user.id,
+    promo_code_id: promo.id,
+    tokens: promo.token_amount,
+    timestamp: redeemedAt
+  });
+
+  postLedgerEntry({
+    userId: user.id,
+    entryType: giftCard ? LEDGER_ENTRY_TYPES.GIFT_REDEMPTION : LEDGER_ENTRY_TYPES.PROMO_GRANT,
+    amount: promo.token_amount,
+    referenceType: 'order',
+    referenceId: orderId,
+    receiptNumber,
+    note: items
+  });
+
+  // Grants cost nothing but still belong in order history
+  db.prepare(`
+    INSERT INTO orders (
+      id, user_id, type, items, amount, status, receipt_number, digital_signature, created_at
+    ) VALUES (?, ?, ?, ?, 0, 'completed', ?, ?, ?)
+  `).run(orderId, user.id, giftCard ? 'Gift Redemption' : 'Promo Code', items, receiptNumber, digitalSignature, redeemedAt);
+
+  recordRedemption({ promo, userId: user.id, orderId, tokensGranted: promo.token_amount });
+
+  if (giftCard) {
+    db.prepare(`
+      UPDATE gift_cards SET status = 'claimed', claimed_by = ?, claimed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(user.id, giftCard.id);
+  }
+
+  const { token_balance: balance } = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user.id);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      tokens_added: promo.token_amount,
+      new_balance: balance,
+      order_id: orderId,
+      receipt_number: receiptNumber,
+      gift: giftCard ? { package_name: giftCard.package_name, message: giftCard.message } : null,
+      message: `${promo.token_amount} tokens added to your account`
+    }
+  };
+});
+
+// Turn a paid gift intent into a claim code, exactly once (see fulfillTokenPurchase)
+const fulfillGiftPurchase = db.transaction(({ intent, squarePaymentId }) => {
+  const giftCard = db.prepare('SELECT * FROM gift_cards WHERE id = ?').get(intent.gift_card_id);
+  if (giftCard.status !== 'pending') {
+    return { created: false, giftCard };
+  }
+
+  const orderId = generateId();
+  const promoId = generateId();
+  const receiptNumber = generateReceiptNumber();
+  const tokens = intent.tokens + intent.bonus_tokens;
+  const amountPaid = intent.amount_cents / 100;
+  const currency = intent.currency || DEFAULT_CURRENCY;
+  const purchaseDate = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + GIFT_CODE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const digitalSignature = generateDigitalSignature({
+    receipt_number: receiptNumber,
+    order_id: orderId,
+    user_id: intent.user_id,
+    gift_card_id: giftCard.id,
+    package_id: intent.package_id,
+    tokens,
+    amount: amountPaid,
+    square_payment_id: squarePaymentId,
+    timestamp: purchaseDate
+  });
+
+  db.prepare(`
+    INSERT INTO promo_codes (
+      id, code, kind, token_amount, max_redemptions, per_user_limit, expires_at, gift_card_id, created_by
+    ) VALUES (?, ?, 'token_grant', ?, 1, 1, ?, ?, ?)
+  `).run(promoId, generateClaimCode(), tokens, expiresAt, giftCard.id, intent.user_id);
+
+  db.prepare(`
+    INSERT INTO orders (
+      id, user_id, type, items, amount, currency, status, payment_status,
+      square_payment_id, receipt_number, digital_signature, created_at
+    ) VALUES (?, ?, 'Gift Tokens', ?, ?, ?, 'completed', 'COMPLETED', ?, ?, ?, ?)
+  `).run(
+    orderId,
+    intent.user_id,
+    `${intent.package_name} gift for ${giftCard.recipient_email}`,
+    amountPaid,
+    currency,
+    squarePaymentId,
+    receiptNumber,
+    digitalSignature,
+    purchaseDate
+  );
+
+  db.prepare(`
+    UPDATE gift_cards
+    SET status = 'active', tokens = ?, amount_paid = ?, currency = ?, square_payment_id = ?, order_id = ?, promo_code_id = ?
+    WHERE id = ?
+  `).run(tokens, amountPaid, currency, squarePaymentId, orderId, promoId, giftCard.id);
+
+  db.prepare("UPDATE payment_intents SET status = 'fulfilled' WHERE id = ?").run(intent.id);
+
+  return { created: true, giftCard: db.prepare('SELECT * FROM gift_cards WHERE id = ?').get(giftCard.id) };
+});
+
+// A fully refunded gift can no longer be claimed; a claimed one is left alone
+const voidRefundedGift = (order) => {
+  const giftCard = db.prepare("SELECT * FROM gift_cards WHERE order_id = ? AND status = 'active'").get(order.id);
+  if (!giftCard) {
+    return;
+  }
+
+  db.prepare("UPDATE gift_cards SET status = 'voided' WHERE id = ?").run(giftCard.id);
+  db.prepare('UPDATE promo_codes SET is_active = 0 WHERE id = ?').run(giftCard.promo_code_id);
+};
+
+const sendGiftEmail = async (giftCard) => {
+  const promo = db.prepare('SELECT code, expires_at FROM promo_codes WHERE id = ?').get(giftCard.promo_code_id);
+  const purchaser = db.prepare('SELECT name, email FROM users WHERE id = ?').get(giftCard.purchaser_id);
+
+  // The recipient didn't sign up for anything, so the code always goes out
+  await dispatchNotification({
+    topic: null,
+    email: {
+      to: giftCard.recipient_email,
+      template: 'gift_code',
+      ...emailTemplates.giftCode({
+        senderName: purchaser.name || purchaser.email,
+        recipientName: giftCard.recipient_name,
+        tokens: giftCard.tokens,
+        message: giftCard.message,
+        code: promo.code,
+        expires: new Date(promo.expires_at).toLocaleDateString()
+      })
+    }
+  });
+
+  db.prepare('UPDATE gift_cards SET emailed_at = CURRENT_TIMESTAMP WHERE id = ?').run(giftCard.id);
+};
+
+// Claim code to the recipient, receipt to the purchaser
+const deliverGift = async (giftCard) => {
+  try {
+    await sendGiftEmail(giftCard);
+  } catch (emailError) {
+    console.error('Failed to send gift email:', emailError);
+  }
+
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(giftCard.order_id);
+  const purchaser = db.prepare('SELECT email FROM users WHERE id = ?').get(giftCard.purchaser_id);
+
+  try {
+    await sendReceiptEmail({
+      userId: giftCard.purchaser_id,
+      email: purchaser.email,
+      receiptNumber: order.receipt_number,
+      items: [{
+        title: order.items,
+        lines: [
+          `${giftCard.tokens} Tokens`,
+          `The claim code has been emailed to ${giftCard.recipient_email}`
+        ]
+      }],
+      totalAmount: order.amount,
+      currency: order.currency,
+      purchaseDate: order.created_at,
+      signature: order.digital_signature
+    });
+  } catch (emailError) {
+    console.error('Failed to send receipt email:', emailError);
+  }
+};
+
+const formatGiftCard = (giftCard) => ({
+  id: giftCard.id,
+  recipient_email: giftCard.recipient_email,
+  recipient_name: giftCard.recipient_name,
+  message: giftCard.message,
+  package_name: giftCard.package_name,
+  tokens: giftCard.tokens,
+  amount_paid: giftCard.amount_paid,
+  currency: giftCard.currency,
+  status: giftCard.status,
+  emailed_at: giftCard.emailed_at,
+  claimed_at: giftCard.claimed_at,
+  created_at: giftCard.created_at
+});
+
+// Redeem Code
+app.post('/api/v1/tokens/redeem', authenticateToken, (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = redeemTokenCode({ user, code });
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Redeem code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Gift Tokens (Square)
+app.post('/api/v1/tokens/gift', authenticateToken, async (req, res) => {
+  try {
+    const { package_id, source_id, verification_token, recipient_email, recipient_name, message } = req.body;
+    const currency = String(req.body.currency || DEFAULT_CURRENCY).toUpperCase();
+
+    if (!isValidEmail(recipient_email)) {
+      return res.status(400).json({ message: 'A valid recipient_email is required' });
+    }
+
+    if (message !== undefined && message !== null
+      && (typeof message !== 'string' || message.length > MAX_GIFT_MESSAGE_LENGTH)) {
+      return res.status(400).json({ message: `message must be at most ${MAX_GIFT_MESSAGE_LENGTH} characters` });
+    }
+
+    const offer = getPackageOffer(package_id, currency);
+    if (!offer) {
+      return res.status(400).json({ message: 'Invalid package' });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const giftCardId = generateId();
+    const intentId = generateId();
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO gift_cards (
+          id, purchaser_id, recipient_email, recipient_name, message, package_id, package_name, tokens, currency
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        giftCardId,
+        user.id,
+        recipient_email.trim(),
+        recipient_name || null,
+        message || null,
+        offer.package_id,
+        offer.name,
+        offer.tokens + offer.bonus_tokens,
+        currency
+      );
+
+      db.prepare(`
+        INSERT INTO payment_intents (
+          id, user_id, package_id, package_name, tokens, bonus_tokens, promotion_id,
+          amount_cents, currency, gift_card_id, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'created')
+      `).run(
+        intentId,
+        user.id,
+        offer.package_id,
+        offer.name,
+        offer.tokens,
+        offer.bonus_tokens,
+        offer.promotion ? offer.promotion.id : null,
+        offer.amount_minor,
+        currency,
+        giftCardId
+      );
+    })();
+
+    const charge = await chargePaymentIntent({
+      intentId,
+      sourceId: source_id,
+      verificationToken: verification_token,
+      amountMinor: offer.amount_minor,
+      currency,
+      note: `FightPass Gift - ${offer.name}`,
+      email: user.email
+    });
+
+    if (!charge.payment) {
+      if (!charge.unconfirmed) {
+        db.prepare("UPDATE gift_cards SET status = 'failed' WHERE id = ?").run(giftCardId);
+      }
+      return res.status(charge.status).json(charge.body);
+    }
+
+    const { payment } = charge;
+
+    // Anything short of COMPLETED is fulfilled later by the webhook
+    if (payment.status !== 'COMPLETED') {
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        gift_id: giftCardId,
+        payment_status: payment.status,
+        square_payment_id: payment.id,
+        message: 'Payment is processing. The gift will be sent when it completes.'
+      });
+    }
+
+    const intent = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId);
+    const { created, giftCard } = fulfillGiftPurchase({ intent, squarePaymentId: payment.id });
+
+    if (created) {
+      await deliverGift(giftCard);
+    }
+
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(giftCard.order_id);
+
+    res.json({
+      success: true,
+      gift: formatGiftCard(db.prepare('SELECT * FROM gift_cards WHERE id = ?').get(giftCardId)),
+      receipt_number: order.receipt_number,
+      digital_signature: order.digital_signature,
+      square_payment_id: payment.id,
+      message: `Gift of ${giftCard.tokens} tokens sent to ${giftCard.recipient_email}`
+    });
+  } catch (error) {
+    console.error('Gift tokens error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Sent Gifts
+app.get('/api/v1/users/:userId/gifts', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const gifts = db.prepare(`
+      SELECT * FROM gift_cards WHERE purchaser_id = ? AND status != 'failed' ORDER BY created_at DESC
+    `).all(req.params.userId);
+
+    res.json({ gifts: gifts.map(formatGiftCard), total: gifts.length });
+  } catch (error) {
+    console.error('Get gifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const formatPromoCode = (promo) => ({
+  id: promo.id,
+  code: promo.code,
+  kind: promo.kind,
+  token_amount: promo.token_amount,
+  percent_off: promo.percent_off,
+  event_id: promo.event_id,
+  max_redemptions: promo.max_redemptions,
+  per_user_limit: promo.per_user_limit,
+  redemption_count: promo.redemption_count,
+  expires_at: promo.expires_at,
+  is_active: Boolean(promo.is_active),
+  note: promo.note,
+  created_at: promo.created_at
+});
+
+const validatePromoInput = (input) => {
+  const errors = [];
+
+  if (!PROMO_CODE_KINDS.includes(input.kind)) {
+    errors.push(`kind must be one of: ${PROMO_CODE_KINDS.join(', ')}`);
+  }
+
+  if (input.code !== undefined && !/^[A-Za-z0-9_-]{3,40}$/.test(String(input.code))) {
+    errors.push('code must be 3-40 letters, numbers, "-" or "_"');
+  }
+
+  if (input.kind === 'token_grant' && (!Number.isInteger(input.token_amount) || input.token_amount <= 0)) {
+    errors.push('token_amount must be a positive integer');
+  }
+
+  if (input.kind === 'event_discount'
+    && (!Number.isInteger(input.percent_off) || input.percent_off < 1 || input.percent_off > 100)) {
+    errors.push('percent_off must be an integer from 1 to 100');
+  }
+
+  ['max_redemptions', 'per_user_limit'].forEach(field => {
+    const value = input[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`${field} must be a positive integer or null for no limit`);
+    }
+  });
+
+  if (input.expires_at !== undefined && input.expires_at !== null && !isValidDate(input.expires_at)) {
+    errors.push('expires_at must be a valid ISO 8601 date');
+  }
+
+  return errors;
+};
+
+// Create Promo Code (admin)
+app.post('/api/v1/admin/promo-codes', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validatePromoInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid promo code', errors });
+    }
+
+    const { kind, token_amount, percent_off, event_id, max_redemptions, per_user_limit, expires_at, note } = req.body;
+
+    if (event_id && !db.prepare('SELECT id FROM events WHERE id = ?').get(event_id)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const code = req.body.code !== undefined ? normalizeCode(req.body.code) : generateClaimCode().slice(5);
+    if (db.prepare('SELECT id FROM promo_codes WHERE code = ?').get(code)) {
+      return res.status(409).json({ message: 'That code already exists' });
+    }
+
+    const promoId = generateId();
+    db.prepare(`
+      INSERT INTO promo_codes (
+        id, code, kind, token_amount, percent_off, event_id,
+        max_redemptions, per_user_limit, expires_at, created_by, note
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      promoId,
+      code,
+      kind,
+      kind === 'token_grant' ? token_amount : null,
+      kind === 'event_discount' ? percent_off : null,
+      kind === 'event_discount' ? event_id || null : null,
+      max_redemptions === undefined ? 1 : max_redemptions,
+      per_user_limit === undefined ? 1 : per_user_limit,
+      expires_at ? new Date(expires_at).toISOString() : null,
+      req.user.userId,
+      note || null
+    );
+
+    res.status(201).json(formatPromoCode(db.prepare('SELECT * FROM promo_codes WHERE id = ?').get(promoId)));
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Promo Codes (admin); gift claim codes are private to their recipient
+app.get('/api/v1/admin/promo-codes', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const codes = db.prepare('SELECT * FROM promo_codes WHERE gift_card_id IS NULL ORDER BY created_at DESC').all();
+    res.json({ promo_codes: codes.map(formatPromoCode), total: codes.length });
+  } catch (error) {
+    console.error('List promo codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deactivate Promo Code (admin)
+app.delete('/api/v1/admin/promo-codes/:codeId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { changes } = db.prepare('UPDATE promo_codes SET is_active = 0 WHERE id = ? AND gift_card_id IS NULL')
+      .run(req.params.codeId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    res.json({ success: true, id: req.params.codeId, is_active: false });
+  } catch (error) {
+    console.error('Deactivate promo code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// MERCH STORE
+// ================================
+// Products come in variants (size / color), each with its own SKU and stock.
+// Stock is taken when an order is placed and put back if the payment fails or
+// the order is refunded before it ships. Square prices are per currency in
+// minor units; price_tokens is optional and enables paying with tokens.
+
+const MERCH_ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'failed'];
+const MERCH_PAYMENT_METHODS = ['square', 'tokens'];
+const MAX_CART_QUANTITY = 10;
+const MERCH_SKU_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+
+const merchVariantLabel = (v) => [v.size, v.color].filter(Boolean).join(' / ') || null;
+
+const formatMerchVariant = (v) => ({
+  id: v.id,
+  sku: v.sku,
+  size: v.size,
+  color: v.color,
+  label: merchVariantLabel(v),
+  stock: v.stock,
+  in_stock: v.stock > 0
+});
+
+// Storefront shape: price in the requested currency (null if not sold in it)
+const formatMerchProduct = (product, currency) => {
+  const price = db.prepare('SELECT amount_minor FROM merch_product_prices WHERE product_id = ? AND currency = ?')
+    .get(product.id, currency);
+  const variants = db.prepare(`
+    SELECT * FROM merch_variants WHERE product_id = ? AND is_active = 1 ORDER BY sort_order, rowid
+  `).all(product.id);
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    image_url: product.image_url,
+    currency,
+    price: price ? price.amount_minor / 100 : null,
+    display_price: price ? formatMoney(price.amount_minor / 100, currency) : null,
+    price_tokens: product.price_tokens,
+    in_stock: variants.some(v => v.stock > 0),
+    variants: variants.map(formatMerchVariant)
+  };
+};
+
+const formatAdminMerchProduct = (product) => {
+  const prices = db.prepare('SELECT currency, amount_minor FROM merch_product_prices WHERE product_id = ?').all(product.id);
+  const variants = db.prepare('SELECT * FROM merch_variants WHERE product_id = ? ORDER BY sort_order, rowid').all(product.id);
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description,
+    image_url: product.image_url,
+    price_tokens: product.price_tokens,
+    prices: Object.fromEntries(prices.map(p => [p.currency, p.amount_minor])),
+    is_active: Boolean(product.is_active),
+    sort_order: product.sort_order,
+    variants: variants.map(v => ({ ...formatMerchVariant(v), is_active: Boolean(v.is_active), sort_order: v.sort_order })),
+    created_at: product.created_at,
+    updated_at: product.updated_at
+  };
+};
+
+// Cart lines joined to their variant, product and price in `currency`
+const getCartLines = (userId, currency) => {
+  return db.prepare(`
+    SELECT c.variant_id, c.quantity, v.product_id, v.sku, v.size, v.color, v.stock,
+      p.name AS product_name, p.image_url, p.price_tokens, pr.amount_minor,
+      (v.is_active = 1 AND p.is_active = 1) AS is_active
+    FROM cart_items c
+    JOIN merch_variants v ON v.id = c.variant_id
+    JOIN merch_products p ON p.id = v.product_id
+    LEFT JOIN merch_product_prices pr ON pr.product_id = p.id AND pr.currency = ?
+    WHERE c.user_id = ?
+    ORDER BY c.added_at, c.rowid
+  `).all(currency, userId);
+};
+
+// Cart edits answer with the updated cart, priced in ?currency= when it is supported
+const cartCurrency = (req) => {
+  const currency = String(req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(currency) ? currency : DEFAULT_CURRENCY;
+};
+
+const formatCart = (userId, currency) => {
+  const lines = getCartLines(userId, currency);
+  const priced = lines.every(l => l.amount_minor !== null);
+  const tokenPriced = lines.every(l => l.price_tokens !== null);
+  const subtotalMinor = lines.reduce((sum, l) => sum + (l.amount_minor || 0) * l.quantity, 0);
+
+  return {
+    items: lines.map(l => ({
+      variant_id: l.variant_id,
+      product_id: l.product_id,
+      product_name: l.product_name,
+      label: merchVariantLabel(l),
+      sku: l.sku,
+      image_url: l.image_url,
+      quantity: l.quantity,
+      unit_price: l.amount_minor !== null ? l.amount_minor / 100 : null,
+      unit_price_tokens: l.price_tokens,
+      available: Boolean(l.is_active) && l.stock >= l.quantity
+    })),
+    currency,
+    item_count: lines.reduce((sum, l) => sum + l.quantity, 0),
+    subtotal: priced ? subtotalMinor / 100 : null,
+    display_subtotal: priced ? formatMoney(subtotalMinor / 100, currency) : null,
+    subtotal_tokens: tokenPriced ? lines.reduce((sum, l) => sum + l.price_tokens * l.quantity, 0) : null
+  };
+};
+
+const formatMerchOrder = (mo) => {
+  const items = db.prepare('SELECT * FROM merch_order_items WHERE merch_order_id = ? ORDER BY rowid').all(mo.id);
+  const order = mo.order_id ? db.prepare('SELECT receipt_number FROM orders WHERE id = ?').get(mo.order_id) : null;
+
+  return {
+    id: mo.id,
+    order_id: mo.order_id,
+    status: mo.status,
+    payment_method: mo.payment_method,
+    currency: mo.currency,
+    total: mo.total_minor !== null ? mo.total_minor / 100 : null,
+    display_total: mo.total_minor !== null ? formatMoney(mo.total_minor / 100, mo.currency) : null,
+    total_tokens: mo.total_tokens,
+    items: items.map(i => ({
+      product_id: i.product_id,
+      variant_id: i.variant_id,
+      product_name: i.product_name,
+      label: i.variant_label,
+      sku: i.sku,
+      quantity: i.quantity,
+      unit_price: i.unit_price_minor !== null ? i.unit_price_minor / 100 : null,
+      unit_price_tokens: i.unit_price_tokens
+    })),
+    shipping_address: {
+      name: mo.shipping_name,
+      line1: mo.shipping_line1,
+      line2: mo.shipping_line2,
+      city: mo.shipping_city,
+      region: mo.shipping_region,
+      postal_code: mo.shipping_postal_code,
+      country: mo.shipping_country,
+      phone: mo.shipping_phone
+    },
+    carrier: mo.carrier,
+    tracking_number: mo.tracking_number,
+    receipt_number: order ? order.receipt_number : null,
+    created_at: mo.created_at,
+    paid_at: mo.paid_at,
+    shipped_at: mo.shipped_at,
+    delivered_at: mo.delivered_at,
+    cancelled_at: mo.cancelled_at
+  };
+};
+
+// Validate a shipping address; returns { errors, address }
+const validateShippingAddress = (input) => {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return { errors: ['shipping_address is required'], address: null };
+  }
+
+  ['name', 'line1', 'city', 'postal_code'].forEach(field => {
+    if (typeof input[field] !== 'string' || !input[field].trim() || input[field].length > 200) {
+      errors.push(`shipping_address.${field} is required (at most 200 characters)`);
+    }
+  });
+
+  ['line2', 'region', 'phone'].forEach(field => {
+    if (!isOptionalText(input[field], 200)) {
+      errors.push(`shipping_address.${field} must be a string of at most 200 characters`);
+    }
+  });
+
+  const country = typeof input.country === 'string' ? input.country.trim().toUpperCase() : '';
+  if (!COUNTRY_CODE_PATTERN.test(country)) {
+    errors.push('shipping_address.country must be a two-letter country code');
+  }
+
+  if (errors.length > 0) {
+    return { errors, address: null };
+  }
+
+  const optional = (value) => (value && value.trim() ? value.trim() : null);
+  return {
+    errors,
+    address: {
+      name: input.name.trim(),
+      line1: input.line1.trim(),
+      line2: optional(input.line2),
+      city: input.city.trim(),
+      region: optional(input.region),
+      postal_code: input.postal_code.trim(),
+      country,
+      phone: optional(input.phone)
+    }
+  };
+};
+
+// Validate admin product input; `existing` is the current row when updating
+const validateMerchProductInput = (input, existing = null) => {
+  const errors = [];
+
+  if (!existing && input.id !== undefined && !/^[A-Za-z0-9_-]{1,40}$/.test(String(input.id))) {
+    errors.push('id may only contain letters, numbers, "-" and "_"');
+  }
+
+  if (!existing || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+
+  if (!isOptionalText(input.description, 2000)) {
+    errors.push('description must be a string of at most 2000 characters');
+  }
+
+  if (input.image_url != null && !isValidUrl(input.image_url)) {
+    errors.push('image_url must be an http(s) URL');
+  }
+
+  if (input.price_tokens != null && (!Number.isInteger(input.price_tokens) || input.price_tokens <= 0)) {
+    errors.push('price_tokens must be a positive integer, or null to stop selling for tokens');
+  }
+
+  if (!existing && input.price_tokens == null && (!input.prices || Object.keys(input.prices).length === 0)) {
+    errors.push('a product needs prices, price_tokens or both');
+  }
+
+  if (input.prices !== undefined) {
+    if (typeof input.prices !== 'object' || input.prices === null) {
+      errors.push('prices must be an object of currency to amount in cents');
+    } else {
+      Object.entries(input.prices).forEach(([currency, amount]) => {
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+          errors.push(`unsupported currency ${currency}`);
+        } else if (amount !== null && (!Number.isInteger(amount) || amount <= 0)) {
+          errors.push(`prices.${currency} must be a positive integer number of cents, or null to remove it`);
+        }
+      });
+    }
+  }
+
+  if (input.variants !== undefined) {
+    if (existing) {
+      errors.push('add variants with POST /admin/merchandise/:productId/variants');
+    } else if (!Array.isArray(input.variants)) {
+      errors.push('variants must be an array');
+    } else {
+      input.variants.forEach((variant, index) => {
+        validateMerchVariantInput(variant || {}).forEach(error => errors.push(`variants[${index}].${error}`));
+      });
+    }
+  }
+
+  return errors;
+};
+
+const validateMerchVariantInput = (input, existing = null) => {
+  const errors = [];
+
+  if (!existing || input.sku !== undefined) {
+    if (typeof input.sku !== 'string' || !MERCH_SKU_PATTERN.test(input.sku)) {
+      errors.push('sku is required and may only contain letters, numbers, "-" and "_"');
+    }
+  }
+
+  ['size', 'color'].forEach(field => {
+    if (!isOptionalText(input[field], 40)) {
+      errors.push(`${field} must be a string of at most 40 characters`);
+    }
+  });
+
+  if (input.stock !== undefined && (!Number.isInteger(input.stock) || input.stock < 0)) {
+    errors.push('stock must be a non-negative integer');
+  }
+
+  return errors;
+};
+
+const saveMerchPrices = (productId, prices) => {
+  Object.entries(prices || {}).forEach(([currency, amount]) => {
+    if (amount === null) {
+      db.prepare('DELETE FROM merch_product_prices WHERE product_id = ? AND currency = ?').run(productId, currency);
+    } else {
+      db.prepare(`
+        INSERT INTO merch_product_prices (product_id, currency, amount_minor) VALUES (?, ?, ?)
+        ON CONFLICT(product_id, currency) DO UPDATE SET amount_minor = excluded.amount_minor
+      `).run(productId, currency, amount);
+    }
+  });
+};
+
+const insertMerchVariant = (productId, input) => {
+  const variantId = generateId();
+  db.prepare(`
+    INSERT INTO merch_variants (id, product_id, sku, size, color, stock, is_active, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    variantId,
+    productId,
+    input.sku,
+    input.size || null,
+    input.color || null,
+    input.stock || 0,
+    input.is_active === false ? 0 : 1,
+    Number.isInteger(input.sort_order) ? input.sort_order : 0
+  );
+  return variantId;
+};
+
+// Put an order's items back on the shelf
+const restockMerchOrder = (merchOrderId) => {
+  db.prepare('SELECT variant_id, quantity FROM merch_order_items WHERE merch_order_id = ?').all(merchOrderId)
+    .forEach(item => {
+      db.prepare('UPDATE merch_variants SET stock = stock + ? WHERE id = ?').run(item.quantity, item.variant_id);
+    });
+};
+
+// A payment that never went through releases the stock it was holding.
+// Returns whether this call failed the order.
+const failMerchOrder = (merchOrderId) => {
+  const { changes } = db.prepare("UPDATE merch_orders SET status = 'failed' WHERE id = ? AND status = 'pending'")
+    .run(merchOrderId);
+  if (changes > 0) {
+    restockMerchOrder(merchOrderId);
+  }
+  return changes > 0;
+};
+
+const MERCH_STATUS_PUSH_MESSAGES = {
+  shipped: (o) => `Your order is on its way${o.carrier ? ` with ${o.carrier}` : ''}.`,
+  delivered: () => 'Your order has been delivered.',
+  failed: () => "Your payment didn't go through, so your order was cancelled."
+};
+
+// Push a status change to the buyer. Never throws; the change already happened.
+const notifyMerchOrderStatus = (merchOrder) => {
+  const message = MERCH_STATUS_PUSH_MESSAGES[merchOrder.status];
+  if (!message) {
+    return;
+  }
+
+  dispatchNotification({
+    userId: merchOrder.user_id,
+    topic: 'order_updates',
+    push: {
+      title: 'FightPass Store',
+      body: message(merchOrder),
+      data: { merch_order_id: merchOrder.id, status: merchOrder.status, type: 'order_status' },
+      collapse_id: `merch-${merchOrder.id}`
+    }
+  }).catch(error => console.error('Order status notification error:', error));
+};
+
+// A card order whose payment was never confirmed stops holding stock after
+// this long. A payment that completes later is refunded by the webhook.
+const MERCH_PAYMENT_HOLD_HOURS = 24;
+
+// Payment intent statuses of a late payment being given back
+const MERCH_REFUND_STATUSES = ['refunding', 'refunded', 'refund_failed'];
+
+const releaseStaleMerchOrders = async () => {
+  const stale = db.prepare(`
+    SELECT id FROM merch_orders
+    WHERE status = 'pending' AND payment_method = 'square' AND datetime(created_at) <= datetime('now', ?)
+  `).all(`-${MERCH_PAYMENT_HOLD_HOURS} hours`);
+
+  const released = stale.filter(({ id }) => db.transaction(() => {
+    if (!failMerchOrder(id)) {
+      return false;
+    }
+    db.prepare("UPDATE payment_intents SET status = 'failed' WHERE merch_order_id = ? AND status = 'created'").run(id);
+    return true;
+  })());
+
+  released.forEach(({ id }) => {
+    notifyMerchOrderStatus(db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(id));
+  });
+
+  const unrefunded = db.prepare("SELECT * FROM payment_intents WHERE status = 'refund_failed'").all();
+  let refunded = 0;
+  for (const intent of unrefunded) {
+    if (await refundOrphanedPayment(intent)) {
+      refunded++;
+    }
+  }
+
+  return `released ${released.length} order(s), refunded ${refunded} of ${unrefunded.length} late payment(s)`;
+};
+
+// A fully refunded order that hasn't shipped is cancelled and restocked;
+// shipped orders keep their status
+const cancelRefundedMerchOrder = (order) => {
+  const merchOrder = db.prepare("SELECT id FROM merch_orders WHERE order_id = ? AND status = 'paid'").get(order.id);
+  if (!merchOrder) {
+    return false;
+  }
+
+  db.prepare("UPDATE merch_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?")
+    .run(merchOrder.id);
+  restockMerchOrder(merchOrder.id);
+  return true;
+};
+
+// Record the paid order with a signed receipt. Callers hold a transaction.
+const completeMerchOrder = (merchOrder, squarePaymentId = null) => {
+  const items = db.prepare('SELECT * FROM merch_order_items WHERE merch_order_id = ? ORDER BY rowid').all(merchOrder.id);
+  const description = items
+    .map(i => `${i.product_name}${i.variant_label ? ` (${i.variant_label})` : ''}${i.quantity > 1 ? ` x${i.quantity}` : ''}`)
+    .join(', ');
+
+  const orderId = generateId();
+  const receiptNumber = generateReceiptNumber();
+  const paidWithTokens = merchOrder.payment_method === 'tokens';
+  const amount = paidWithTokens ? merchOrder.total_tokens : merchOrder.total_minor / 100;
+  const purchaseDate = new Date().toISOString();
+
+  const digitalSignature = generateDigitalSignature({
+    receipt_number: receiptNumber,
+    order_id: orderId,
+    user_id: merchOrder.user_id,
+    merch_order_id: merchOrder.id,
+    items: description,
+    amount,
+    square_payment_id: squarePaymentId,
+    timestamp: purchaseDate
+  });
+
+  db.prepare(`
+    INSERT INTO orders (
+      id, user_id, type, items, amount, currency, status, payment_status,
+      square_payment_id, receipt_number, digital_signature, created_at
+    ) VALUES (?, ?, 'Merchandise', ?, ?, ?, 'completed', ?, ?, ?, ?, ?)
+  `).run(
+    orderId,
+    merchOrder.user_id,
+    description,
+    amount,
+    merchOrder.currency,
+    paidWithTokens ? null : 'COMPLETED',
+    squarePaymentId,
+    receiptNumber,
+    digitalSignature,
+    purchaseDate
+  );
+
+  db.prepare(`
+    UPDATE merch_orders SET status = 'paid', order_id = ?, paid_at = ? WHERE id = ?
+  `).run(orderId, purchaseDate, merchOrder.id);
+
+  // What was bought leaves the cart; anything added since stays
+  items.forEach(item => {
+    db.prepare('DELETE FROM cart_items WHERE user_id = ? AND variant_id = ?').run(merchOrder.user_id, item.variant_id);
+  });
+
+  return db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(merchOrder.id);
+};
+
+// Check the cart, reserve its stock and open the order. Token orders are paid
+// here and then; Square orders get a payment intent to charge. Returns
+// { status, body } for a finished response (errors, token orders, retries),
+// otherwise { merchOrder, intentId } - for a Square retry, the original ones.
+const placeMerchOrder = db.transaction(({ user, paymentMethod, currency, shipping, idempotencyKey }) => {
+  if (idempotencyKey) {
+    const previous = findIdempotentResponse(user.id, idempotencyKey);
+    if (previous) {
+      if (previous.scope !== 'merch_checkout' || previous.request_fingerprint !== paymentMethod) {
+        return {
+          status: 422,
+          body: { message: 'Idempotency-Key was already used for a different request', code: 'IDEMPOTENCY_KEY_REUSED' }
+        };
+      }
+      const body = JSON.parse(previous.response_body);
+      // Retry the same order and intent; Square dedupes on the intent id, so
+      // the card is charged at most once and stock is held once
+      if (previous.response_status === IDEMPOTENCY_IN_PROGRESS) {
+        const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(body.merch_order_id);
+        return { merchOrder, intentId: body.intent_id };
+      }
+      return { status: previous.response_status, body, replayed: true };
+    }
+  }
+
+  const lines = getCartLines(user.id, currency);
+  if (lines.length === 0) {
+    return { status: 400, body: { message: 'Your cart is empty', code: 'CART_EMPTY' } };
+  }
+
+  const unavailable = lines.filter(l => !l.is_active || l.stock < l.quantity);
+  if (unavailable.length > 0) {
+    return {
+      status: 409,
+      body: {
+        message: 'Some items in your cart are no longer available in the quantity requested',
+        code: 'OUT_OF_STOCK',
+        items: unavailable.map(l => ({
+          variant_id: l.variant_id,
+          sku: l.sku,
+          requested: l.quantity,
+          available: l.is_active ? l.stock : 0
+        }))
+      }
+    };
+  }
+
+  const paidWithTokens = paymentMethod === 'tokens';
+  const unpriced = lines.filter(l => (paidWithTokens ? l.price_tokens : l.amount_minor) === null);
+  if (unpriced.length > 0) {
+    return {
+      status: 400,
+      body: {
+        message: paidWithTokens
+          ? 'Some items in your cart cannot be bought with tokens'
+          : `Some items in your cart are not sold in ${currency}`,
+        code: 'PAYMENT_METHOD_UNAVAILABLE',
+        items: unpriced.map(l => ({ variant_id: l.variant_id, sku: l.sku }))
+      }
+    };
+  }
+
+  const totalTokens = paidWithTokens ? lines.reduce((sum, l) => sum + l.price_tokens * l.quantity, 0) : null;
+  const totalMinor = paidWithTokens ? null : lines.reduce((sum, l) => sum + l.amount_minor * l.quantity, 0);
+
+  if (paidWithTokens) {
+    const { token_balance: balance } = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user.id);
+    if (balance < totalTokens) {
+      return {
+        status: 400,
+        body: {
+          message: 'Insufficient tokens',
+          required: totalTokens,
+          current: balance,
+          shortage: totalTokens - balance
+        }
+      };
+    }
+  }
+
+  const merchOrderId = generateId();
+  db.prepare(`
+    INSERT INTO merch_orders (
+      id, user_id, payment_method, currency, total_minor, total_tokens,
+      shipping_name, shipping_line1, shipping_line2, shipping_city, shipping_region,
+      shipping_postal_code, shipping_country, shipping_phone
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    merchOrderId,
+    user.id,
+    paymentMethod,
+    paidWithTokens ? null : currency,
+    totalMinor,
+    totalTokens,
+    shipping.name,
+    shipping.line1,
+    shipping.line2,
+    shipping.city,
+    shipping.region,
+    shipping.postal_code,
+    shipping.country,
+    shipping.phone
+  );
+
+  lines.forEach(l => {
+    db.prepare(`
+      INSERT INTO merch_order_items (
+        id, merch_order_id, product_id, variant_id, product_name, variant_label, sku,
+        quantity, unit_price_minor, unit_price_tokens
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      generateId(),
+      merchOrderId,
+      l.product_id,
+      l.variant_id,
+      l.product_name,
+      merchVariantLabel(l),
+      l.sku,
+      l.quantity,
+      paidWithTokens ? null : l.amount_minor,
+      paidWithTokens ? l.price_tokens : null
+    );
+    db.prepare('UPDATE merch_variants SET stock = stock - ? WHERE id = ?').run(l.quantity, l.variant_id);
+  });
+
+  const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(merchOrderId);
+
+  if (!paidWithTokens) {
+    const intentId = generateId();
+    db.prepare(`
+      INSERT INTO payment_intents (id, user_id, amount_cents, currency, merch_order_id, status)
+      VALUES (?, ?, ?, ?, ?, 'created')
+    `).run(intentId, user.id, totalMinor, currency, merchOrderId);
+    if (idempotencyKey) {
+      saveIdempotentResponse(user.id, idempotencyKey, 'merch_checkout', paymentMethod, IDEMPOTENCY_IN_PROGRESS, {
+        merch_order_id: merchOrderId,
+        intent_id: intentId
+      });
+    }
+    return { merchOrder, intentId };
+  }
+
+  postLedgerEntry({
+    userId: user.id,
+    entryType: LEDGER_ENTRY_TYPES.MERCH_SPEND,
+    amount: -totalTokens,
+    referenceType: 'merch_order',
+    referenceId: merchOrderId,
+    note: `Merchandise order ${merchOrderId}`
+  });
+
+  const paid = completeMerchOrder(merchOrder);
+  const { token_balance: newBalance } = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(user.id);
+
+  const result = {
+    status: 200,
+    body: {
+      success: true,
+      order: formatMerchOrder(paid),
+      tokens_spent: totalTokens,
+      new_balance: newBalance,
+      message: `Order placed! Receipt sent to ${user.email}`
+    }
+  };
+
+  if (idempotencyKey) {
+    saveIdempotentResponse(user.id, idempotencyKey, 'merch_checkout', paymentMethod, result.status, result.body);
+  }
+
+  return result;
+});
+
+// Mark a Square-paid order as paid, exactly once (see fulfillTokenPurchase)
+const fulfillMerchOrder = db.transaction(({ intent, squarePaymentId }) => {
+  const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(intent.merch_order_id);
+  if (merchOrder.status !== 'pending') {
+    return { created: false, merchOrder };
+  }
+
+  const paid = completeMerchOrder(merchOrder, squarePaymentId);
+  db.prepare("UPDATE payment_intents SET status = 'fulfilled' WHERE id = ?").run(intent.id);
+
+  return { created: true, merchOrder: paid };
+});
+
+const sendMerchReceipt = async (merchOrder) => {
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(merchOrder.order_id);
+  const user = db.prepare('SELECT email FROM users WHERE id = ?').get(merchOrder.user_id);
+  const items = db.prepare('SELECT * FROM merch_order_items WHERE merch_order_id = ? ORDER BY rowid').all(merchOrder.id);
+  const paidWithTokens = merchOrder.payment_method === 'tokens';
+
+  const shipTo = [
+    merchOrder.shipping_name, merchOrder.shipping_line1,
+    `${merchOrder.shipping_city} ${merchOrder.shipping_postal_code}`, merchOrder.shipping_country
+  ].join(', ');
+
+  return sendReceiptEmail({
+    userId: merchOrder.user_id,
+    email: user.email,
+    receiptNumber: order.receipt_number,
+    items: [{
+      title: 'Merchandise',
+      lines: items.map(i => ({
+        label: `${i.product_name}${i.variant_label ? ` (${i.variant_label})` : ''} x ${i.quantity}`,
+        value: paidWithTokens
+          ? `${i.unit_price_tokens * i.quantity} tokens`
+          : formatMoney(i.unit_price_minor * i.quantity / 100, merchOrder.currency)
+      }))
+    }],
+    notes: [`Shipping to: ${shipTo}`],
+    ...(paidWithTokens ? { totalTokens: merchOrder.total_tokens } : { totalAmount: order.amount }),
+    currency: order.currency || DEFAULT_CURRENCY,
+    purchaseDate: order.created_at,
+    signature: order.digital_signature
+  });
+};
+
+// List Merchandise
+app.get('/api/v1/merchandise', (req, res) => {
+  try {
+    const currency = String(req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ message: `Unsupported currency. Use one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const products = db.prepare(`
+      SELECT * FROM merch_products p
+      WHERE is_active = 1 AND EXISTS (SELECT 1 FROM merch_variants v WHERE v.product_id = p.id AND v.is_active = 1)
+      ORDER BY sort_order, name
+    `).all();
+
+    const items = products
+      .map(p => formatMerchProduct(p, currency))
+      .filter(p => p.price !== null || p.price_tokens !== null);
+
+    res.json({ items, currency, total: items.length });
+  } catch (error) {
+    console.error('Get merchandise error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Merchandise Item
+app.get('/api/v1/merchandise/:productId', (req, res) => {
+  try {
+    const currency = String(req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ message: `Unsupported currency. Use one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const product = db.prepare('SELECT * FROM merch_products WHERE id = ? AND is_active = 1').get(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json(formatMerchProduct(product, currency));
+  } catch (error) {
+    console.error('Get merchandise item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get Cart
+app.get('/api/v1/cart', authenticateToken, (req, res) => {
+  try {
+    const currency = String(req.query.currency || DEFAULT_CURRENCY).toUpperCase();
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ message: `Unsupported currency. Use one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    res.json(formatCart(req.user.userId, currency));
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set Cart Quantity (0 removes the item)
+app.put('/api/v1/cart/items/:variantId', authenticateToken, (req, res) => {
+  try {
+    const { quantity } = req.body;
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_CART_QUANTITY) {
+      return res.status(400).json({ message: `quantity must be an integer from 0 to ${MAX_CART_QUANTITY}` });
+    }
+
+    if (quantity === 0) {
+      db.prepare('DELETE FROM cart_items WHERE user_id = ? AND variant_id = ?').run(req.user.userId, req.params.variantId);
+      return res.json(formatCart(req.user.userId, cartCurrency(req)));
+    }
+
+    const variant = db.prepare(`
+      SELECT v.* FROM merch_variants v JOIN merch_products p ON p.id = v.product_id
+      WHERE v.id = ? AND v.is_active = 1 AND p.is_active = 1
+    `).get(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (variant.stock < quantity) {
+      return res.status(409).json({ message: 'Not enough stock', code: 'OUT_OF_STOCK', available: variant.stock });
+    }
+
+    db.prepare(`
+      INSERT INTO cart_items (user_id, variant_id, quantity) VALUES (?, ?, ?)
+      ON CONFLICT(user_id, variant_id) DO UPDATE SET quantity = excluded.quantity
+    `).run(req.user.userId, variant.id, quantity);
+
+    res.json(formatCart(req.user.userId, cartCurrency(req)));
+  } catch (error) {
+    console.error('Update cart error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove Cart Item
+app.delete('/api/v1/cart/items/:variantId', authenticateToken, (req, res) => {
+  try {
+    db.prepare('DELETE FROM cart_items WHERE user_id = ? AND variant_id = ?').run(req.user.userId, req.params.variantId);
+    res.json(formatCart(req.user.userId, cartCurrency(req)));
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Empty Cart
+app.delete('/api/v1/cart', authenticateToken, (req, res) => {
+  try {
+    db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(req.user.userId);
+    res.json(formatCart(req.user.userId, cartCurrency(req)));
+  } catch (error) {
+    console.error('Empty cart error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check Out Cart (Square or tokens)
+app.post('/api/v1/merchandise/checkout', authenticateToken, async (req, res) => {
+  try {
+    const { payment_method, source_id, verification_token } = req.body;
+    const currency = String(req.body.currency || DEFAULT_CURRENCY).toUpperCase();
+
+    if (!MERCH_PAYMENT_METHODS.includes(payment_method)) {
+      return res.status(400).json({ message: `payment_method must be one of: ${MERCH_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    if (payment_method === 'square' && !SUPPORTED_CURRENCIES.includes(currency)) {
+      return res.status(400).json({ message: `Unsupported currency. Use one of: ${SUPPORTED_CURRENCIES.join(', ')}` });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && !isValidIdempotencyKey(idempotencyKey)) {
+      return res.status(400).json({ message: 'Idempotency-Key must be 1-255 characters' });
+    }
+
+    const { errors, address } = validateShippingAddress(req.body.shipping_address);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid shipping address', errors });
+    }
+
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const placed = placeMerchOrder({ user, paymentMethod: payment_method, currency, shipping: address, idempotencyKey });
+
+    if (placed.status) {
+      if (placed.status === 200 && !placed.replayed) {
+        const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(placed.body.order.id);
+        try {
+          await sendMerchReceipt(merchOrder);
+        } catch (emailError) {
+          console.error('Failed to send receipt email:', emailError);
+        }
+      }
+      return res.status(placed.status).json(placed.body);
+    }
+
+    const { merchOrder, intentId } = placed;
+
+    // Settle the stored response once the outcome is final; pending and
+    // unconfirmed charges leave it open so a retry resumes the same intent
+    const respond = (status, body) => {
+      if (idempotencyKey) {
+        completeIdempotentResponse(user.id, idempotencyKey, status, body);
+      }
+      res.status(status).json(body);
+    };
+
+    // A retry whose order was settled meanwhile (by the webhook or the
+    // stale-hold sweep) reports how it ended instead of charging again
+    if (merchOrder.status === 'failed') {
+      return respond(409, {
+        message: 'This order was cancelled because its payment did not complete',
+        code: 'ORDER_CANCELLED',
+        order: formatMerchOrder(merchOrder)
+      });
+    }
+    if (merchOrder.status !== 'pending') {
+      return respond(200, {
+        success: true,
+        order: formatMerchOrder(merchOrder),
+        square_payment_id: db.prepare('SELECT square_payment_id FROM payment_intents WHERE id = ?').pluck().get(intentId),
+        message: `Order placed! Receipt sent to ${user.email}`
+      });
+    }
+
+    // ================================
+    // PROCESS PAYMENT WITH SQUARE
+    // ================================
+    const charge = await chargePaymentIntent({
+      intentId,
+      sourceId: source_id,
+      verificationToken: verification_token,
+      amountMinor: merchOrder.total_minor,
+      currency,
+      note: `FightPass Merchandise Order ${merchOrder.id}`,
+      email: user.email
+    });
+
+    // An unconfirmed charge keeps the order pending until the webhook (or the
+    // stale-hold sweep) settles it
+    if (!charge.payment) {
+      if (charge.unconfirmed) {
+        return res.status(charge.status).json(charge.body);
+      }
+      db.transaction(failMerchOrder)(merchOrder.id);
+      return respond(charge.status, charge.body);
+    }
+
+    const { payment } = charge;
+
+    // Stock stays reserved; the webhook marks the order paid (or releases it)
+    if (payment.status !== 'COMPLETED') {
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        order: formatMerchOrder(merchOrder),
+        payment_status: payment.status,
+        square_payment_id: payment.id,
+        message: 'Payment is processing. Your order will be confirmed when it completes.'
+      });
+    }
+
+    const intent = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intentId);
+    const { created, merchOrder: paid } = fulfillMerchOrder({ intent, squarePaymentId: payment.id });
+
+    if (created) {
+      try {
+        await sendMerchReceipt(paid);
+      } catch (emailError) {
+        console.error('Failed to send receipt email:', emailError);
+      }
+    }
+
+    respond(200, {
+      success: true,
+      order: formatMerchOrder(paid),
+      square_payment_id: payment.id,
+      message: `Order placed! Receipt sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Merchandise checkout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User Merchandise Orders
+app.get('/api/v1/users/:userId/merch-orders', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const merchOrders = db.prepare(`
+      SELECT * FROM merch_orders WHERE user_id = ? AND status != 'failed' ORDER BY created_at DESC, rowid DESC
+    `).all(req.params.userId);
+
+    res.json({ orders: merchOrders.map(formatMerchOrder), total: merchOrders.length });
+  } catch (error) {
+    console.error('Get merchandise orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get User Merchandise Order
+app.get('/api/v1/users/:userId/merch-orders/:merchOrderId', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ? AND user_id = ?')
+      .get(req.params.merchOrderId, req.params.userId);
+    if (!merchOrder) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(formatMerchOrder(merchOrder));
+  } catch (error) {
+    console.error('Get merchandise order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Merchandise (admin)
+app.get('/api/v1/admin/merchandise', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const products = db.prepare('SELECT * FROM merch_products ORDER BY sort_order, name').all();
+    res.json({ products: products.map(formatAdminMerchProduct), total: products.length });
+  } catch (error) {
+    console.error('Admin get merchandise error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create Merchandise Product (admin), optionally with its variants
+app.post('/api/v1/admin/merchandise', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const errors = validateMerchProductInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid product', errors });
+    }
+
+    const { name, description, image_url, price_tokens, prices, sort_order, is_active } = req.body;
+    const variants = req.body.variants || [];
+    const productId = req.body.id !== undefined ? String(req.body.id) : generateId();
+
+    if (db.prepare('SELECT id FROM merch_products WHERE id = ?').get(productId)) {
+      return res.status(409).json({ message: 'A product with that id already exists' });
+    }
+
+    const skus = variants.map(v => v.sku);
+    const takenSku = skus.find((sku, index) => skus.indexOf(sku) !== index
+      || db.prepare('SELECT id FROM merch_variants WHERE sku = ?').get(sku));
+    if (takenSku) {
+      return res.status(409).json({ message: `SKU ${takenSku} is already in use` });
+    }
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO merch_products (id, name, description, image_url, price_tokens, is_active, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        productId,
+        name.trim(),
+        description || null,
+        image_url || null,
+        price_tokens || null,
+        is_active === false ? 0 : 1,
+        Number.isInteger(sort_order) ? sort_order : 0
+      );
+      saveMerchPrices(productId, prices);
+      variants.forEach(variant => insertMerchVariant(productId, variant));
+    })();
+
+    const product = db.prepare('SELECT * FROM merch_products WHERE id = ?').get(productId);
+    res.status(201).json(formatAdminMerchProduct(product));
+  } catch (error) {
+    console.error('Create merchandise error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Merchandise Product (admin)
+app.put('/api/v1/admin/merchandise/:productId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM merch_products WHERE id = ?').get(req.params.productId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const errors = validateMerchProductInput(req.body, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid product', errors });
+    }
+
+    const updates = {};
+    ['name', 'description', 'image_url', 'price_tokens', 'sort_order'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = field === 'name' ? req.body.name.trim() : req.body[field];
+      }
+    });
+    if (req.body.is_active !== undefined) {
+      updates.is_active = req.body.is_active ? 1 : 0;
+    }
+
+    db.transaction(() => {
+      const fields = Object.keys(updates);
+      if (fields.length > 0) {
+        const assignments = fields.map(f => `${f} = ?`).join(', ');
+        db.prepare(`UPDATE merch_products SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+          .run(...fields.map(f => updates[f]), existing.id);
+      }
+      saveMerchPrices(existing.id, req.body.prices);
+    })();
+
+    const product = db.prepare('SELECT * FROM merch_products WHERE id = ?').get(existing.id);
+    res.json(formatAdminMerchProduct(product));
+  } catch (error) {
+    console.error('Update merchandise error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retire Merchandise Product (admin)
+app.delete('/api/v1/admin/merchandise/:productId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    // Past orders reference the product, so it is deactivated rather than deleted
+    const { changes } = db.prepare(`
+      UPDATE merch_products SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(req.params.productId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({ success: true, id: req.params.productId, is_active: false });
+  } catch (error) {
+    console.error('Retire merchandise error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add Variant (admin)
+app.post('/api/v1/admin/merchandise/:productId/variants', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const product = db.prepare('SELECT * FROM merch_products WHERE id = ?').get(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const errors = validateMerchVariantInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid variant', errors });
+    }
+
+    if (db.prepare('SELECT id FROM merch_variants WHERE sku = ?').get(req.body.sku)) {
+      return res.status(409).json({ message: `SKU ${req.body.sku} is already in use` });
+    }
+
+    insertMerchVariant(product.id, req.body);
+    res.status(201).json(formatAdminMerchProduct(product));
+  } catch (error) {
+    console.error('Add variant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update Variant (admin); stock is the absolute count on hand
+app.put('/api/v1/admin/merchandise/:productId/variants/:variantId', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM merch_variants WHERE id = ? AND product_id = ?')
+      .get(req.params.variantId, req.params.productId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const errors = validateMerchVariantInput(req.body, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid variant', errors });
+    }
+
+    if (req.body.sku !== undefined && req.body.sku !== existing.sku
+      && db.prepare('SELECT id FROM merch_variants WHERE sku = ?').get(req.body.sku)) {
+      return res.status(409).json({ message: `SKU ${req.body.sku} is already in use` });
+    }
+
+    const updates = {};
+    ['sku', 'size', 'color', 'stock', 'sort_order'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    if (req.body.is_active !== undefined) {
+      updates.is_active = req.body.is_active ? 1 : 0;
+    }
+
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      const assignments = fields.map(f => `${f} = ?`).join(', ');
+      db.prepare(`UPDATE merch_variants SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+        .run(...fields.map(f => updates[f]), existing.id);
+    }
+
+    const product = db.prepare('SELECT * FROM merch_products WHERE id = ?').get(existing.product_id);
+    res.json(formatAdminMerchProduct(product));
+  } catch (error) {
+    console.error('Update variant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List Merchandise Orders (admin), e.g. ?status=paid for the packing queue
+app.get('/api/v1/admin/merch-orders', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !MERCH_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${MERCH_ORDER_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status] : [];
+
+    // Oldest first, so the queue is worked in order
+    const merchOrders = db.prepare(`
+      SELECT * FROM merch_orders ${where} ORDER BY created_at, rowid LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM merch_orders ${where}`).get(...params);
+
+    res.json({
+      orders: merchOrders.map(mo => {
+        // Shows whether a payment that landed after cancellation was given back
+        const refundStatus = db.prepare(`
+          SELECT status FROM payment_intents WHERE merch_order_id = ? AND status IN (${MERCH_REFUND_STATUSES.map(() => '?').join(', ')})
+        `).pluck().get(mo.id, ...MERCH_REFUND_STATUSES);
+        return { ...formatMerchOrder(mo), user_id: mo.user_id, late_payment_refund: refundStatus || null };
+      }),
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Admin get merchandise orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark Merchandise Order Shipped (admin)
+app.post('/api/v1/admin/merch-orders/:merchOrderId/ship', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { carrier, tracking_number } = req.body;
+
+    const errors = [];
+    if (typeof carrier !== 'string' || !carrier.trim() || carrier.length > 100) {
+      errors.push('carrier is required (at most 100 characters)');
+    }
+    if (!isOptionalText(tracking_number, 100)) {
+      errors.push('tracking_number must be a string of at most 100 characters');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid shipment', errors });
+    }
+
+    const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(req.params.merchOrderId);
+    if (!merchOrder) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (merchOrder.status !== 'paid') {
+      return res.status(409).json({
+        message: `A ${merchOrder.status} order cannot be shipped`,
+        code: 'INVALID_ORDER_TRANSITION'
+      });
+    }
+
+    db.prepare(`
+      UPDATE merch_orders SET status = 'shipped', carrier = ?, tracking_number = ?, shipped_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(carrier.trim(), tracking_number ? tracking_number.trim() : null, merchOrder.id);
+
+    const shipped = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(merchOrder.id);
+    notifyMerchOrderStatus(shipped);
+    res.json(formatMerchOrder(shipped));
+  } catch (error) {
+    console.error('Ship merchandise order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark Merchandise Order Delivered (admin)
+app.post('/api/v1/admin/merch-orders/:merchOrderId/deliver', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const merchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(req.params.merchOrderId);
+    if (!merchOrder) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (merchOrder.status !== 'shipped') {
+      return res.status(409).json({
+        message: `A ${merchOrder.status} order cannot be marked delivered`,
+        code: 'INVALID_ORDER_TRANSITION'
+      });
+    }
+
+    db.prepare("UPDATE merch_orders SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP WHERE id = ?")
+      .run(merchOrder.id);
+
+    const delivered = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(merchOrder.id);
+    notifyMerchOrderStatus(delivered);
+    res.json(formatMerchOrder(delivered));
+  } catch (error) {
+    console.error('Deliver merchandise order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// SQUARE WEBHOOKS
+// ================================
+// Square signs each notification with HMAC-SHA256 over the notification URL
+// followed by the raw request body, base64-encoded.
+const verifySquareWebhookSignature = (rawBody, signature) => {
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  const notificationUrl = process.env.SQUARE_WEBHOOK_URL;
+
+  if (!signatureKey || !notificationUrl || !rawBody || !signature) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', signatureKey)
+    .update(notificationUrl + rawBody.toString('utf8'))
+    .digest('base64');
+
+  const received = Buffer.from(signature);
+  const expected = Buffer.from(expectedSignature);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Move an order to refunded / partially_refunded based on completed refunds
+const updateOrderRefundStatus = (orderId) => {
+  const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+  const { refunded } = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+    WHERE order_id = ? AND status = 'COMPLETED'
+  `).get(orderId);
+
+  if (refunded <= 0) {
+    return order.status;
+  }
+
+  const status = refunded >= order.amount ? 'refunded' : 'partially_refunded';
+  db.prepare('UPDATE orders SET status = ? WHERE id = ?').run(status, orderId);
+  return status;
+};
+
+// Take back the tokens a completed token-package refund paid for, in proportion
+// to the refunded amount. Tokens already spent can't be recovered; the shortfall
+// is noted on the ledger entry.
+const reverseRefundedTokens = (refundRow, order) => {
+  const tokenPurchase = db.prepare('SELECT * FROM token_purchases WHERE square_payment_id = ?')
+    .get(order.square_payment_id);
+  if (!tokenPurchase) {
+    return 0;
+  }
+
+  const totalTokens = tokenPurchase.tokens_added + tokenPurchase.bonus_tokens;
+  const { alreadyReversed } = db.prepare(`
+    SELECT COALESCE(SUM(tokens_reversed), 0) AS alreadyReversed FROM refunds WHERE order_id = ?
+  `).get(order.id);
+
+  const owed = Math.min(
+    Math.round(totalTokens * refundRow.amount / tokenPurchase.amount_paid),
+    totalTokens - alreadyReversed
+  );
+  const { token_balance: balance } = db.prepare('SELECT token_balance FROM users WHERE id = ?').get(order.user_id);
+  const reversed = Math.min(owed, balance);
+
+  if (reversed > 0) {
+    postLedgerEntry({
+      userId: order.user_id,
+      entryType: LEDGER_ENTRY_TYPES.REFUND,
+      amount: -reversed,
+      referenceType: 'refund',
+      referenceId: refundRow.id,
+      receiptNumber: order.receipt_number,
+      note: reversed < owed
+        ? `Refund of ${order.items}; ${owed - reversed} tokens already spent`
+        : `Refund of ${order.items}`
+    });
+  }
+
+  if (reversed < owed) {
+    console.warn(`Refund ${refundRow.id}: user ${order.user_id} had spent ${owed - reversed} of the refunded tokens`);
+  }
+
+  db.prepare('UPDATE refunds SET tokens_reversed = tokens_reversed + ? WHERE id = ?').run(reversed, refundRow.id);
+  return reversed;
+};
+
+// Record a Square refund (created or updated) and apply it once it completes
+const applySquareRefund = (refund) => {
+  const order = db.prepare('SELECT * FROM orders WHERE square_payment_id = ?').get(refund.payment_id);
+  if (!order) {
+    return { matched: false };
+  }
+
+  const amount = Number(refund.amount_money.amount) / 100;
+  let refundRow = db.prepare('SELECT * FROM refunds WHERE square_refund_id = ?').get(refund.id);
+
+  if (!refundRow) {
+    const refundId = generateId();
+    db.prepare(`
+      INSERT INTO refunds (
+        id, order_id, user_id, square_refund_id, square_payment_id, amount, status, reason
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(refundId, order.id, order.user_id, refund.id, refund.payment_id, amount, refund.status, refund.reason || null);
+    refundRow = db.prepare('SELECT * FROM refunds WHERE id = ?').get(refundId);
+  } else if (refundRow.status !== refund.status) {
+    db.prepare('UPDATE refunds SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(refund.status, refundRow.id);
+  }
+
+  // applied_at records that the completion was processed, even when no tokens
+  // could be taken back, so a repeated or late refund.updated is a no-op
+  let tokensReversed = 0;
+  if (refund.status === 'COMPLETED' && !refundRow.applied_at) {
+    tokensReversed = reverseRefundedTokens({ ...refundRow, status: refund.status }, order);
+    db.prepare('UPDATE refunds SET applied_at = CURRENT_TIMESTAMP WHERE id = ?').run(refundRow.id);
+  }
+
+  const orderStatus = updateOrderRefundStatus(order.id);
+  if (orderStatus === 'refunded' && order.type === 'Gift Tokens') {
+    voidRefundedGift(order);
+  }
+  if (orderStatus === 'refunded' && order.type === 'Merchandise') {
+    cancelRefundedMerchOrder(order);
+  }
+
+  return {
+    matched: true,
+    refund_id: refundRow.id,
+    order_id: order.id,
+    order_status: orderStatus,
+    tokens_reversed: tokensReversed
+  };
+};
+
+// A chargeback: the order is marked disputed while open, and a lost dispute is
+// applied like a full refund so the purchased tokens are clawed back
+const applySquareDispute = (dispute) => {
+  const paymentId = dispute.disputed_payment && dispute.disputed_payment.payment_id;
+  const order = paymentId ? db.prepare('SELECT * FROM orders WHERE square_payment_id = ?').get(paymentId) : null;
+  if (!order) {
+    return { matched: false };
+  }
+
+  if (dispute.state === 'LOST') {
+    return applySquareRefund({
+      id: `dispute_${dispute.id}`,
+      payment_id: paymentId,
+      status: 'COMPLETED',
+      amount_money: dispute.amount_money,
+      reason: `Chargeback (${dispute.reason || 'unspecified'})`
+    });
+  }
+
+  // Only orders in a plain completed/disputed state move; refund states win
+  const [from, to] = dispute.state === 'WON' ? ['disputed', 'completed'] : ['completed', 'disputed'];
+  db.prepare('UPDATE orders SET status = ? WHERE id = ? AND status = ?').run(to, order.id, from);
+
+  const { status } = db.prepare('SELECT status FROM orders WHERE id = ?').get(order.id);
+  return { matched: true, order_id: order.id, order_status: status };
+};
+
+// Record the latest Square status of a payment, and credit completed payments
+// that never made it into token_purchases (e.g. the process died mid-request)
+const applySquarePayment = (payment) => {
+  db.prepare('UPDATE token_purchases SET payment_status = ? WHERE square_payment_id = ?').run(payment.status, payment.id);
+  db.prepare('UPDATE orders SET payment_status = ? WHERE square_payment_id = ?').run(payment.status, payment.id);
+
+  const intent = payment.reference_id
+    ? db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(payment.reference_id)
+    : null;
+
+  if (!intent) {
+    return { matched: false };
+  }
+
+  if (!intent.square_payment_id) {
+    db.prepare('UPDATE payment_intents SET square_payment_id = ? WHERE id = ?').run(payment.id, intent.id);
+  }
+
+  if (payment.status !== 'COMPLETED') {
+    db.prepare("UPDATE payment_intents SET status = ? WHERE id = ? AND status != 'fulfilled'")
+      .run(payment.status, intent.id);
+    if (intent.merch_order_id && ['FAILED', 'CANCELED'].includes(payment.status)
+      && failMerchOrder(intent.merch_order_id)) {
+      const failedMerchOrder = db.prepare('SELECT * FROM merch_orders WHERE id = ?').get(intent.merch_order_id);
+      return { matched: true, credited: false, failedMerchOrder };
+    }
+    return { matched: true, credited: false };
+  }
+
+  if (intent.merch_order_id) {
+    const { created, merchOrder } = fulfillMerchOrder({ intent, squarePaymentId: payment.id });
+
+    // The order was given up and its stock released before this payment landed
+    if (!created && merchOrder.status === 'failed' && !MERCH_REFUND_STATUSES.includes(intent.status)) {
+      db.prepare("UPDATE payment_intents SET status = 'refunding', square_payment_id = ? WHERE id = ?")
+        .run(payment.id, intent.id);
+      const orphanedPayment = db.prepare('SELECT * FROM payment_intents WHERE id = ?').get(intent.id);
+      return { matched: true, credited: false, orphanedPayment };
+    }
+
+    return { matched: true, credited: created, merchOrder: created ? merchOrder : null };
+  }
+
+  if (intent.gift_card_id) {
+    const { created, giftCard } = fulfillGiftPurchase({ intent, squarePaymentId: payment.id });
+    return { matched: true, credited: created, giftCard: created ? giftCard : null };
+  }
+
+  const { created, tokenPurchase } = fulfillTokenPurchase({ intent, squarePaymentId: payment.id });
+
+  return { matched: true, credited: created, tokenPurchase: created ? tokenPurchase : null };
+};
+
+// Apply one verified notification. Square delivers at least once, so the
+// event_id is recorded in the same transaction to make redelivery a no-op.
+const handleSquareWebhookEvent = db.transaction((notification) => {
+  const seen = db.prepare('SELECT event_id FROM square_webhook_events WHERE event_id = ?').get(notification.event_id);
+  if (seen) {
+    return { duplicate: true };
+  }
+
+  db.prepare('INSERT INTO square_webhook_events (event_id, type, payload) VALUES (?, ?, ?)')
+    .run(notification.event_id, notification.type, JSON.stringify(notification));
+
+  const object = (notification.data && notification.data.object) || {};
+
+  switch (notification.type) {
+    case 'payment.created':
+    case 'payment.updated':
+      return object.payment ? applySquarePayment(object.payment) : { ignored: true };
+    case 'refund.created':
+    case 'refund.updated':
+      return object.refund ? applySquareRefund(object.refund) : { ignored: true };
+    case 'dispute.created':
+    case 'dispute.state.updated':
+      return object.dispute ? applySquareDispute(object.dispute) : { ignored: true };
+    default:
+      return { ignored: true };
+  }
+});
+
+// Give back a payment that completed after its merchandise order had failed.
+// A failed attempt is marked refund_failed and retried by the hold sweep; the
+// idempotency key keeps retries from refunding twice.
+const refundOrphanedPayment = async (intent) => {
+  try {
+    await refundsApi.refundPayment({
+      idempotencyKey: `orphan-${intent.square_payment_id}`,
+      paymentId: intent.square_payment_id,
+      amountMoney: {
+        amount: BigInt(intent.amount_cents),
+        currency: intent.currency
+      },
+      reason: 'Order was cancelled before the payment completed'
     });
+    db.prepare("UPDATE payment_intents SET status = 'refunded' WHERE id = ?").run(intent.id);
+    return true;
   } catch (error) {
-    console.error('Get orders error:', error);
+    console.error(`Refund of orphaned payment ${intent.square_payment_id} failed; it will be retried:`, error);
+    db.prepare("UPDATE payment_intents SET status = 'refund_failed' WHERE id = ?").run(intent.id);
+    return false;
+  }
+};
+
+// Square Webhook Receiver
+app.post('/api/v1/webhooks/square', async (req, res) => {
+  try {
+    const signature = req.get('x-square-hmacsha256-signature');
+    if (!verifySquareWebhookSignature(req.rawBody, signature)) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+
+    const notification = req.body;
+    if (!notification || !notification.event_id || !notification.type) {
+      return res.status(400).json({ message: 'Malformed notification' });
+    }
+
+    const outcome = handleSquareWebhookEvent(notification);
+
+    // Receipt for a payment the purchase request never got to record
+    if (outcome.tokenPurchase) {
+      const user = db.prepare('SELECT email FROM users WHERE id = ?').get(outcome.tokenPurchase.user_id);
+      sendTokenPurchaseReceipt(user.email, outcome.tokenPurchase)
+        .catch(emailError => console.error('Failed to send receipt email:', emailError));
+    }
+
+    if (outcome.giftCard) {
+      deliverGift(outcome.giftCard)
+        .catch(emailError => console.error('Failed to deliver gift:', emailError));
+    }
+
+    if (outcome.merchOrder) {
+      sendMerchReceipt(outcome.merchOrder)
+        .catch(emailError => console.error('Failed to send receipt email:', emailError));
+    }
+
+    if (outcome.failedMerchOrder) {
+      notifyMerchOrderStatus(outcome.failedMerchOrder);
+    }
+
+    if (outcome.orphanedPayment) {
+      refundOrphanedPayment(outcome.orphanedPayment);
+    }
+
+    const { tokenPurchase, giftCard, merchOrder, failedMerchOrder, orphanedPayment, ...summary } = outcome;
+    res.json({ received: true, ...summary });
+  } catch (error) {
+    // A non-2xx response makes Square retry the delivery
+    console.error('Square webhook error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // ================================
-// PLACEHOLDER ENDPOINTS
+// REFUND ENDPOINTS
 // ================================
-// These return mock data - implement as needed
 
-app.get('/api/v1/merchandise', (req, res) => {
-  res.json({ items: [], total: 0 });
+const applySquareRefundAtomically = db.transaction(applySquareRefund);
+
+// Pending and completed refunds both count against what is left to refund
+const getRefundableAmount = (order) => {
+  const { refunded } = db.prepare(`
+    SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+    WHERE order_id = ? AND status NOT IN ('FAILED', 'REJECTED')
+  `).get(order.id);
+  return Math.round((order.amount - refunded) * 100) / 100;
+};
+
+// Give a refund its own receipt number and signature, like any purchase
+const signRefund = (refundId) => {
+  const refund = db.prepare('SELECT * FROM refunds WHERE id = ?').get(refundId);
+  const receiptNumber = generateReceiptNumber();
+
+  const signatureData = {
+    receipt_number: receiptNumber,
+    refund_id: refund.id,
+    order_id: refund.order_id,
+    amount: refund.amount,
+    timestamp: refund.created_at
+  };
+
+  const digitalSignature = generateDigitalSignature(signatureData);
+  db.prepare('UPDATE refunds SET receipt_number = ?, digital_signature = ? WHERE id = ?')
+    .run(receiptNumber, digitalSignature, refund.id);
+
+  return { receiptNumber, digitalSignature, createdAt: refund.created_at };
+};
+
+// Event access is paid in tokens: give them back and revoke the access token
+const refundEventOrder = db.transaction(({ order, reason }) => {
+  const tokens = Math.round(order.amount);
+  const refundId = generateId();
+
+  db.prepare(`
+    INSERT INTO refunds (id, order_id, user_id, amount, status, reason, applied_at)
+    VALUES (?, ?, ?, ?, 'COMPLETED', ?, CURRENT_TIMESTAMP)
+  `).run(refundId, order.id, order.user_id, order.amount, reason || null);
+
+  postLedgerEntry({
+    userId: order.user_id,
+    entryType: LEDGER_ENTRY_TYPES.REFUND,
+    amount: tokens,
+    referenceType: 'refund',
+    referenceId: refundId,
+    receiptNumber: order.receipt_number,
+    note: `Refund of ${order.items}`
+  });
+
+  db.prepare('UPDATE purchases SET revoked_at = CURRENT_TIMESTAMP WHERE receipt_number = ? AND revoked_at IS NULL')
+    .run(order.receipt_number);
+  db.prepare(`
+    UPDATE entitlements SET revoked_at = CURRENT_TIMESTAMP, auto_renew = 0
+    WHERE receipt_number = ? AND revoked_at IS NULL
+  `).run(order.receipt_number);
+
+  // Stop anyone still watching on the refunded access
+  db.prepare(`
+    UPDATE playback_sessions SET ended_at = CURRENT_TIMESTAMP, end_reason = 'revoked'
+    WHERE ended_at IS NULL AND (
+      purchase_id IN (SELECT id FROM purchases WHERE receipt_number = ?)
+      OR entitlement_id IN (SELECT id FROM entitlements WHERE receipt_number = ?)
+    )
+  `).run(order.receipt_number, order.receipt_number);
+
+  return { refund_id: refundId, order_status: updateOrderRefundStatus(order.id), tokens_returned: tokens };
 });
 
-app.get('/api/v1/events/:eventId/photos', (req, res) => {
-  res.json({ photos: [], total: 0 });
+// Merchandise bought with tokens: give them back, and cancel and restock the
+// order if it hasn't shipped
+const refundMerchTokenOrder = db.transaction(({ order, reason }) => {
+  const tokens = Math.round(order.amount);
+  const refundId = generateId();
+
+  db.prepare(`
+    INSERT INTO refunds (id, order_id, user_id, amount, status, reason, applied_at)
+    VALUES (?, ?, ?, ?, 'COMPLETED', ?, CURRENT_TIMESTAMP)
+  `).run(refundId, order.id, order.user_id, order.amount, reason || null);
+
+  postLedgerEntry({
+    userId: order.user_id,
+    entryType: LEDGER_ENTRY_TYPES.REFUND,
+    amount: tokens,
+    referenceType: 'refund',
+    referenceId: refundId,
+    receiptNumber: order.receipt_number,
+    note: `Refund of ${order.items}`
+  });
+
+  const orderStatus = updateOrderRefundStatus(order.id);
+  const cancelled = cancelRefundedMerchOrder(order);
+
+  return { refund_id: refundId, order_status: orderStatus, tokens_returned: tokens, cancelled };
 });
 
-app.get('/api/v1/users/:userId', authenticateToken, (req, res) => {
-  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.userId);
-  if (!user) {
-    return res.status(404).json({ message: 'User not found' });
+// Refund Order (admin)
+app.post('/api/v1/admin/orders/:orderId/refund', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const refundable = getRefundableAmount(order);
+    if (refundable <= 0) {
+      return res.status(409).json({ message: 'Order has already been refunded' });
+    }
+
+    const user = db.prepare('SELECT email FROM users WHERE id = ?').get(order.user_id);
+    let outcome;
+    let refundLines;
+    let refundNote = null;
+    let refundTokens = null;
+
+    if (order.type === 'Event Access' || order.type === 'Access Pass') {
+      if (amount !== undefined && amount !== order.amount) {
+        return res.status(400).json({ message: 'Event access can only be refunded in full' });
+      }
+
+      outcome = refundEventOrder({ order, reason });
+      outcome.status = 'COMPLETED';
+      outcome.amount = order.amount;
+
+      refundLines = [{ label: 'Tokens Returned', value: outcome.tokens_returned }];
+      refundTokens = outcome.tokens_returned;
+      refundNote = order.type === 'Access Pass' ? 'This pass has been cancelled.' : 'Your access to this event has been revoked.';
+    } else if (order.type === 'Merchandise' && !order.square_payment_id) {
+      if (amount !== undefined && amount !== order.amount) {
+        return res.status(400).json({ message: 'Merchandise bought with tokens can only be refunded in full' });
+      }
+
+      outcome = refundMerchTokenOrder({ order, reason });
+      outcome.status = 'COMPLETED';
+      outcome.amount = order.amount;
+
+      refundLines = [{ label: 'Tokens Returned', value: outcome.tokens_returned }];
+      refundTokens = outcome.tokens_returned;
+      if (outcome.cancelled) {
+        refundNote = 'Your order has been cancelled and will not ship.';
+      }
+    } else if (order.type === 'Token Package' || order.type === 'Gift Tokens' || order.type === 'Merchandise') {
+      const refundAmount = amount === undefined ? refundable : amount;
+      if (typeof refundAmount !== 'number' || refundAmount <= 0 || refundAmount > refundable) {
+        return res.status(400).json({ message: `amount must be between 0 and ${refundable.toFixed(2)}` });
+      }
+
+      let refund;
+      try {
+        const refundResponse = await refundsApi.refundPayment({
+          idempotencyKey: generateId(),
+          paymentId: order.square_payment_id,
+          amountMoney: {
+            amount: BigInt(Math.round(refundAmount * 100)),
+            currency: order.currency || DEFAULT_CURRENCY
+          },
+          reason: reason || undefined
+        });
+
+        refund = refundResponse.result.refund;
+      } catch (squareError) {
+        console.error('Square refund error:', squareError);
+
+        if (squareError.errors) {
+          const errorMessages = squareError.errors.map(e => e.detail || e.code).join(', ');
+          return res.status(400).json({
+            message: `Refund failed: ${errorMessages}`,
+            code: 'SQUARE_REFUND_ERROR'
+          });
+        }
+
+        return res.status(500).json({
+          message: 'Refund processing failed. Please try again.',
+          code: 'REFUND_ERROR'
+        });
+      }
+
+      // PENDING refunds reverse their tokens when the refund.updated webhook completes them
+      outcome = applySquareRefundAtomically({
+        id: refund.id,
+        payment_id: refund.paymentId,
+        status: refund.status,
+        amount_money: { amount: refund.amountMoney.amount },
+        reason
+      });
+      outcome.status = refund.status;
+      outcome.amount = refundAmount;
+
+      refundLines = [{ label: 'Amount Refunded', value: formatMoney(refundAmount, order.currency || DEFAULT_CURRENCY) }];
+      if (order.type === 'Gift Tokens') {
+        refundNote = 'If the gift had not been claimed yet, its code no longer works.';
+      } else if (order.type === 'Merchandise') {
+        if (refundAmount === refundable) {
+          refundNote = 'If your order had not shipped yet, it has been cancelled.';
+        }
+      } else {
+        refundNote = `Unspent tokens from this package ${refund.status === 'COMPLETED'
+          ? `have been removed (${outcome.tokens_reversed} tokens).`
+          : 'will be removed once the refund completes.'}`;
+      }
+    } else {
+      return res.status(400).json({ message: `Orders of type "${order.type}" cannot be refunded` });
+    }
+
+    const { receiptNumber, digitalSignature, createdAt } = signRefund(outcome.refund_id);
+
+    // ================================
+    // SEND REFUND RECEIPT EMAIL
+    // ================================
+    try {
+      await sendReceiptEmail({
+        userId: order.user_id,
+        email: user.email,
+        receiptNumber,
+        items: [{
+          title: `Refund: ${order.items}`,
+          lines: [...refundLines, { label: 'Original Receipt', value: order.receipt_number }]
+        }],
+        notes: refundNote ? [refundNote] : [],
+        totalAmount: outcome.amount,
+        totalTokens: refundTokens,
+        purchaseDate: createdAt,
+        signature: digitalSignature,
+        currency: order.currency || DEFAULT_CURRENCY,
+        heading: 'Your refund has been processed',
+        subject: `Refund Receipt ${receiptNumber} - FightPass`
+      });
+    } catch (emailError) {
+      console.error('Failed to send refund email:', emailError);
+      // The refund already went through; don't fail the request
+    }
+
+    dispatchNotification({
+      userId: order.user_id,
+      topic: 'order_updates',
+      push: {
+        title: 'Refund processed',
+        body: `Your refund for ${order.items} ${outcome.status === 'COMPLETED' ? 'has been processed' : 'is on its way'}.`,
+        data: { order_id: order.id, refund_id: outcome.refund_id, type: 'refund' },
+        collapse_id: `refund-${outcome.refund_id}`
+      }
+    }).catch(error => console.error('Refund notification error:', error));
+
+    res.json({
+      success: true,
+      refund_id: outcome.refund_id,
+      status: outcome.status,
+      amount: outcome.amount,
+      tokens_reversed: outcome.tokens_reversed || 0,
+      tokens_returned: outcome.tokens_returned || 0,
+      order_status: outcome.order_status,
+      receipt_number: receiptNumber,
+      digital_signature: digitalSignature
+    });
+  } catch (error) {
+    console.error('Refund order error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  res.json({
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    token_balance: user.token_balance,
-    created_at: user.created_at,
-    notification_preferences: {
-      live_events: true,
-      upcoming_events: true,
-      merchandise: false,
-      photos: true,
-      token_deals: false,
-      order_updates: true,
-      email: true,
-      push: true
+});
+
+// ================================
+// SESSION ENDPOINTS
+// ================================
+
+// Get User Sessions
+app.get('/api/v1/users/:userId/sessions', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const sessions = db.prepare(`
+      SELECT * FROM sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND datetime(expires_at) > datetime('now')
+      ORDER BY last_seen_at DESC
+    `).all(req.params.userId);
+
+    res.json({
+      sessions: sessions.map(s => ({
+        id: s.id,
+        device_name: s.device_name,
+        user_agent: s.user_agent,
+        ip_address: s.ip_address,
+        created_at: s.created_at,
+        last_seen_at: s.last_seen_at,
+        current: s.id === req.user.sessionId
+      })),
+      total: sessions.length
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke Session
+app.delete('/api/v1/users/:userId/sessions/:sessionId', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const { changes } = db.prepare(`
+      UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+    `).run(req.params.sessionId, req.params.userId);
+
+    if (changes === 0) {
+      return res.status(404).json({ message: 'Session not found' });
     }
-  });
+
+    res.json({ success: true, revoked: 1 });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke All Sessions
+app.delete('/api/v1/users/:userId/sessions', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    // Also bump token_version so access tokens from before sessions existed stop working
+    const revoked = db.transaction(() => {
+      db.prepare('UPDATE users SET token_version = token_version + 1 WHERE id = ?').run(req.params.userId);
+      return revokeAllSessions(req.params.userId);
+    })();
+
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// ORDER ENDPOINTS
+// ================================
+
+// Get User Orders
+app.get('/api/v1/users/:userId/orders', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const orders = db.prepare(`
+      SELECT o.*, (
+        SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+        WHERE r.order_id = o.id AND r.status = 'COMPLETED'
+      ) AS refunded_amount,
+      mo.id AS merch_order_id, mo.status AS fulfillment_status, mo.carrier, mo.tracking_number
+      FROM orders o
+      LEFT JOIN merch_orders mo ON mo.order_id = o.id
+      WHERE o.user_id = ? ORDER BY o.created_at DESC
+    `).all(req.params.userId);
+
+    res.json({
+      orders: orders.map(o => ({
+        id: o.id,
+        type: o.type,
+        items: o.items,
+        date: o.created_at,
+        // Only card payments carry money; everything else was paid in tokens
+        amount: o.square_payment_id ? formatMoney(o.amount, o.currency) : `${o.amount} tokens`,
+        payment_method: o.square_payment_id ? 'square' : 'tokens',
+        status: o.status,
+        refunded_amount: o.refunded_amount,
+        receipt_url: absoluteReceiptUrl(req, o.receipt_url),
+        // Merchandise only: where the parcel is
+        ...(o.merch_order_id && {
+          merch_order_id: o.merch_order_id,
+          fulfillment_status: o.fulfillment_status,
+          carrier: o.carrier,
+          tracking_number: o.tracking_number
+        })
+      })),
+      total: orders.length
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ================================
+// USER PROFILE
+// ================================
+app.get('/api/v1/users/:userId', authenticateToken, authorizeUser, (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      token_balance: user.token_balance,
+      created_at: user.created_at,
+      notification_preferences: getNotificationPreferences(user.id)
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 // ================================
@@ -972,6 +9880,7 @@ app.get('/api/v1/users/:userId', authenticateToken, (req, res) => {
 app.get('/api/v1/receipts/:receiptNumber', authenticateToken, (req, res) => {
   try {
     const { receiptNumber } = req.params;
+    const receiptUrl = receiptUrlFor(req, receiptNumber);
     
     // Check token purchases
     const tokenPurchase = db.prepare(`
@@ -981,7 +9890,20 @@ app.get('/api/v1/receipts/:receiptNumber', authenticateToken, (req, res) => {
       WHERE tp.receipt_number = ?
     `).get(receiptNumber);
     
+    // Receipts carry PII and access tokens; only the owner or an admin may read
+    // them, and anyone else gets the same 404 as for a missing receipt so
+    // receipt numbers can't be probed
+    const canRead = (ownerId) => ownerId === req.user.userId || isAdmin(req.user.userId);
+    const notFound = () => res.status(404).json({
+      message: 'Receipt not found',
+      receipt_number: receiptNumber
+    });
+
     if (tokenPurchase) {
+      if (!canRead(tokenPurchase.user_id)) {
+        return notFound();
+      }
+
       // Verify signature
       const signatureData = {
         receipt_number: tokenPurchase.receipt_number,
@@ -1006,10 +9928,12 @@ app.get('/api/v1/receipts/:receiptNumber', authenticateToken, (req, res) => {
         bonus_tokens: tokenPurchase.bonus_tokens,
         total_tokens: tokenPurchase.tokens_added + tokenPurchase.bonus_tokens,
         amount_paid: tokenPurchase.amount_paid,
+        currency: tokenPurchase.currency || DEFAULT_CURRENCY,
         square_payment_id: tokenPurchase.square_payment_id,
         digital_signature: tokenPurchase.digital_signature,
         signature_valid: isValid,
-        verified: isValid
+        verified: isValid,
+        receipt_url: receiptUrl
       });
     }
     
@@ -1023,6 +9947,10 @@ app.get('/api/v1/receipts/:receiptNumber', authenticateToken, (req, res) => {
     `).get(receiptNumber);
     
     if (eventPurchase) {
+      if (!canRead(eventPurchase.user_id)) {
+        return notFound();
+      }
+
       // Verify signature
       const signatureData = {
         receipt_number: eventPurchase.receipt_number,
@@ -1050,14 +9978,224 @@ app.get('/api/v1/receipts/:receiptNumber', authenticateToken, (req, res) => {
         expires_at: eventPurchase.expires_at,
         digital_signature: eventPurchase.digital_signature,
         signature_valid: isValid,
-        verified: isValid
+        verified: isValid,
+        receipt_url: receiptUrl
       });
     }
     
-    return res.status(404).json({ 
-      message: 'Receipt not found',
-      receipt_number: receiptNumber
-    });
+    // Check bundles, passes and subscriptions
+    const entitlement = db.prepare(`
+      SELECT en.*, u.email, u.name, ap.name AS product_name, ap.kind
+      FROM entitlements en
+      JOIN users u ON en.user_id = u.id
+      JOIN access_products ap ON ap.id = en.product_id
+      WHERE en.receipt_number = ?
+    `).get(receiptNumber);
+
+    if (entitlement) {
+      if (!canRead(entitlement.user_id)) {
+        return notFound();
+      }
+
+      const signatureData = {
+        receipt_number: entitlement.receipt_number,
+        entitlement_id: entitlement.id,
+        user_id: entitlement.user_id,
+        product_id: entitlement.product_id,
+        tokens_spent: entitlement.amount_paid,
+        starts_at: entitlement.starts_at,
+        expires_at: entitlement.expires_at,
+        timestamp: entitlement.created_at
+      };
+
+      const isValid = verifyDigitalSignature(signatureData, entitlement.digital_signature);
+
+      return res.json({
+        type: 'access_pass',
+        receipt_number: entitlement.receipt_number,
+        purchase_date: entitlement.created_at,
+        customer_email: entitlement.email,
+        customer_name: entitlement.name,
+        product_name: entitlement.product_name,
+        product_kind: entitlement.kind,
+        tokens_spent: entitlement.amount_paid,
+        starts_at: entitlement.starts_at,
+        expires_at: entitlement.expires_at,
+        digital_signature: entitlement.digital_signature,
+        signature_valid: isValid,
+        verified: isValid,
+        receipt_url: receiptUrl
+      });
+    }
+
+    // Check code redemptions and gift purchases
+    const grantOrder = db.prepare(`
+      SELECT o.*, u.email, u.name
+      FROM orders o
+      JOIN users u ON o.user_id = u.id
+      WHERE o.receipt_number = ? AND o.type IN ('Promo Code', 'Gift Redemption', 'Gift Tokens')
+    `).get(receiptNumber);
+
+    if (grantOrder) {
+      if (!canRead(grantOrder.user_id)) {
+        return notFound();
+      }
+
+      let signatureData;
+      let details;
+
+      if (grantOrder.type === 'Gift Tokens') {
+        const giftCard = db.prepare('SELECT * FROM gift_cards WHERE order_id = ?').get(grantOrder.id);
+        signatureData = {
+          receipt_number: grantOrder.receipt_number,
+          order_id: grantOrder.id,
+          user_id: grantOrder.user_id,
+          gift_card_id: giftCard.id,
+          package_id: giftCard.package_id,
+          tokens: giftCard.tokens,
+          amount: grantOrder.amount,
+          square_payment_id: grantOrder.square_payment_id,
+          timestamp: grantOrder.created_at
+        };
+        details = {
+          type: 'gift_purchase',
+          recipient_email: giftCard.recipient_email,
+          total_tokens: giftCard.tokens,
+          amount_paid: grantOrder.amount,
+          currency: grantOrder.currency || DEFAULT_CURRENCY,
+          square_payment_id: grantOrder.square_payment_id
+        };
+      } else {
+        const redemption = db.prepare('SELECT * FROM promo_redemptions WHERE order_id = ?').get(grantOrder.id);
+        signatureData = {
+          receipt_number: grantOrder.receipt_number,
+          order_id: grantOrder.id,
+          user_id: grantOrder.user_id,
+          promo_code_id: redemption.promo_code_id,
+          tokens: redemption.tokens_granted,
+          timestamp: grantOrder.created_at
+        };
+        details = {
+          type: grantOrder.type === 'Gift Redemption' ? 'gift_redemption' : 'promo_redemption',
+          total_tokens: redemption.tokens_granted
+        };
+      }
+
+      const isValid = verifyDigitalSignature(signatureData, grantOrder.digital_signature);
+
+      return res.json({
+        ...details,
+        receipt_number: grantOrder.receipt_number,
+        purchase_date: grantOrder.created_at,
+        customer_email: grantOrder.email,
+        customer_name: grantOrder.name,
+        description: grantOrder.items,
+        digital_signature: grantOrder.digital_signature,
+        signature_valid: isValid,
+        verified: isValid,
+        receipt_url: receiptUrl
+      });
+    }
+
+    // Check merchandise orders
+    const merchOrder = db.prepare(`
+      SELECT o.*, mo.id AS merch_order_id, mo.payment_method, mo.total_tokens, mo.status AS fulfillment_status,
+        u.email, u.name
+      FROM orders o
+      JOIN merch_orders mo ON mo.order_id = o.id
+      JOIN users u ON o.user_id = u.id
+      WHERE o.receipt_number = ?
+    `).get(receiptNumber);
+
+    if (merchOrder) {
+      if (!canRead(merchOrder.user_id)) {
+        return notFound();
+      }
+
+      const signatureData = {
+        receipt_number: merchOrder.receipt_number,
+        order_id: merchOrder.id,
+        user_id: merchOrder.user_id,
+        merch_order_id: merchOrder.merch_order_id,
+        items: merchOrder.items,
+        amount: merchOrder.amount,
+        square_payment_id: merchOrder.square_payment_id,
+        timestamp: merchOrder.created_at
+      };
+
+      const isValid = verifyDigitalSignature(signatureData, merchOrder.digital_signature);
+      const paidWithTokens = merchOrder.payment_method === 'tokens';
+
+      return res.json({
+        type: 'merchandise',
+        receipt_number: merchOrder.receipt_number,
+        purchase_date: merchOrder.created_at,
+        customer_email: merchOrder.email,
+        customer_name: merchOrder.name,
+        description: merchOrder.items,
+        payment_method: merchOrder.payment_method,
+        amount_paid: paidWithTokens ? null : merchOrder.amount,
+        currency: paidWithTokens ? null : merchOrder.currency,
+        tokens_spent: paidWithTokens ? merchOrder.total_tokens : null,
+        square_payment_id: merchOrder.square_payment_id,
+        fulfillment_status: merchOrder.fulfillment_status,
+        digital_signature: merchOrder.digital_signature,
+        signature_valid: isValid,
+        verified: isValid,
+        receipt_url: receiptUrl
+      });
+    }
+
+    // Check refunds
+    const refund = db.prepare(`
+      SELECT r.*, o.receipt_number AS original_receipt_number, o.items, o.currency,
+        o.square_payment_id AS order_payment_id, u.email, u.name
+      FROM refunds r
+      JOIN orders o ON r.order_id = o.id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.receipt_number = ?
+    `).get(receiptNumber);
+
+    if (refund) {
+      if (!canRead(refund.user_id)) {
+        return notFound();
+      }
+
+      const signatureData = {
+        receipt_number: refund.receipt_number,
+        refund_id: refund.id,
+        order_id: refund.order_id,
+        amount: refund.amount,
+        timestamp: refund.created_at
+      };
+
+      const isValid = verifyDigitalSignature(signatureData, refund.digital_signature);
+      // Orders paid in tokens are refunded in tokens
+      const paidWithTokens = !refund.order_payment_id;
+
+      return res.json({
+        type: 'refund',
+        receipt_number: refund.receipt_number,
+        refund_date: refund.created_at,
+        customer_email: refund.email,
+        customer_name: refund.name,
+        order_id: refund.order_id,
+        original_receipt_number: refund.original_receipt_number,
+        description: refund.items,
+        amount_refunded: paidWithTokens ? null : refund.amount,
+        currency: paidWithTokens ? null : refund.currency,
+        tokens_returned: paidWithTokens ? Math.round(refund.amount) : null,
+        tokens_reversed: refund.tokens_reversed,
+        status: refund.status,
+        reason: refund.reason,
+        digital_signature: refund.digital_signature,
+        signature_valid: isValid,
+        verified: isValid,
+        receipt_url: receiptUrl
+      });
+    }
+
+    return notFound();
     
   } catch (error) {
     console.error('Receipt verification error:', error);
@@ -1065,6 +10203,720 @@ app.get('/api/v1/receipts/:receiptNumber', authenticateToken, (req, res) => {
   }
 });
 
+const receiptResendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // resends per user per receipt
+  keyGenerator: (req) => `${req.user.userId}:${req.params.receiptNumber}`,
+  message: { message: 'This receipt was resent recently. Please check your inbox.' }
+});
+
+// Receipt email contents rebuilt from the order or refund carrying the receipt
+// number, for receipts that never had an email queued. Returns null if there
+// is no such receipt.
+const receiptFromRecord = (receiptNumber) => {
+  const refund = db.prepare(`
+    SELECT r.*, o.receipt_number AS original_receipt_number, o.items, o.currency,
+      o.square_payment_id AS order_payment_id
+    FROM refunds r
+    JOIN orders o ON r.order_id = o.id
+    WHERE r.receipt_number = ?
+  `).get(receiptNumber);
+
+  if (refund) {
+    // Orders paid in tokens are refunded in tokens
+    const paidWithTokens = !refund.order_payment_id;
+    return {
+      userId: refund.user_id,
+      receiptNumber,
+      items: [{
+        title: `Refund: ${refund.items}`,
+        lines: [{ label: 'Original Receipt', value: refund.original_receipt_number }]
+      }],
+      totalAmount: paidWithTokens ? undefined : refund.amount,
+      totalTokens: paidWithTokens ? Math.round(refund.amount) : undefined,
+      purchaseDate: refund.created_at,
+      signature: refund.digital_signature,
+      currency: refund.currency || DEFAULT_CURRENCY,
+      heading: 'Your refund has been processed',
+      subject: `Refund Receipt ${receiptNumber} - FightPass`
+    };
+  }
+
+  // Every purchase has an order carrying its receipt
+  const order = db.prepare('SELECT * FROM orders WHERE receipt_number = ?').get(receiptNumber);
+  if (!order) {
+    return null;
+  }
+
+  const paidWithTokens = !order.square_payment_id;
+  return {
+    userId: order.user_id,
+    receiptNumber,
+    items: [{ title: order.items, subtitle: order.type }],
+    totalAmount: paidWithTokens ? undefined : order.amount,
+    totalTokens: paidWithTokens ? Math.round(order.amount) : undefined,
+    purchaseDate: order.created_at,
+    signature: order.digital_signature,
+    currency: order.currency || DEFAULT_CURRENCY
+  };
+};
+
+// Resend a Receipt Email
+// Queues a copy of the last email sent for the receipt to the owner's current
+// address, or rebuilds it from the receipt if none was ever queued. Asking for
+// it outranks an order_updates opt-out.
+app.post('/api/v1/receipts/:receiptNumber/resend', authenticateToken, receiptResendLimiter, async (req, res) => {
+  try {
+    const { receiptNumber } = req.params;
+
+    const original = db.prepare(`
+      SELECT * FROM email_outbox WHERE receipt_number = ? ORDER BY rowid DESC LIMIT 1
+    `).get(receiptNumber);
+    const rebuilt = original ? null : receiptFromRecord(receiptNumber);
+    const ownerId = original ? original.user_id : rebuilt && rebuilt.userId;
+
+    // Someone else's receipt looks the same as a missing one, so receipt
+    // numbers can't be probed
+    if ((!original && !rebuilt) || (ownerId !== req.user.userId && !isAdmin(req.user.userId))) {
+      return res.status(404).json({ message: 'Receipt not found', receipt_number: receiptNumber });
+    }
+
+    const owner = ownerId && db.prepare('SELECT email FROM users WHERE id = ?').get(ownerId);
+    const to = owner ? owner.email : original.to_address;
+
+    if (original) {
+      await dispatchNotification({
+        userId: original.user_id,
+        topic: null,
+        email: {
+          to,
+          template: original.template,
+          receipt_number: receiptNumber,
+          subject: original.subject,
+          html: original.html,
+          text: original.text
+        }
+      });
+    } else {
+      await sendReceiptEmail({ ...rebuilt, email: to, topic: null });
+    }
+
+    res.status(202).json({ message: 'Receipt email queued', receipt_number: receiptNumber, to });
+  } catch (error) {
+    console.error('Resend receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a Receipt PDF
+app.get('/api/v1/receipts/:receiptNumber/pdf', authenticateToken, async (req, res) => {
+  try {
+    const { receiptNumber } = req.params;
+    // Someone else's receipt looks the same as a missing one
+    const receipt = db.prepare('SELECT user_id, storage_key FROM receipt_pdfs WHERE receipt_number = ?').get(receiptNumber);
+    if (!receipt || (receipt.user_id !== req.user.userId && !isAdmin(req.user.userId))) {
+      return res.status(404).json({ message: 'Receipt PDF not found', receipt_number: receiptNumber });
+    }
+
+    const pdf = await photoStorage.get(receipt.storage_key);
+    if (!pdf) {
+      console.error(`Receipt PDF ${receipt.storage_key} is missing from storage`);
+      return res.status(404).json({ message: 'Receipt PDF not found', receipt_number: receiptNumber });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.set('Content-Disposition', `inline; filename="FightPass-Receipt-${receiptNumber}.pdf"`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    console.error('Receipt PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const formatReceiptStatus = (status) => {
+  const words = String(status).toLowerCase().replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Public Receipt Verification Page
+// Anyone holding a receipt number and its signature (printed on the receipt and
+// in its QR code) can check them; the page never shows who bought what.
+app.get('/receipts/verify', limiter, (req, res) => {
+  try {
+    const receiptNumber = String(req.query.number || '').trim().slice(0, 64);
+    const signature = String(req.query.signature || '').trim().toLowerCase().slice(0, 128);
+
+    let result = null;
+    if (receiptNumber && signature) {
+      // Every purchase has an order carrying its receipt; refunds carry their own
+      const receipt = db.prepare(`
+        SELECT type, status, digital_signature, created_at FROM orders WHERE receipt_number = ?
+        UNION ALL
+        SELECT 'Refund', status, digital_signature, created_at FROM refunds WHERE receipt_number = ?
+      `).get(receiptNumber, receiptNumber);
+
+      const expected = Buffer.from((receipt && receipt.digital_signature) || '', 'hex');
+      const received = Buffer.from(/^[0-9a-f]+$/.test(signature) ? signature : '', 'hex');
+      const valid = expected.length > 0 && expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+      result = valid
+        ? {
+          valid,
+          type: receipt.type,
+          issuedAt: String(receipt.created_at).slice(0, 10),
+          status: receipt.status && formatReceiptStatus(receipt.status)
+        }
+        : { valid };
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(receiptVerificationPage({ receiptNumber, signature, result }));
+  } catch (error) {
+    console.error('Receipt verification page error:', error);
+    res.status(500).type('text').send('Server error');
+  }
+});
+
+// ================================
+// SCHEDULED JOBS
+// ================================
+// Time-based work runs from a persisted job table polled in-process. Each job
+// has a dedupe key, so re-queuing everything on startup adds nothing new, and
+// handlers re-check the current state before acting, so a job interrupted by a
+// restart can safely run again. Recurring jobs queue their next run when they
+// finish.
+
+const JOB_POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS) || 15;
+const JOB_BATCH_SIZE = 50;
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_RETENTION_DAYS = 30;
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const EVENT_REMINDER_LEAD_MINUTES = parseInt(process.env.EVENT_REMINDER_LEAD_MINUTES) || 60;
+// An event whose start passed while the server was down this long stays offline
+const AUTO_GO_LIVE_GRACE_MINUTES = 30;
+const ACCESS_EXPIRY_NOTICE_HOURS = 24;
+const STALE_SESSION_RETENTION_DAYS = 7;
+// Live feed history is only replayed to reconnecting viewers of a running event
+const LIVE_FEED_RETENTION_DAYS = 7;
+
+const EVENT_JOB_TYPES = ['event_reminder', 'event_go_live', 'event_end'];
+
+// Queue a job unless one with the same dedupe key exists. A cancelled job is
+// revived, so moving an event back to its original time schedules it again.
+const scheduleJob = (type, runAt, payload, dedupeKey) => {
+  return db.prepare(`
+    INSERT INTO scheduled_jobs (id, type, dedupe_key, payload, run_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(dedupe_key) DO UPDATE SET
+      status = 'pending', run_at = excluded.run_at, attempts = 0, last_error = NULL, result = NULL,
+      finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE scheduled_jobs.status = 'cancelled'
+  `).run(generateId(), type, dedupeKey, JSON.stringify(payload || {}), new Date(runAt).toISOString()).changes > 0;
+};
+
+// Reminder, go-live and end jobs for an event's current schedule. Pending jobs
+// for an old start or end time are cancelled. Call after any change to the
+// event's times or live state.
+const scheduleEventJobs = db.transaction((event) => {
+  const now = Date.now();
+  const wanted = [];
+
+  if (!event.is_live && event.start_time && !hasEnded(event)) {
+    const start = new Date(event.start_time).getTime();
+    if (start > now) {
+      wanted.push(['event_reminder', Math.max(start - EVENT_REMINDER_LEAD_MINUTES * 60000, now), event.start_time]);
+    }
+    if (start + AUTO_GO_LIVE_GRACE_MINUTES * 60000 > now) {
+      wanted.push(['event_go_live', start, event.start_time]);
+    }
+  }
+
+  if (event.end_time && (event.is_live || new Date(event.end_time).getTime() > now)) {
+    wanted.push(['event_end', new Date(event.end_time).getTime(), event.end_time]);
+  }
+
+  const keys = wanted.map(([type, , at]) => `${type}:${event.id}:${at}`);
+  db.prepare(`
+    SELECT id, dedupe_key FROM scheduled_jobs
+    WHERE status = 'pending' AND type IN (${EVENT_JOB_TYPES.map(() => '?').join(', ')})
+      AND json_extract(payload, '$.event_id') = ?
+  `).all(...EVENT_JOB_TYPES, event.id)
+    .filter(job => !keys.includes(job.dedupe_key))
+    .forEach(job => {
+      db.prepare(`
+        UPDATE scheduled_jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(job.id);
+    });
+
+  wanted.forEach(([type, runAt, at], i) => {
+    const timeField = type === 'event_end' ? 'end_time' : 'start_time';
+    scheduleJob(type, runAt, { event_id: event.id, [timeField]: at }, keys[i]);
+  });
+});
+
+const cancelEventJobs = (eventId) => {
+  db.prepare(`
+    UPDATE scheduled_jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'pending' AND json_extract(payload, '$.event_id') = ?
+  `).run(eventId);
+};
+
+// Event reminder: followers and everyone who can watch it, once per start time
+const runEventReminder = async ({ event_id: eventId, start_time: startTime }) => {
+  const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+  if (!event || event.start_time !== startTime) {
+    return 'stale';
+  }
+  if (event.is_live || hasEnded(event)) {
+    return 'already started';
+  }
+
+  const userIds = new Set([
+    ...db.prepare('SELECT user_id FROM event_follows WHERE event_id = ?').all(event.id).map(row => row.user_id),
+    ...findLiveAudience(event.id)
+  ]);
+
+  const minutes = Math.max(1, Math.round((new Date(event.start_time) - Date.now()) / 60000));
+  const startsIn = `Starts in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  let sent = 0;
+
+  for (const userId of userIds) {
+    // Recorded before sending: a retry skips anyone already reminded
+    const { changes } = db.prepare('INSERT OR IGNORE INTO event_reminders (event_id, user_id, start_time) VALUES (?, ?, ?)')
+      .run(event.id, userId, event.start_time);
+    const user = changes > 0 && db.prepare('SELECT email, name FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      continue;
+    }
+
+    try {
+      await dispatchNotification({
+        userId,
+        topic: 'upcoming_events',
+        email: {
+          to: user.email,
+          template: 'event_reminder',
+          ...emailTemplates.eventReminder({
+            name: user.name,
+            eventTitle: event.title,
+            startsAt: new Date(event.start_time).toUTCString(),
+            startsIn
+          })
+        },
+        push: {
+          title: event.title,
+          body: startsIn,
+          data: { event_id: event.id, type: 'event_reminder' },
+          collapse_id: `reminder-${event.id}`
+        }
+      });
+      sent += 1;
+    } catch (error) {
+      console.error(`Event reminder to ${userId} failed:`, error.message);
+    }
+  }
+
+  return `reminded ${sent}`;
+};
+
+const runEventGoLive = async ({ event_id: eventId, start_time: startTime }) => {
+  const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+  if (!event || event.start_time !== startTime) {
+    return 'stale';
+  }
+  if (event.is_live || hasEnded(event)) {
+    return 'already started';
+  }
+  if (Date.now() > new Date(event.start_time).getTime() + AUTO_GO_LIVE_GRACE_MINUTES * 60000) {
+    return 'start window missed';
+  }
+  if (!getStreamProvider(event).source(event)) {
+    console.warn(`Event ${event.id} reached its start time without a stream URL; not going live`);
+    return 'no stream URL';
+  }
+
+  db.prepare('UPDATE events SET is_live = 1 WHERE id = ? AND is_live = 0').run(event.id);
+  const updated = db.prepare('SELECT * FROM events WHERE id = ?').get(event.id);
+  publishLiveFeed(event.id, 'event_live', { event_id: event.id, start_time: updated.start_time });
+  notifyEventLive(updated);
+  return 'live';
+};
+
+const runEventEnd = async ({ event_id: eventId, end_time: endTime }) => {
+  const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+  if (!event || event.end_time !== endTime) {
+    return 'stale';
+  }
+  if (!event.is_live) {
+    return 'not live';
+  }
+
+  db.prepare('UPDATE events SET is_live = 0 WHERE id = ?').run(event.id);
+  publishLiveFeed(event.id, 'event_ended', { event_id: event.id, end_time: event.end_time });
+  return 'ended';
+};
+
+// A renewed subscription period hands over to the next one without a gap
+const NOT_RENEWED = 'NOT EXISTS (SELECT 1 FROM entitlements r WHERE r.renewed_from = en.id)';
+
+// A purchase's access window only runs out after its event (alias `e`) has ended
+const PURCHASE_EVENT_ENDED = "e.is_live = 0 AND e.end_time IS NOT NULL AND datetime(e.end_time) <= datetime('now')";
+
+// When a purchase (alias `p`) stops being watchable, worked out like
+// accessStatus: the event's end, plus the replay window when the purchase
+// includes it. purchases.expires_at is signed on the receipt, so it is never
+// rewritten and never read for access.
+const PURCHASE_ACCESS_ENDS = `(CASE
+  WHEN p.access_kind = 'replay' OR COALESCE(e.access_policy, '') != 'live_only'
+    THEN datetime(e.end_time, '+' || COALESCE(e.replay_days, ${DEFAULT_REPLAY_DAYS}) || ' days')
+  ELSE datetime(e.end_time)
+END)`;
+
+// Earlier builds wrote the access window into expires_at once an event ended,
+// which broke the receipt signature. Put back the null that was signed.
+const restoreSignedPurchaseExpiry = db.transaction(() => {
+  const stamped = db.prepare(`
+    SELECT p.* FROM purchases p
+    JOIN events e ON e.id = p.event_id
+    WHERE p.expires_at IS NOT NULL AND p.digital_signature IS NOT NULL AND ${PURCHASE_EVENT_ENDED}
+      AND datetime(p.expires_at) = ${PURCHASE_ACCESS_ENDS}
+  `).all();
+
+  const restored = stamped.filter(p => verifyDigitalSignature({
+    receipt_number: p.receipt_number,
+    purchase_id: p.id,
+    user_id: p.user_id,
+    event_id: p.event_id,
+    access_token: p.access_token,
+    tokens_spent: p.amount_paid,
+    expires_at: null,
+    timestamp: p.purchase_date
+  }, p.digital_signature));
+
+  restored.forEach(p => db.prepare('UPDATE purchases SET expires_at = NULL WHERE id = ?').run(p.id));
+  return restored.length;
+});
+
+const restoredPurchases = restoreSignedPurchaseExpiry();
+if (restoredPurchases > 0) {
+  console.log(`Receipts: restored the signed expiry of ${restoredPurchases} purchases`);
+}
+
+// Grants whose access ran out: close their playback sessions, and warn holders
+// of passes that won't renew and replays that are about to expire
+const runAccessExpiry = async () => {
+  const closed = db.prepare(`
+    UPDATE playback_sessions SET ended_at = CURRENT_TIMESTAMP, end_reason = 'expired'
+    WHERE ended_at IS NULL AND (
+      purchase_id IN (
+        SELECT p.id FROM purchases p JOIN events e ON e.id = p.event_id
+        WHERE ${PURCHASE_EVENT_ENDED} AND ${PURCHASE_ACCESS_ENDS} <= datetime('now')
+      )
+      OR entitlement_id IN (
+        SELECT en.id FROM entitlements en WHERE datetime(en.expires_at) <= datetime('now') AND ${NOT_RENEWED}
+      )
+    )
+  `).run().changes;
+
+  const window = `+${ACCESS_EXPIRY_NOTICE_HOURS} hours`;
+  const notices = [
+    ...db.prepare(`
+      SELECT 'entitlements' AS source, en.id, en.user_id, en.expires_at, ap.name
+      FROM entitlements en
+      JOIN access_products ap ON ap.id = en.product_id
+      WHERE en.revoked_at IS NULL AND en.auto_renew = 0 AND en.expiry_notice_sent_at IS NULL AND ${NOT_RENEWED}
+        AND datetime(en.expires_at) > datetime('now') AND datetime(en.expires_at) <= datetime('now', ?)
+    `).all(window),
+    ...db.prepare(`
+      SELECT 'purchases' AS source, p.id, p.user_id, e.title || ' (Replay)' AS name,
+        strftime('%Y-%m-%dT%H:%M:%SZ', ${PURCHASE_ACCESS_ENDS}) AS expires_at
+      FROM purchases p
+      JOIN events e ON e.id = p.event_id
+      WHERE p.revoked_at IS NULL AND p.expiry_notice_sent_at IS NULL AND ${PURCHASE_EVENT_ENDED}
+        AND ${PURCHASE_ACCESS_ENDS} > datetime('now') AND ${PURCHASE_ACCESS_ENDS} <= datetime('now', ?)
+    `).all(window)
+  ];
+
+  let sent = 0;
+  for (const notice of notices) {
+    const { changes } = db.prepare(`
+      UPDATE ${notice.source} SET expiry_notice_sent_at = CURRENT_TIMESTAMP WHERE id = ? AND expiry_notice_sent_at IS NULL
+    `).run(notice.id);
+    const user = changes > 0 && db.prepare('SELECT email, name FROM users WHERE id = ?').get(notice.user_id);
+    if (!user) {
+      continue;
+    }
+
+    const expires = new Date(notice.expires_at).toUTCString();
+    try {
+      await dispatchNotification({
+        userId: notice.user_id,
+        topic: 'order_updates',
+        email: {
+          to: user.email,
+          template: 'access_expiring',
+          ...emailTemplates.accessExpiring({ name: user.name, productName: notice.name, expires })
+        },
+        push: {
+          title: 'Access ending soon',
+          body: `${notice.name} is available until ${expires}.`,
+          data: { type: 'access_expiring', [notice.source === 'purchases' ? 'purchase_id' : 'entitlement_id']: notice.id },
+          collapse_id: `expiry-${notice.id}`
+        }
+      });
+      sent += 1;
+    } catch (error) {
+      console.error(`Access expiry notice for ${notice.id} failed:`, error.message);
+    }
+  }
+
+  return `closed ${closed} session(s), sent ${sent} notice(s)`;
+};
+
+// Expired or revoked sign-ins are kept a week so refresh-token reuse is still
+// detected, then dropped with used reset links, old job rows and the live feed
+// history of events that ended a week ago
+const runCleanup = async () => {
+  const sessions = db.prepare(`
+    DELETE FROM sessions
+    WHERE datetime(COALESCE(revoked_at, expires_at)) <= datetime('now', ?)
+  `).run(`-${STALE_SESSION_RETENTION_DAYS} days`).changes;
+
+  const resetTokens = db.prepare(`
+    DELETE FROM password_reset_tokens
+    WHERE used_at IS NOT NULL OR datetime(expires_at) <= datetime('now')
+  `).run().changes;
+
+  const jobs = db.prepare(`
+    DELETE FROM scheduled_jobs
+    WHERE status IN ('completed', 'cancelled') AND datetime(finished_at) <= datetime('now', ?)
+  `).run(`-${JOB_RETENTION_DAYS} days`).changes;
+
+  const emails = db.prepare(`
+    DELETE FROM email_outbox
+    WHERE status IN ('sent', 'skipped', 'dead') AND receipt_number IS NULL AND datetime(updated_at) <= datetime('now', ?)
+  `).run(`-${EMAIL_RETENTION_DAYS} days`).changes;
+
+  const feedEvents = db.prepare(`
+    DELETE FROM live_feed_events
+    WHERE event_id IN (
+      SELECT id FROM events
+      WHERE is_live = 0 AND end_time IS NOT NULL AND datetime(end_time) <= datetime('now', ?)
+    )
+  `).run(`-${LIVE_FEED_RETENTION_DAYS} days`).changes;
+
+  // A reset email still unsent once its link has expired is no use to anyone
+  const resetEmails = db.prepare(`
+    DELETE FROM email_outbox
+    WHERE template = 'password_reset' AND status != 'sending' AND datetime(created_at) <= datetime('now', ?)
+  `).run(`-${PASSWORD_RESET_TTL_MINUTES} minutes`).changes;
+
+  return `removed ${sessions} session(s), ${resetTokens} reset token(s), ${jobs} job(s), ${emails + resetEmails} email(s), ${feedEvents} feed update(s)`;
+};
+
+// Each handler resolves to a short result stored on the job, or throws to retry
+const JOB_HANDLERS = {
+  event_reminder: runEventReminder,
+  event_go_live: runEventGoLive,
+  event_end: runEventEnd,
+  access_expiry: runAccessExpiry,
+  subscription_renewal: renewSubscriptions,
+  merch_hold_release: releaseStaleMerchOrders,
+  cleanup: runCleanup
+};
+
+// Minutes between runs of each recurring job
+const RECURRING_JOBS = {
+  access_expiry: 15,
+  subscription_renewal: 10,
+  merch_hold_release: 15,
+  cleanup: 60
+};
+
+const scheduleRecurringJob = (type, runAt) => {
+  scheduleJob(type, runAt, {}, `${type}@${new Date(runAt).toISOString()}`);
+};
+
+const recurringRunQueued = (type) => Boolean(db.prepare(`
+  SELECT 1 FROM scheduled_jobs WHERE type = ? AND status IN ('pending', 'running')
+`).get(type));
+
+// Marks the job done or failed; a recurring job queues its next run in the
+// same transaction so it can't be lost or doubled. A retried run finds the
+// next one already queued and leaves it be.
+const finishJob = db.transaction((job, status, { result = null, error = null } = {}) => {
+  db.prepare(`
+    UPDATE scheduled_jobs
+    SET status = ?, result = ?, last_error = ?, locked_at = NULL, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, result, error, job.id);
+
+  if (RECURRING_JOBS[job.type] && !recurringRunQueued(job.type)) {
+    const interval = RECURRING_JOBS[job.type] * 60000;
+    scheduleRecurringJob(job.type, Math.max(new Date(job.run_at).getTime() + interval, Date.now()));
+  }
+});
+
+const runJob = async (job) => {
+  const { changes } = db.prepare(`
+    UPDATE scheduled_jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `).run(job.id);
+  if (changes === 0) {
+    return;
+  }
+
+  const attempts = job.attempts + 1;
+  try {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+    const result = await handler(JSON.parse(job.payload || '{}'));
+    finishJob(job, 'completed', { result: result == null ? null : String(result) });
+  } catch (error) {
+    console.error(`Job ${job.type} ${job.id} failed (attempt ${attempts}):`, error);
+
+    if (attempts >= JOB_MAX_ATTEMPTS) {
+      finishJob(job, 'failed', { error: error.message });
+      return;
+    }
+
+    // Back off 1, 2, 4, 8... minutes
+    const retryAt = new Date(Date.now() + Math.pow(2, attempts - 1) * 60000).toISOString();
+    db.prepare(`
+      UPDATE scheduled_jobs SET status = 'pending', run_at = ?, last_error = ?, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(retryAt, error.message, job.id);
+  }
+};
+
+let jobRunnerBusy = false;
+
+const runDueJobs = async () => {
+  if (jobRunnerBusy) {
+    return;
+  }
+  jobRunnerBusy = true;
+  try {
+    const due = db.prepare(`
+      SELECT * FROM scheduled_jobs
+      WHERE status = 'pending' AND julianday(run_at) <= julianday('now')
+      ORDER BY julianday(run_at), rowid
+      LIMIT ?
+    `).all(JOB_BATCH_SIZE);
+
+    for (const job of due) {
+      await runJob(job);
+    }
+  } finally {
+    jobRunnerBusy = false;
+  }
+};
+
+// Only this process runs jobs, so anything still marked running was cut off
+// by a restart; queue those again and make sure every schedule is in place
+const startJobScheduler = () => {
+  const { changes } = db.prepare(`
+    UPDATE scheduled_jobs SET status = 'pending', locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `).run();
+  if (changes > 0) {
+    console.warn(`Re-queued ${changes} job(s) interrupted by a restart`);
+  }
+
+  Object.keys(RECURRING_JOBS).forEach(type => {
+    if (!recurringRunQueued(type)) {
+      scheduleRecurringJob(type, Date.now());
+    }
+  });
+
+  db.prepare(`
+    SELECT * FROM events
+    WHERE is_live = 1
+      OR datetime(start_time) > datetime('now', ?)
+      OR datetime(end_time) > datetime('now')
+  `).all(`-${AUTO_GO_LIVE_GRACE_MINUTES} minutes`).forEach(scheduleEventJobs);
+
+  const tick = () => runDueJobs().catch(error => console.error('Job runner error:', error));
+  setInterval(tick, JOB_POLL_SECONDS * 1000).unref();
+  tick();
+};
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  run_at: job.run_at,
+  payload: JSON.parse(job.payload || '{}'),
+  attempts: job.attempts,
+  result: job.result,
+  last_error: job.last_error,
+  created_at: job.created_at,
+  finished_at: job.finished_at
+});
+
+// List Scheduled Jobs (admin)
+app.get('/api/v1/admin/jobs', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      where.push('type = ?');
+      params.push(type);
+    }
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const jobs = db.prepare(`
+      SELECT * FROM scheduled_jobs ${clause} ORDER BY datetime(run_at) DESC, rowid DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM scheduled_jobs ${clause}`).get(...params);
+
+    res.json({ jobs: jobs.map(formatJob), total, limit, offset });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retry a Failed Job (admin)
+app.post('/api/v1/admin/jobs/:jobId/retry', authenticateToken, requireAdmin, (req, res) => {
+  try {
+    const job = db.prepare('SELECT * FROM scheduled_jobs WHERE id = ?').get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({ message: `Only failed jobs can be retried; this one is ${job.status}` });
+    }
+
+    db.prepare(`
+      UPDATE scheduled_jobs
+      SET status = 'pending', run_at = ?, attempts = 0, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(new Date().toISOString(), job.id);
+
+    res.json(formatJob(db.prepare('SELECT * FROM scheduled_jobs WHERE id = ?').get(job.id)));
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // ================================
 // ERROR HANDLING
 // ================================
@@ -1080,6 +10932,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`FightPass API running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  startJobScheduler();
+  startEmailWorker();
+  moveLegacyReceiptPdfs().catch(error => console.error('Receipt PDF move failed; it will resume on the next start:', error));
 });
 
 // Graceful shutdown